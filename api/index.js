@@ -1,663 +1,606 @@
 import express from 'express';
 import cors from 'cors';
-import axios from 'axios';
-import * as cheerio from 'cheerio';
-import dayjs from 'dayjs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import 'dotenv/config';
-import { MongoClient } from 'mongodb';
+import { getDb, storageKind, flushQueued, queuedCount, findResult, resultsOn, listRevisions, deleteDrawResults, listHistory, decodeCursor } from '../lib/db.js';
+import { resultValue } from '../lib/result.js';
+import { login, logout, requireAdmin, bearerToken, loginKeys, loginWait, noteLoginFailure, clearLoginFailures } from '../lib/auth.js';
+import { saveManualResults } from '../lib/admin.js';
+import { runOcr, getAliasExtras, saveAliasExtras, aliasTable } from '../lib/ocr.js';
+import { exportRows, dailySheet, EXPORT_COLUMNS, csvLine, parseCsv } from '../lib/export.js';
+import { runImport } from '../lib/import.js';
+import { checkTickets, getPayouts, savePayouts, parseTicketsCsv, checksToCsv } from '../lib/tickets.js';
+import { getCatalog, replaceCatalog, saveEntry, deleteEntry } from '../lib/catalog.js';
+import { runIngest } from '../lib/ingest.js';
+import { statsFor } from '../lib/stats.js';
+import { getLatest, getLatestMany, invalidateLatest } from '../lib/latest.js';
+import { trackSourceHealth, getStatus, runHealthChecks } from '../lib/health.js';
+import { runBackfill, listBackfillJobs } from '../lib/backfill.js';
+import { listConflicts, resolveConflict } from '../lib/verify.js';
+import { emptyLatest } from '../lib/scraper.js';
+import { STREAM, subscribe, readChanges, parseEventId, sseFrame } from '../lib/stream.js';
+import { getAdapter, findDraw, listAdapters } from '../lib/adapters/index.js';
+import { eastCoastDateISO } from '../lib/extract.js';
+import { requireApiKey, checkApiKey, createApiKey, updateApiKey, revokeApiKey, listApiKeys, usageFor } from '../lib/apikeys.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
-app.use(cors());
+if (process.env.VERCEL) app.set('trust proxy', 1); // req.ip is the client, from Vercel's X-Forwarded-For
+// CORS: the board is served from this origin. Other sites may call the board API only
+// from CORS_ORIGINS (comma-separated; local development always passes); partners use
+// /api/v1 with an API key, whose own origin list is checked per call (lib/apikeys.js).
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(s => s.trim()).filter(Boolean);
+const boardCors = cors({ origin: (origin, cb) => cb(null, !origin || CORS_ORIGINS.includes(origin) || /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/.test(origin)) });
+const partnerCors = cors({ origin: true, allowedHeaders: ['X-API-Key', 'Content-Type'], exposedHeaders: ['ETag', 'Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining'] });
+app.use((req, res, next) => (req.path.startsWith('/api/v1/') ? partnerCors : boardCors)(req, res, next));
+// /api/ocr (base64 images) and /api/import (bulk rows) parse their own, larger bodies
+const jsonBody = express.json({ limit: '1mb' });
+const OWN_BODY = new Set(['/api/ocr', '/api/import']);
+app.use((req, res, next) => (OWN_BODY.has(req.path) ? next() : jsonBody(req, res, next)));
+
+// The draw-date rules, for the board to import as a module (needs no Mongo)
+app.get('/api/drawdate.js', (_req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.type('application/javascript').sendFile(path.join(__dirname, '..', 'lib', 'drawdate.js'));
+});
+
+// Record every scraper source attempt for /api/status
+trackSourceHealth();
 
-// Connect to Mongo on boot
-connectMongo().then(() => console.log('Mongo connected')).catch(err => {
+// Open the storage backend on boot (MongoDB, or the local file/memory store, see lib/db.js)
+getDb().then(() => console.log(`Storage: ${storageKind()}`)).catch(err => {
   console.error('Mongo connection failed:', err.message);
 });
 
+// /latest can still scrape without the database: its writes are queued (lib/db.js flushQueued).
+// /api/v1/latest then only admits keys this instance has cached (lib/apikeys.js checkApiKey).
+const WITHOUT_DB = [/^\/healthz$/, /^\/api\/latest$/, /^\/api\/[^/]+\/latest$/, /^\/api\/v1\/latest$/];
+
 app.use(async (req, res, next) => {
   try {
-    await connectMongo(); // no-op after first connect
+    await getDb(); // no-op after first connect
+    if (queuedCount()) flushQueued().catch(e => console.warn('[storage] queued writes still waiting:', e.message));
     next();
   } catch (e) {
     console.error('Mongo connect error:', e.message);
-    // still allow /healthz to work; block others
-    if (req.path === '/healthz') return next();
+    if (WITHOUT_DB.some(re => re.test(req.path))) return next();
     res.status(503).json({ ok: false, error: 'mongo_unavailable' });
   }
 });
 
-const HTTP = {
-  timeout: 20000,
-  headers: {
-    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123 Safari/537.36',
-    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
-    'Accept-Language': 'en-US,en;q=0.9',
-    'Cache-Control': 'no-cache'
-  },
-  maxRedirects: 5
-};
-
-async function fetchHtml(url) {
-  const { data } = await axios.get(url, { ...HTTP, params: { t: Date.now() } });
-  return data;
+// Shared-secret guard: when env[name] is set, require "Authorization: Bearer <value>".
+function requireBearer(name) {
+  return (req, res, next) => {
+    const secret = process.env[name];
+    if (secret && req.get('authorization') !== `Bearer ${secret}`) {
+      return res.status(401).json({ ok: false, error: 'unauthorized' });
+    }
+    next();
+  };
 }
 
-async function upsertDrawResult({ state, draw, dateISO, pick3, pick4, source = 'official', meta = {} }) {
-  if (!dateISO || !pick3 || !pick4) return; // only store complete pairs
-  const db = await getDb();
-  const combo = `${pick3}-${pick4}`;
-  await db.collection('draw_results').updateOne(
-    { state, draw, dateISO },
-    {
-      $set: { state, draw, dateISO, pick3, pick4, combo, source, meta },
-      $setOnInsert: { scrapedAt: new Date() }
-    },
-    { upsert: true }
-  );
-}
+// API
+// GET|POST /api/cron/ingest?states=ny,ga — one scheduled-ingestion pass (for an external cron),
+// followed by the health checks that raise alerts. Set CRON_SECRET to require "Authorization: Bearer <secret>".
+app.all('/api/cron/ingest', requireBearer('CRON_SECRET'), async (req, res) => {
+  const states = req.query.states ? String(req.query.states).split(',') : undefined;
+  try {
+    const out = await runIngest({ states });
+    const health = await runHealthChecks().catch(e => ({ error: e.message }));
+    res.json({ ok: true, ...out, health });
+  } catch (e) {
+    console.error('[CRON] ingest failed:', e.message);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
 
-// ── Mongo singleton ───────────────────────────────────────────────────────────
-let __mongo = { client: null, db: null };
-
-async function connectMongo() {
-  if (__mongo.db) return __mongo.db;
-  const uri = process.env.MONGODB_URI;
-  const dbName = process.env.MONGODB_DB || 'beastbet';
-  if (!uri) throw new Error('MONGODB_URI missing');
-
-  const client = new MongoClient(uri, { maxPoolSize: 10 });
-  await client.connect();
-  const db = client.db(dbName);
-
-  // Ensure indexes once
-  await db.collection('draw_results').createIndex(
-    { state: 1, draw: 1, dateISO: 1 }, { unique: true }
-  );
-  await db.collection('draw_results').createIndex(
-    { state: 1, draw: 1, dateISO: -1 }
-  );
-
-  __mongo.client = client;
-  __mongo.db = db;
-  return db;
-}
-const getDb = async () => {
-  return await connectMongo();  // returns the same db once connected
-};
-// ── helpers to parse date strings we see on pages ──────────────────────────────
-// Extract "the first n-digit result" from the main results area (no label needed)
-function extractFirstInLatest($, n) {
-  // try a narrow container first (table/list/section under main/article)
-  const scopes = ['main', 'article', 'section', '.results', 'table', 'ul', 'ol'];
-  for (const sel of scopes) {
-    const $blk = $(sel).first();
-    if ($blk.length) {
-      const bySpans = pickConsecutiveSingleDigitNodes($, $blk, n);
-      if (bySpans) return bySpans;
-      const byText = pickNDigitsFromTextSafe($, $blk, n);
-      if (byText) return byText;
+// GET /api/status — scraper health: overdue draws and per-source success/failure
+// (see lib/health.js). Public, so an uptime monitor can watch `ok`.
+app.get('/api/status', async (_req, res) => {
+  try {
+    res.json(await getStatus());
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ── Admin session ─────────────────────────────────────────────────────────────
+// POST /api/admin/login { username, password } -> { token, expiresAt }; send it as "Authorization: Bearer <token>"
+// Repeated failures from one IP or for one username answer 429 with Retry-After (lib/auth.js).
+app.post('/api/admin/login', async (req, res) => {
+  const keys = loginKeys(req.ip, req.body?.username);
+  const wait = loginWait(keys);
+  if (wait) return res.set('Retry-After', String(wait)).status(429).json({ ok: false, error: 'too_many_attempts', retryAfter: wait });
+  try {
+    const session = await login(req.body?.username, req.body?.password);
+    if (!session) {
+      noteLoginFailure(keys);
+      return res.status(401).json({ ok: false, error: 'bad_credentials' });
     }
+    clearLoginFailures(keys);
+    res.json({ ok: true, ...session });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
   }
-  // fall back to whole doc
-  const bySpans = pickConsecutiveSingleDigitNodes($, $.root(), n);
-  if (bySpans) return bySpans;
-  return pickNDigitsFromTextSafe($, $.root(), n);
-}
+});
 
-function eastCoastDateISO(d = new Date()) {
-  // Format “YYYY-MM-DD” but in America/New_York
-  const fmt = new Intl.DateTimeFormat('en-CA', { timeZone: 'America/New_York', year: 'numeric', month: '2-digit', day: '2-digit' });
-  // en-CA gives YYYY-MM-DD
-  return fmt.format(d);
-}
+app.post('/api/admin/logout', requireAdmin, async (req, res) => {
+  try {
+    await logout(bearerToken(req));
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
 
-// Accept "Day", "Daytime" for Day and just "Night" for night.
-const CT_LABEL_RE = {
-  Day: /(day(?:time)?)/i,
-  Night: /(night)/i,
-  Midday: /(midday|day(?:time)?)/i,     // allow 'Midday' or 'Day/Daytime'
-  Evening: /(evening|night)/i           // allow 'Evening' or 'Night'
-};
-function extractRowByLabel($, label, n) {
-  const labelRe = CT_LABEL_RE[label] || new RegExp(label, 'i');
-  // Don’t rely on a specific heading; use the whole doc but prefer small blocks that contain both the label and n digits.
-  const rowSel = 'tr, li, .row, .result, .draw, .results-row, .c-results-card, section, article, div';
-  let best = null, bestSize = Infinity;
-  $(rowSel).each((_, el) => {
-    const $el = $(el);
-    const text = $el.text();
-    if (!labelRe.test(text)) return;
-    // must contain at least n digits somewhere
-    const hasNDigits = new RegExp(`\\d[^\\d]*`.repeat(n)).test(text);
-    if (!hasNDigits) return;
-    // Prefer the smallest node that satisfies both conditions
-    const size = $el.text().length;
-    if (size < bestSize) { best = $el; bestSize = size; }
-  });
-  if (!best) return { digits: null, date: null };
-  const d1 = pickConsecutiveSingleDigitNodes($, best, n);
-  const d2 = d1 || pickNDigitsFromTextSafe($, best, n);
-  const date = parseDateFromText(best.text());
-  return d2 ? { digits: d2, date } : { digits: null, date: null };
-}
-function parseDateFromText(text) {
-  const y = dayjs().year();
-  const t = (text || '').replace(/\s+/g, ' ');
-
-  // Fast-path: "today" / "tonight" → use current date
-  // Do NOT treat “today/tonight/this evening” as an explicit date.
-  // If we can’t parse a calendar date below, return null and let caller decide.
-  // --- Local (ET) YYYY-MM-DD (no UTC) ---
-  function localDateISO(d = new Date()) {
-    const y = d.getFullYear();
-    const m = String(d.getMonth() + 1).padStart(2, '0');
-    const da = String(d.getDate()).padStart(2, '0');
-    return `${y}-${m}-${da}`;
-  }
-  function fmtHuman(dISO) { // "Fri, Oct 24"
-    const d = new Date(dISO + 'T12:00:00'); // middle of day to avoid tz edge
-    return d.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
-  }
-
-  // Month-name format: "September 10, 2025" or "Sep 10"
-  const m1 = t.match(/\b(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|Jun(?:e)?|Jul(?:y)?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\s+(\d{1,2})(?:,\s*(\d{4}))?/i);
-  if (m1) {
-    const monthNames = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
-    const M = monthNames.findIndex(x => m1[1].toLowerCase().startsWith(x)) + 1;
-    const D = parseInt(m1[2], 10);
-    const Y = m1[3] ? parseInt(m1[3], 10) : y;
-    return dayjs(`${Y}-${String(M).padStart(2, '0')}-${String(D).padStart(2, '0')}`);
-  }
-
-  // Numeric format: 9/10/2025 or 9/10
-  const m2 = t.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/);
-  if (m2) {
-    const M = parseInt(m2[1], 10), D = parseInt(m2[2], 10);
-    let Y = m2[3] ? parseInt(m2[3], 10) : y;
-    if (Y < 100) Y = 2000 + Y;
-    return dayjs(`${Y}-${String(M).padStart(2, '0')}-${String(D).padStart(2, '0')}`);
-  }
-  return null; // let caller default to "today" instead of scanning the whole section
-}
+app.get('/api/admin/me', requireAdmin, (req, res) => res.json({ ok: true, username: req.admin }));
 
-function cleanTextBlocks(txt) {
-  let t = (txt || '').replace(/\s+/g, ' ');
-  // strip money, times, and boilerplate that creates false positives
-  t = t.replace(/\$[0-9][0-9,.]*/g, ' ');
-  t = t.replace(/\b\d{1,2}:\d{2}(\s?[ap]m)?\b/gi, ' ');  // 12:59, 9:45pm
-  t = t.replace(/\b(prize|top prize|payout|how to|odds|draws? at)\b[^.!?\n]*/gi, ' ');
-  return t;
-}
+// POST /api/admin/results { id: 'usa/ny/Midday', dateISO, value: '123-4567' } or { rows: [...] }
+// Manual entry/override; written through to draw_results so every board sees it.
+app.post('/api/admin/results', requireAdmin, async (req, res) => {
+  const rows = Array.isArray(req.body?.rows) ? req.body.rows : [req.body || {}];
+  try {
+    const results = await saveManualResults(rows, { source: 'manual', actor: req.admin });
+    invalidateLatest(); // cached /latest payloads may hold the old numbers
+    res.status(results.every(r => r.ok) ? 200 : 400).json({ ok: results.every(r => r.ok), results });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
 
+// POST /api/admin/ocr/approve { dateISO, rows: [{ id, value }] } — approved OCR preview rows
+app.post('/api/admin/ocr/approve', requireAdmin, async (req, res) => {
+  if (!Array.isArray(req.body?.rows)) return res.status(400).json({ ok: false, error: 'rows_required' });
+  try {
+    const results = await saveManualResults(req.body.rows, { source: 'ocr', actor: req.admin, dateISO: req.body.dateISO });
+    invalidateLatest();
+    res.status(results.every(r => r.ok) ? 200 : 400).json({ ok: results.every(r => r.ok), results });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
 
+// POST /api/ocr { images?: ['data:image/png;base64,…'], text?, dateISO? } -> { dateISO, rows }
+// Recognition runs here; each row is a line mapped to a catalog id with confidence scores.
+// Nothing is stored: approve rows with /api/admin/ocr/approve.
+app.post('/api/ocr', requireAdmin, express.json({ limit: '12mb' }), async (req, res) => {
+  const { text, images, dateISO } = req.body || {};
+  if (!text && !(Array.isArray(images) && images.length)) return res.status(400).json({ ok: false, error: 'nothing_to_read' });
+  try {
+    res.json({ ok: true, ...await runOcr({ text, images: images || [], dateISO }) });
+  } catch (e) {
+    console.log('[ERROR] ocr', e.message);
+    res.status(e.message === 'bad_image' ? 400 : 500).json({ ok: false, error: e.message });
+  }
+});
 
-// ── digit extraction (structural first, then safe text) ────────────────────────
-function pickConsecutiveSingleDigitNodes($, $container, n) {
-  const nodes = $container.find('span,div,li,p').toArray()
-    .map(el => $(el).text().trim())
-    .map(t => t && /^[0-9]$/.test(t) ? t : null);
-  for (let i = 0; i <= nodes.length - n; i++) {
-    const slice = nodes.slice(i, i + n);
-    if (slice.every(x => x !== null)) return slice.join('');
+// GET|PUT /api/admin/ocr/aliases — extra alias phrases per catalog id ({ aliases: { id: [...] } });
+// GET also returns the full table the matcher uses
+app.get('/api/admin/ocr/aliases', requireAdmin, async (_req, res) => {
+  try {
+    const aliases = await getAliasExtras();
+    res.json({ ok: true, aliases, table: aliasTable(await getCatalog(), aliases) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
   }
-  return null;
-}
-// Allow digits separated by spaces/spans; then collapse to the first n digits.
-function pickNDigitsFromTextSafe($, $container, n) {
-  const txt = cleanTextBlocks($container.text());
-  // e.g., "6 4 1" (P3) or "0 2 7 0" (P4) when spans flatten oddly.
-  const mSpan = txt.match(new RegExp(`(?:\\d\\D*){${n}}`));
-  if (mSpan) {
-    const d = mSpan[0].replace(/\D+/g, '').slice(0, n);
-    if (d.length === n) return d;
-  }
-  const mTight = txt.match(new RegExp(`\\d{${n}}`));
-  return mTight ? mTight[0] : null;
-}
+});
 
-function nearestContainerWithNDigits($, $start, n, $limit) {
-  // climb to the smallest ancestor that actually contains n-digit numbers
-  let $node = $start;
-  for (let i = 0; i < 6; i++) {
-    let $cand = $node.closest('li,article,div,section');
-    if (!$cand.length) break;
-    const has = new RegExp(`\\b\\d{${n}}\\b`).test(cleanTextBlocks($cand.text()));
-    if (has) return $cand;
-    $node = $cand.parent();
-    if ($limit && $node.is($limit)) break;
-  }
-  return $start;
-}
+app.put('/api/admin/ocr/aliases', requireAdmin, async (req, res) => {
+  try {
+    res.json({ ok: true, aliases: await saveAliasExtras(req.body?.aliases, { actor: req.admin }) });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
 
-function extractByLabel($, label, n) {
-  // 1) Limit scope to the "Latest numbers" section if present
-  let $section = $('section').filter((_, el) => {
-    const h = $(el).find('h1,h2,h3').first().text().trim().toLowerCase();
-    return h.includes('latest') && h.includes('number');
-  }).first();
-  if (!$section.length) $section = $.root();
-
-  // 2) Strict, whole-word label match (e.g., Day / Night / Midday / Evening)
-  const re = CT_LABEL_RE[label] || new RegExp(label, 'i');
-  const $labelEl = $section.find('*').filter((_, el) =>
-    re.test($(el).text().trim().toLowerCase())
-  ).first();
-  if (!$labelEl.length) return { digits: null, date: null };
-
-  // 3) Walk *forward* from the label (siblings-first) and stop if we hit the next label.
-  const NEXT_LABEL_RE = /\b(day|night|midday|evening)\b/i;
-
-  // Build a list of candidate nodes near the label, in DOM order
-  const candidates = [];
-  let walker = $labelEl;
-  for (let steps = 0; steps < 40; steps++) {
-    // Start with the label node, then explore its immediate next siblings,
-    // then descend one level (avoids jumping to a wide ancestor that contains both draws)
-    const $next = walker.next();
-    if (!$next.length) break;
-    walker = $next;
-
-    const text = walker.text();
-    if (steps > 0 && NEXT_LABEL_RE.test(text) && !re.test(text)) break; // we reached the other draw's block
-
-    candidates.push(walker);
-    // also consider small blocks inside this node
-    candidates.push(...walker.find('li,div,p,span').toArray().map(el => $(el)));
-    if (candidates.length > 80) break;
-  }
-
-  // 4) Prefer digit-by-digit nodes; fall back to safe text
-  for (const $cand of candidates) {
-    const d1 = pickConsecutiveSingleDigitNodes($, $cand, n);
-    if (d1) return { digits: d1, date: parseDateFromText($cand.text()) || parseDateFromText($labelEl.text()) };
-    const d2 = pickNDigitsFromTextSafe($, $cand, n);
-    if (d2) return { digits: d2, date: parseDateFromText($cand.text()) || parseDateFromText($labelEl.text()) };
-  }
-
-  // 5) Last resort: use the label element itself
-  const d3 = pickConsecutiveSingleDigitNodes($, $labelEl, n) || pickNDigitsFromTextSafe($, $labelEl, n);
-  return { digits: d3, date: parseDateFromText($labelEl.text()) };
-}
-// ── try a list of URLs; return {digits,date} without throwing ─────────────────
-async function tryUrls(urls, label, n, tag) {
-  for (const u of urls) {
-    try {
-      const html = await fetchHtml(u);
-      const $ = cheerio.load(html);
-
-      const isCT = /\/connecticut\//i.test(u);
-      const isCtDedicated =
-        /\/connecticut\/(midday|night)-[34]\//i.test(u) ||
-        (label === 'Night' && /\/connecticut\/play-[34]\//i.test(u)); // Night lives on play-3/4
-
-      const isGA = /\/georgia\//i.test(u);
-      // Dedicated GA pages: midday-3/4, cash-3/4-evening, cash-3/4 (night)
-      const isGaDedicated = /\/georgia\/(midday-[34]|cash-[34](?:-evening)?\/?)$/i.test(u);
-
-      const isPA = /\/pennsylvania\//i.test(u);
-      // Dedicated PA pages: midday-pick-3/4 and pick-3/4
-      const isPaDedicated = /\/pennsylvania\/(midday-pick-[34]|pick-[34]\/?)$/i.test(u);
-
-      let digits = null, date = null;
-
-      if (isCT && isCtDedicated) {
-        // CT dedicated draw pages – numbers appear without an adjacent draw label
-        digits = extractFirstInLatest($, n);
-        date = parseDateFromText($.root().text()); // may be null; that’s OK
-      } else if (isCT) {
-        // CT generic pages – use label-aware row extraction
-        ({ digits, date } = extractRowByLabel($, label, n));
-      } else if (isGA && isGaDedicated) {
-        // GA dedicated pages (midday-3/4, cash-3/4-evening, cash-3/4)
-        digits = extractFirstInLatest($, n);
-        date = parseDateFromText($.root().text()) || null;
-      } else {
-        // Generic case: look for a row near the label inside "Latest numbers"
-        ({ digits, date } = extractByLabel($, label, n));
-      }
-
-      if (digits) return { digits, date };
+// POST /api/import — bulk results from a file (see lib/import.js). JSON { rows | csv, dryRun?, overwrite? },
+// or a text/csv body with ?dryRun=1&overwrite=1. Answers with the per-row diff report; a dry run
+// stores nothing. Conflicting rows are skipped unless `overwrite` is set.
+const flag = (v) => v === true || v === '1' || v === 'true';
+app.post('/api/import', requireAdmin, express.json({ limit: '5mb' }), express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+  const csv = typeof req.body === 'string';
+  const text = csv ? req.body : req.body?.csv;
+  const rows = typeof text === 'string' ? parseCsv(text).records : req.body?.rows;
+  const opts = csv ? req.query : { ...req.query, ...req.body };
+  try {
+    const report = await runImport(rows, { dryRun: flag(opts.dryRun), overwrite: flag(opts.overwrite), actor: req.admin });
+    if (!report.dryRun) invalidateLatest();
+    res.json({ ok: true, ...report });
+  } catch (e) {
+    res.status(/rows/.test(e.message) ? 400 : 500).json({ ok: false, error: e.message });
+  }
+});
 
-    } catch (e) {
-      console.log(`[WARN] ${tag} ${u} -> ${e?.response?.status || e.message}`);
-    }
+// POST /api/admin/reset-day { dateISO, states?: ['ny'] } — delete a day's stored results (revisions keep them)
+app.post('/api/admin/reset-day', requireAdmin, async (req, res) => {
+  const { dateISO, states } = req.body || {};
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateISO || '')) return res.status(400).json({ ok: false, error: 'bad_date' });
+  const deleted = await deleteDrawResults({ dateISO, states: Array.isArray(states) ? states : undefined, actor: req.admin });
+  invalidateLatest();
+  res.json({ ok: true, dateISO, deleted });
+});
+
+// POST /api/admin/backfill { state, draw?, from, to, dryRun?, restart? }
+// Runs up to `maxUnits` draw-years per call (default 4); call again with the same body to continue
+// (dry runs too, until `complete`).
+app.post('/api/admin/backfill', requireAdmin, async (req, res) => {
+  const { state, draw, from, to, dryRun = false, restart = false, maxUnits = 4 } = { ...req.query, ...req.body };
+  try {
+    const report = await runBackfill({
+      state, draw, from, to,
+      dryRun: dryRun === true || dryRun === 'true',
+      restart: restart === true || restart === 'true',
+      maxUnits: Number(maxUnits) || 4
+    });
+    res.json({ ok: true, ...report });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
   }
-  return { digits: null, date: null };
-}
+});
 
-// ── URL map with robust fallbacks: specific page first, then generic page ─────
-const U = {
-  ny: {
-    p3: {
-      mid: {
-        urls: [
-          'https://www.lotteryusa.com/new-york/midday-numbers/',
-          'https://www.lotteryusa.com/new-york/numbers/'
-        ], label: 'Midday'
-      },
-      eve: {
-        urls: [
-          'https://www.lotteryusa.com/new-york/numbers/'
-        ], label: 'Evening'
-      }
-    },
-    p4: {
-      mid: {
-        urls: [
-          'https://www.lotteryusa.com/new-york/midday-win-4/',
-          'https://www.lotteryusa.com/new-york/win-4/'
-        ], label: 'Midday'
-      },
-      eve: {
-        urls: [
-          'https://www.lotteryusa.com/new-york/win-4/'
-        ], label: 'Evening'
-      }
-    }
-  },
-
-  nj: {
-    p3: {
-      mid: {
-        urls: [
-          'https://www.lotteryusa.com/new-jersey/midday-pick-3/',
-          'https://www.lotteryusa.com/new-jersey/midday-numbers/',
-          'https://www.lotteryusa.com/new-jersey/pick-3/'
-        ], label: 'Midday'
-      },
-      eve: {
-        urls: [
-          'https://www.lotteryusa.com/new-jersey/pick-3/',
-          'https://www.lotteryusa.com/new-jersey/numbers/'
-        ], label: 'Evening'
-      }
-    },
-    p4: {
-      mid: {
-        urls: [
-          'https://www.lotteryusa.com/new-jersey/midday-pick-4/',
-          'https://www.lotteryusa.com/new-jersey/midday-win-4/',
-          'https://www.lotteryusa.com/new-jersey/pick-4/'
-        ], label: 'Midday'
-      },
-      eve: {
-        urls: [
-          'https://www.lotteryusa.com/new-jersey/pick-4/',
-          'https://www.lotteryusa.com/new-jersey/win-4/'
-        ], label: 'Evening'
-      }
-    }
-  },
-
-  // CT and FL: keep as-is, but adding day/night-number fallbacks is fine too
-  ct: {
-    p3: {
-      mid: {
-        urls: [
-          'https://www.lotteryusa.com/connecticut/midday-3/',   // dedicated CT Midday P3
-          'https://www.lotteryusa.com/connecticut/play-3/'
-        ], label: 'Midday'
-      },
-      eve: {
-        urls: [
-          'https://www.lotteryusa.com/connecticut/play-3/'
-        ], label: 'Night'
-      }
-    },
-    p4: {
-      mid: {
-        urls: [
-          'https://www.lotteryusa.com/connecticut/midday-4/',   // dedicated CT Midday P4
-          'https://www.lotteryusa.com/connecticut/play-4/'
-        ], label: 'Midday'
-      },
-      eve: {
-        urls: [
-          'https://www.lotteryusa.com/connecticut/play-4/'
-        ], label: 'Night'
-      }
-    }
-  },
-
-  fl: {
-    p3: {
-      mid: {
-        urls: [
-          'https://www.lotteryusa.com/florida/midday-pick-3/',
-          'https://www.lotteryusa.com/florida/pick-3/'
-        ], label: 'Midday'
-      },
-      eve: {
-        urls: [
-          'https://www.lotteryusa.com/florida/pick-3/'
-        ], label: 'Evening'
-      }
-    },
-    p4: {
-      mid: {
-        urls: [
-          'https://www.lotteryusa.com/florida/midday-pick-4/',
-          'https://www.lotteryusa.com/florida/pick-4/'
-        ], label: 'Midday'
-      },
-      eve: {
-        urls: [
-          'https://www.lotteryusa.com/florida/pick-4/'
-        ], label: 'Evening'
-      }
-    }
-  },
-  ga: {
-    p3: {
-      mid: {
-        urls: [
-          'https://www.lotteryusa.com/georgia/midday-3/',
-          'https://www.lotteryusa.com/georgia/'
-        ], label: 'Midday'
-      },
-      eve: {
-        urls: [
-          'https://www.lotteryusa.com/georgia/cash-3-evening/',
-          'https://www.lotteryusa.com/georgia/'
-        ], label: 'Evening'
-      },
-      ngt: {
-        urls: [
-          'https://www.lotteryusa.com/georgia/cash-3/',
-          'https://www.lotteryusa.com/georgia/'
-        ], label: 'Night'
-      }
-    },
-    p4: {
-      mid: {
-        urls: [
-          'https://www.lotteryusa.com/georgia/midday-4/',
-          'https://www.lotteryusa.com/georgia/'
-        ], label: 'Midday'
-      },
-      eve: {
-        urls: [
-          'https://www.lotteryusa.com/georgia/cash-4-evening/',
-          'https://www.lotteryusa.com/georgia/'
-        ], label: 'Evening'
-      },
-      ngt: {
-        urls: [
-          'https://www.lotteryusa.com/georgia/cash-4/',
-          'https://www.lotteryusa.com/georgia/'
-        ], label: 'Night'
-      }
+// GET /api/admin/backfill — progress of recent backfill jobs
+app.get('/api/admin/backfill', requireAdmin, async (_req, res) => {
+  try {
+    res.json({ ok: true, jobs: await listBackfillJobs() });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// GET /api/admin/conflicts?state=ny&resolved=false — disputed results waiting for a decision
+app.get('/api/admin/conflicts', requireAdmin, async (req, res) => {
+  try {
+    const conflicts = await listConflicts({ state: req.query.state, resolved: req.query.resolved === 'true' });
+    res.json({ ok: true, conflicts });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// POST /api/admin/conflicts/:id/resolve { keep: 'stored' | 'incoming' }
+app.post('/api/admin/conflicts/:id/resolve', requireAdmin, async (req, res) => {
+  try {
+    const result = await resolveConflict(req.params.id, { keep: req.body?.keep, by: req.admin });
+    invalidateLatest();
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+// ── catalog ───────────────────────────────────────────────────────────────────
+// GET is public (the board needs it to render); writes are admin-only.
+app.get('/api/catalog', async (_req, res) => {
+  try {
+    res.json({ ok: true, catalog: await getCatalog() });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// PUT /api/catalog { catalog: [...] } — replace the whole catalog ("Guardar catálogo")
+app.put('/api/catalog', requireAdmin, async (req, res) => {
+  try {
+    const catalog = await replaceCatalog(req.body?.catalog, { actor: req.admin });
+    res.json({ ok: true, catalog });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+// POST /api/catalog { id, lottery, tz, drawTime, ... } — add or replace one entry
+app.post('/api/catalog', requireAdmin, async (req, res) => {
+  try {
+    res.json({ ok: true, entry: await saveEntry(req.body, { actor: req.admin }) });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+// DELETE /api/catalog/usa/ny/Midday — ids contain slashes, so the rest of the path is the id
+app.delete('/api/catalog/*', requireAdmin, async (req, res) => {
+  try {
+    const removed = await deleteEntry(req.params[0]);
+    res.status(removed ? 200 : 404).json({ ok: removed });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ── export ────────────────────────────────────────────────────────────────────
+// GET /api/export?from=YYYY-MM-DD&to=YYYY-MM-DD&format=csv|json|ndjson&states=ny,ga&draws=Midday&ids=usa/ny/Midday,…
+// Stored results per board entry (see lib/export.js); csv and ndjson stream, json is one document.
+// `ids` is how the drawer passes the entries visible on its board. Both export routes are admin-only.
+const list = (v) => (v ? String(v).split(',').map(s => s.trim()).filter(Boolean) : undefined);
+app.get('/api/export', requireAdmin, async (req, res) => {
+  const { from, to, format = 'csv' } = req.query;
+  if (![from, to].every(d => /^\d{4}-\d{2}-\d{2}$/.test(d || '')) || from > to) return res.status(400).json({ ok: false, error: 'bad_range' });
+  if (!['csv', 'json', 'ndjson'].includes(format)) return res.status(400).json({ ok: false, error: 'bad_format' });
+  const filters = { states: list(req.query.states), draws: list(req.query.draws), ids: list(req.query.ids), from, to };
+  try {
+    if (format === 'json') {
+      const rows = [];
+      await exportRows(filters, r => rows.push(r));
+      res.attachment(`results-${from}_${to}.json`);
+      return res.json({ ok: true, from, to, count: rows.length, rows });
     }
-  },
-  pa: {
-    p3: {
-      mid: {
-        urls: [
-          'https://www.lotteryusa.com/pennsylvania/midday-pick-3/',
-          'https://www.lotteryusa.com/pennsylvania/'
-        ], label: 'Day'
-      },        // PA calls this “Day”
-      eve: {
-        urls: [
-          'https://www.lotteryusa.com/pennsylvania/pick-3/',
-          'https://www.lotteryusa.com/pennsylvania/'
-        ], label: 'Evening'
-      }
-    },
-    p4: {
-      mid: {
-        urls: [
-          'https://www.lotteryusa.com/pennsylvania/midday-pick-4/',
-          'https://www.lotteryusa.com/pennsylvania/'
-        ], label: 'Day'
-      },
-      eve: {
-        urls: [
-          'https://www.lotteryusa.com/pennsylvania/pick-4/',
-          'https://www.lotteryusa.com/pennsylvania/'
-        ], label: 'Evening'
-      }
+    res.attachment(`results-${from}_${to}.${format}`);
+    res.type(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+    if (format === 'csv') res.write(csvLine(EXPORT_COLUMNS));
+    await exportRows(filters, r => {
+      const ok = res.write(format === 'csv' ? csvLine(EXPORT_COLUMNS.map(c => r[c])) : JSON.stringify(r) + '\n');
+      if (!ok) return new Promise(resume => res.once('drain', resume));
+    });
+    res.end();
+  } catch (e) {
+    console.log('[ERROR] export', e.message);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// GET /api/export/sheet?date=YYYY-MM-DD&ids=… — printable results sheet (HTML; print to PDF)
+app.get('/api/export/sheet', requireAdmin, async (req, res) => {
+  const dateISO = req.query.date || eastCoastDateISO();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateISO)) return res.status(400).json({ ok: false, error: 'bad_date' });
+  try {
+    res.type('html').send(await dailySheet({ dateISO, ids: list(req.query.ids) }));
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ── ticket checker ────────────────────────────────────────────────────────────
+// POST /api/check { tickets: [{ state, draw, dateISO, game, number, bet, positions?, amount? }] }
+// -> { ok, checks: [{ ticket, status, result, matched, multiplier, payout, ... }] } (see lib/tickets.js).
+// A text/csv body is the batch mode: one ticket per row, answered as CSV with result columns added.
+// Every ticket is a database read, so callers need an API key (its limits and usage apply).
+const MAX_TICKETS = 1000;
+app.post('/api/check', requireApiKey('check'), express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), async (req, res) => {
+  const csv = typeof req.body === 'string';
+  const { header, tickets } = csv ? parseTicketsCsv(req.body) : { tickets: req.body?.tickets };
+  if (!Array.isArray(tickets) || !tickets.length) return res.status(400).json({ ok: false, error: 'no_tickets' });
+  if (tickets.length > MAX_TICKETS) return res.status(400).json({ ok: false, error: `at most ${MAX_TICKETS} tickets per call` });
+  try {
+    const checks = await checkTickets(tickets);
+    if (csv) return res.type('text/csv').send(checksToCsv(header, checks));
+    res.json({ ok: true, checks });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// GET|PUT /api/admin/payouts — multiplier overrides ({ payouts: { 'pick3.straight': 600 } });
+// GET returns the overrides and the effective table
+app.get('/api/admin/payouts', requireAdmin, async (_req, res) => {
+  try {
+    const doc = await getDb().then(db => db.collection('settings').findOne({ _id: 'payouts' }));
+    res.json({ ok: true, payouts: doc?.payouts || {}, table: await getPayouts() });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.put('/api/admin/payouts', requireAdmin, async (req, res) => {
+  try {
+    res.json({ ok: true, table: await savePayouts(req.body?.payouts, { actor: req.admin }) });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+// ── live results ──────────────────────────────────────────────────────────────
+// GET /api/stream — Server-Sent Events. Sends `result` events ({ state, key, draw, dateISO,
+// action, status, combo, result }) when a result is stored or corrected. A reconnect with
+// Last-Event-ID first replays what it missed. The response ends after STREAM.maxMs and the
+// browser reconnects by itself.
+app.get('/api/stream', async (req, res) => {
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache, no-transform', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+  res.flushHeaders();
+  res.write(`retry: ${STREAM.retryMs}\n\n`);
+  const send = (msg) => res.write(sseFrame('result', msg, msg.id));
+
+  const since = parseEventId(req.get('last-event-id'));
+  if (since) {
+    try {
+      (await readChanges(since)).messages.forEach(send);
+    } catch (e) {
+      console.warn('[stream] replay failed:', e.message);
     }
-  },
-
-};
-
-// ── build "p3-p4" per draw and a trustworthy dateISO ──────────────────────────
-async function combinedPair(stateKey) {
-  const S = U[stateKey];
-
-  const jobs = [
-    tryUrls(S.p3.mid.urls, S.p3.mid.label, 3, `${stateKey}.p3.mid`),
-    tryUrls(S.p3.eve.urls, S.p3.eve.label, 3, `${stateKey}.p3.eve`),
-    tryUrls(S.p4.mid.urls, S.p4.mid.label, 4, `${stateKey}.p4.mid`),
-    tryUrls(S.p4.eve.urls, S.p4.eve.label, 4, `${stateKey}.p4.eve`)
-  ];
-
-  // Optional Night
-  let hasNight = S.p3.ngt && S.p4.ngt;
-  if (hasNight) {
-    jobs.push(
-      tryUrls(S.p3.ngt.urls, S.p3.ngt.label, 3, `${stateKey}.p3.ngt`),
-      tryUrls(S.p4.ngt.urls, S.p4.ngt.label, 4, `${stateKey}.p4.ngt`)
-    );
-  }
-  // Treat parsed page dates as calendar days, not instants.
-  // Keep calendar days as-is, but never allow a date *after* today's NY date.
-  function eastCoastISOFromDayjs(dj) {
-    if (!dj) return null;
-    const todayNY = dayjs(eastCoastDateISO());     // "YYYY-MM-DD" in America/New_York
-    return dj.isAfter(todayNY) ? todayNY.format('YYYY-MM-DD')
-      : dj.format('YYYY-MM-DD');
-  }
-  function maxISO(...djs) {
-    const arr = djs.filter(Boolean);
-    if (!arr.length) return null;
-    const latest = arr.sort((a, b) => a.valueOf() - b.valueOf()).pop();
-    return eastCoastISOFromDayjs(latest);
-  }
-
-
-  const results = await Promise.all(jobs);
-
-  const ok = (s, n) => typeof s === 'string' && /^\d+$/.test(s) && s.length === n;
-
-  const [mid3, eve3, mid4, eve4, n3, n4] =
-    hasNight ? results : [...results, { digits: null, date: null }, { digits: null, date: null }];
-
-  const m3 = ok(mid3.digits, 3) ? mid3.digits : null;
-  const m4 = ok(mid4.digits, 4) ? mid4.digits : null;
-  const e3 = ok(eve3.digits, 3) ? eve3.digits : null;
-  const e4 = ok(eve4.digits, 4) ? eve4.digits : null;
-  const nn3 = ok(n3.digits, 3) ? n3.digits : null;
-  const nn4 = ok(n4.digits, 4) ? n4.digits : null;
-
-  const midday = (m3 && m4) ? `${m3}-${m4}` : null;
-  const evening = (e3 && e4) ? `${e3}-${e4}` : null;
-  const night = (nn3 && nn4) ? `${nn3}-${nn4}` : null;
-
-  // Per-draw dates (only if the pair exists)
-  const dateISO_midday = (m3 && m4) ? maxISO(mid3.date, mid4.date) : null;
-  const dateISO_evening = (e3 && e4) ? maxISO(eve3.date, eve4.date) : null;
-  const dateISO_night = (nn3 && nn4) ? maxISO(n3?.date, n4?.date) : null;
-
-  // Back-compat: overall latest across any draws we found
-  const dateISO = maxISO(
-    mid3.date, mid4.date, eve3.date, eve4.date, n3?.date, n4?.date
-  ) || eastCoastDateISO(); // overall is only used by old clients
-
-  return {
-    dateISO,               // back-compat
-    dates: {
-      midday: dateISO_midday,
-      evening: dateISO_evening,
-      night: dateISO_night
-    },
-    midday, evening, night
-  };
+  }
+  const unsubscribe = subscribe(send);
+  const ping = setInterval(() => res.write(': ping\n\n'), STREAM.keepAliveMs);
+  const stop = setTimeout(() => res.end(), STREAM.maxMs);
+  res.on('close', () => { unsubscribe(); clearInterval(ping); clearTimeout(stop); });
+});
+
+// ── public API (v1) ───────────────────────────────────────────────────────────
+// The same reads for partner sites, behind an API key (X-API-Key or ?key=) with per-key
+// origins, rate limits and usage counters (lib/apikeys.js). Registered before the
+// /api/:state routes so "v1" isn't taken for a state.
+app.get('/api/v1/latest', requireApiKey('latest'), latestMany);
+app.get('/api/v1/:state/by-date/:dateISO', requireApiKey('by-date'), byDate);
+app.get('/api/v1/:state/history', requireApiKey('history'), historyPage);
+
+// GET /api/v1/catalog — the visible entries, for the widget to name and order its cards
+app.get('/api/v1/catalog', requireApiKey('catalog'), async (_req, res) => {
+  try {
+    const catalog = (await getCatalog()).filter(e => e.visible !== false)
+      .map(({ id, section, lottery, draw, tz, drawTime, closeTime, days, source }) => ({ id, section, lottery, draw, tz, drawTime, closeTime, days, state: source?.state || null }));
+    res.set('Cache-Control', 'private, max-age=300');
+    res.json({ ok: true, catalog });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// GET /api/v1/widget?key=…&ids=usa/ny/Midday,…&theme=light — the widget as a page for an
+// <iframe>; only the key's origins may frame it
+const attr = (v) => String(v ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+app.get('/api/v1/widget', async (req, res) => {
+  const out = await checkApiKey(req.query.key, { origin: req.get('origin'), route: 'widget' });
+  if (!out.ok) return res.status(out.status).type('text/plain').send(out.error);
+  const ancestors = out.key.origins.length ? out.key.origins.join(' ') : "'none'";
+  res.set('Content-Security-Policy', `frame-ancestors ${ancestors}`);
+  res.type('html').send(`<!DOCTYPE html><html lang="es"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Beast Reader</title><style>html,body{margin:0;background:transparent}</style></head><body>
+<script src="/widget.js" data-key="${attr(req.query.key)}" data-ids="${attr(req.query.ids)}" data-theme="${attr(req.query.theme)}"></script>
+</body></html>`);
+});
+
+// Admin: GET|POST /api/admin/api-keys, PATCH|DELETE /api/admin/api-keys/:id, GET …/:id/usage
+app.get('/api/admin/api-keys', requireAdmin, async (_req, res) => {
+  try {
+    res.json({ ok: true, keys: await listApiKeys() });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// POST { name, origins: ['https://agencia.do'], perMinute?, perDay? } — the key is shown once
+app.post('/api/admin/api-keys', requireAdmin, async (req, res) => {
+  try {
+    res.json({ ok: true, ...await createApiKey(req.body || {}, { actor: req.admin }) });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+app.patch('/api/admin/api-keys/:id', requireAdmin, async (req, res) => {
+  try {
+    const key = await updateApiKey(req.params.id, req.body || {});
+    res.status(key ? 200 : 404).json({ ok: !!key, key });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+app.delete('/api/admin/api-keys/:id', requireAdmin, async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(req.params.id);
+    res.status(revoked ? 200 : 404).json({ ok: revoked });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.get('/api/admin/api-keys/:id/usage', requireAdmin, async (req, res) => {
+  try {
+    res.json({ ok: true, usage: await usageFor(req.params.id, { days: Number(req.query.days) || 30 }) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// GET /api/latest?states=ny,nj,… — every requested state (all of them by default) in one
+// response, keyed by catalog id with each draw's date and status (see getLatestMany);
+// same ETag / 304 handling as the per-state route
+app.get('/api/latest', latestMany);
+async function latestMany(req, res) {
+  const states = [...new Set((list(req.query.states) || listAdapters().map(a => a.state)).map(s => s.toLowerCase()))];
+  const unknown = states.filter(s => !getAdapter(s));
+  if (unknown.length) return res.status(400).json({ ok: false, error: 'unknown_state', states: unknown });
+  try {
+    const { body, etag, maxAge } = await getLatestMany(states);
+    // keyed answers must not land in a shared cache
+    res.set({ ETag: etag, 'Cache-Control': req.apiKey ? 'private, max-age=0' : `public, max-age=0, s-maxage=${maxAge}` });
+    if (req.fresh) return res.status(304).end();
+    res.json(body);
+  } catch (e) {
+    console.log('[ERROR] latest', e.message);
+    res.status(500).json({ ok: false, error: e.message });
+  }
 }
 
-// API
+// GET /api/:state/latest — cached (see lib/latest.js); adds cachedAt / stale / servedFrom
+// and answers If-None-Match with 304 while the results haven't changed
 app.get('/api/:state/latest', async (req, res) => {
   const key = req.params.state;
-  if (!U[key]) return res.status(404).json({ error: 'unknown_state' });
+  const adapter = getAdapter(key);
+  if (!adapter) return res.status(404).json({ error: 'unknown_state' });
   try {
-    const data = await combinedPair(key);
-    // Persist to Mongo (one doc per draw occurrence)
-    try {
-      const { dates = {}, midday, evening, night } = data;
-      if (midday && dates.midday) {
-        const [p3, p4] = midday.split('-');
-        await upsertDrawResult({ state: key, draw: 'Midday', dateISO: dates.midday, pick3: p3, pick4: p4 });
-      }
-      if (evening && dates.evening) {
-        const [p3, p4] = evening.split('-');
-        await upsertDrawResult({ state: key, draw: 'Evening', dateISO: dates.evening, pick3: p3, pick4: p4 });
-      }
-      if (night && dates.night) {
-        const [p3, p4] = night.split('-');
-        await upsertDrawResult({ state: key, draw: 'Night', dateISO: dates.night, pick3: p3, pick4: p4 });
-      }
-    } catch (e) {
-      console.warn('Mongo upsert skipped:', e.message);
-    }
-    res.status(200).json(data);
+    const { body, etag, maxAge } = await getLatest(key);
+    res.set({ ETag: etag, 'Cache-Control': `public, max-age=0, s-maxage=${maxAge}` });
+    if (req.fresh) return res.status(304).end();
+    res.status(200).json(body);
   } catch (e) {
     console.log('[ERROR]', key, e?.response?.status || e.message);
-    res.status(200).json({ dateISO: eastCoastDateISO(), midday: null, evening: null, night: null });
+    res.status(200).json({ ...emptyLatest(eastCoastDateISO()), cachedAt: null, stale: true, servedFrom: null });
   }
 });
 
-// GET /api/:state/history?draw=Evening&from=YYYY-MM-DD&to=YYYY-MM-DD
-app.get('/api/:state/history', async (req, res) => {
-  const db = await getDb();
+// GET /api/:state/history?draw=Evening&from=YYYY-MM-DD&to=YYYY-MM-DD&number=123&limit=50&cursor=…
+// Newest first, `limit` rows per page (max 500) with the `total` matching the filters; pass
+// `nextCursor` back as `cursor` for the next page. draw (optional) accepts the stored name,
+// the key or a board alias, like the revisions route; number matches any game's digits.
+app.get('/api/:state/history', historyPage);
+async function historyPage(req, res) {
   const state = req.params.state;
-  const draw = req.query.draw || undefined; // optional
+  const draw = req.query.draw ? (findDraw(getAdapter(state), req.query.draw)?.name || req.query.draw) : undefined;
   const from = req.query.from || '1900-01-01';
   const to = req.query.to || '9999-12-31';
+  const { number, limit, cursor } = req.query;
+  if (cursor && !decodeCursor(cursor)) return res.status(400).json({ ok: false, error: 'bad_cursor' });
 
-  const q = { state, dateISO: { $gte: from, $lte: to } };
-  if (draw) q.draw = draw;
-
-  const rows = await getDb().collection('draw_results')
-    .find(q).sort({ dateISO: -1, draw: 1 }).project({ _id: 0 }).toArray();
+  try {
+    const page = await listHistory({ state, draw, from, to, number }, { limit, cursor });
+
+    // rows not migrated yet still come back with a games list
+    res.json({
+      state, draw: draw || null, from, to, number: number || null,
+      total: page.total, nextCursor: page.nextCursor,
+      results: page.results.map(r => ({ ...r, ...resultValue(r) }))
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+}
 
-  res.json({ state, draw: draw || null, from, to, results: rows });
+// GET /api/:state/stats?draw=Evening&game=p4&from=YYYY-MM-DD&to=YYYY-MM-DD
+// Hot/cold units, frequency per position, days since each number last hit, pairs, repeats
+// and sums over the window (see lib/stats.js). draw is optional; game defaults to the draw's first.
+app.get('/api/:state/stats', async (req, res) => {
+  const { draw, game, from, to } = req.query;
+  if ([from, to].some(d => d && !/^\d{4}-\d{2}-\d{2}$/.test(d))) return res.status(400).json({ ok: false, error: 'bad_date' });
+  try {
+    res.set('Cache-Control', 'public, max-age=0, s-maxage=300');
+    res.json({ ok: true, ...await statsFor(req.params.state, { draw, game, from, to }) });
+  } catch (e) {
+    res.status(/unknown game/.test(e.message) ? 400 : 500).json({ ok: false, error: e.message });
+  }
 });
 
 // GET /api/:state/by-date/:dateISO
-app.get('/api/:state/by-date/:dateISO', async (req, res) => {
-  const db = await getDb();
+app.get('/api/:state/by-date/:dateISO', byDate);
+async function byDate(req, res) {
+  const { state, dateISO } = req.params;
+  try {
+    const rows = await resultsOn({ state, dateISO });
+    const pack = { state, dateISO, draws: {} };
+    for (const r of rows) {
+      pack.draws[r.draw] = { ...resultValue(r), status: r.status || 'unverified', verified: !!r.verified };
+    }
+    res.json(pack);
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+}
+
+// GET /api/:state/:draw/:dateISO/revisions — every recorded change to one draw result
+// :draw accepts the stored name, the key or a board alias (ct/Day -> Midday)
+app.get('/api/:state/:draw/:dateISO/revisions', async (req, res) => {
   const { state, dateISO } = req.params;
-  const rows = await getDb().collection('draw_results')
-    .find({ state, dateISO }).project({ _id: 0 }).toArray();
-  const pack = { state, dateISO, draws: {} };
-  for (const r of rows) pack.draws[r.draw] = { pick3: r.pick3, pick4: r.pick4, combo: r.combo };
-  res.json(pack);
+  const draw = findDraw(getAdapter(state), req.params.draw)?.name || req.params.draw;
+  try {
+    const current = await findResult({ state, draw, dateISO });
+    const revisions = await listRevisions({ state, draw, dateISO });
+    res.json({ state, draw, dateISO, current, revisions });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
 });
 
 // Static UI + health
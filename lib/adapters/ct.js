@@ -0,0 +1,36 @@
+// Connecticut – Play 3 / Play 4. The board calls these draws Day/Night.
+// Dedicated midday-3/4 pages (and play-3/4 for Night) show the numbers without
+// an adjacent draw label; the generic play-3/4 page needs a label-aware row match.
+const CT = 'https://www.lotteryusa.com/connecticut/';
+const archive = (slug) => `${CT}${slug}/year?year={year}`;
+const LN = 'https://www.lottery.net/connecticut/'; // second source
+
+export default {
+  state: 'ct',
+  name: 'Connecticut',
+  strategy: 'rowByLabel',
+  draws: {
+    midday: {
+      label: 'Midday', aliases: ['Day'],
+      games: {
+        p3: {
+          sources: [{ url: CT + 'midday-3/', strategy: 'firstInLatest' }, CT + 'play-3/'],
+          verify: [{ url: LN + 'play-3', strategy: 'byLabel' }],
+          archive: archive('midday-3')
+        },
+        p4: {
+          sources: [{ url: CT + 'midday-4/', strategy: 'firstInLatest' }, CT + 'play-4/'],
+          verify: [{ url: LN + 'play-4', strategy: 'byLabel' }],
+          archive: archive('midday-4')
+        }
+      }
+    },
+    evening: {
+      label: 'Night', aliases: ['Night'], strategy: 'firstInLatest', // Night lives on play-3/4
+      games: {
+        p3: { sources: [CT + 'play-3/'], verify: [{ url: LN + 'play-3', strategy: 'byLabel' }], archive: archive('play-3') },
+        p4: { sources: [CT + 'play-4/'], verify: [{ url: LN + 'play-4', strategy: 'byLabel' }], archive: archive('play-4') }
+      }
+    }
+  }
+};
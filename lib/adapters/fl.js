@@ -0,0 +1,29 @@
+// Florida – Pick 3 / Pick 4, plus Pick 2 / Pick 5
+const FL = 'https://www.lotteryusa.com/florida/';
+const archive = (slug) => `${FL}${slug}/year?year={year}`;
+const LN = 'https://www.lottery.net/florida/'; // second source
+
+export default {
+  state: 'fl',
+  name: 'Florida',
+  draws: {
+    midday: {
+      label: 'Midday',
+      games: {
+        p3: { sources: [FL + 'midday-pick-3/', FL + 'pick-3/'], verify: [LN + 'pick-3'], archive: archive('midday-pick-3') },
+        p4: { sources: [FL + 'midday-pick-4/', FL + 'pick-4/'], verify: [LN + 'pick-4'], archive: archive('midday-pick-4') },
+        p2: { sources: [FL + 'midday-pick-2/'] },
+        p5: { sources: [FL + 'midday-pick-5/'] }
+      }
+    },
+    evening: {
+      label: 'Evening',
+      games: {
+        p3: { sources: [FL + 'pick-3/'], verify: [LN + 'pick-3'], archive: archive('pick-3') },
+        p4: { sources: [FL + 'pick-4/'], verify: [LN + 'pick-4'], archive: archive('pick-4') },
+        p2: { sources: [FL + 'pick-2/'] },
+        p5: { sources: [FL + 'pick-5/'] }
+      }
+    }
+  }
+};
@@ -0,0 +1,35 @@
+// Georgia – Cash 3 / Cash 4, three draws a day.
+// Dedicated pages (midday-3/4, cash-3/4-evening, cash-3/4 for Night) carry a
+// single draw; the state landing page needs the label search.
+const GA = 'https://www.lotteryusa.com/georgia/';
+const dedicated = (slug) => ({ url: GA + slug + '/', strategy: 'firstInLatest' });
+const archive = (slug) => `${GA}${slug}/year?year={year}`;
+const LN = 'https://www.lottery.net/georgia/'; // second source
+
+export default {
+  state: 'ga',
+  name: 'Georgia',
+  draws: {
+    midday: {
+      label: 'Midday',
+      games: {
+        p3: { sources: [dedicated('midday-3'), GA], verify: [LN + 'cash-3'], archive: archive('midday-3') },
+        p4: { sources: [dedicated('midday-4'), GA], verify: [LN + 'cash-4'], archive: archive('midday-4') }
+      }
+    },
+    evening: {
+      label: 'Evening',
+      games: {
+        p3: { sources: [dedicated('cash-3-evening'), GA], verify: [LN + 'cash-3'], archive: archive('cash-3-evening') },
+        p4: { sources: [dedicated('cash-4-evening'), GA], verify: [LN + 'cash-4'], archive: archive('cash-4-evening') }
+      }
+    },
+    night: {
+      label: 'Night',
+      games: {
+        p3: { sources: [dedicated('cash-3'), GA], verify: [LN + 'cash-3'], archive: archive('cash-3') },
+        p4: { sources: [dedicated('cash-4'), GA], verify: [LN + 'cash-4'], archive: archive('cash-4') }
+      }
+    }
+  }
+};
@@ -0,0 +1,15 @@
+// ── State adapter registry ────────────────────────────────────────────────────
+// One file per state. To add a state, declare its draws/sources in a new file
+// and register it here; nothing in the scraper needs to change.
+import { registerAdapter } from './registry.js';
+import ny from './ny.js';
+import nj from './nj.js';
+import ct from './ct.js';
+import fl from './fl.js';
+import ga from './ga.js';
+import pa from './pa.js';
+import rd from './rd.js';
+
+[ny, nj, ct, fl, ga, pa, rd].forEach(registerAdapter);
+
+export { STRATEGIES, defineAdapter, registerAdapter, getAdapter, listAdapters, findDraw } from './registry.js';
@@ -0,0 +1,33 @@
+// New Jersey – Pick 3 / Pick 4
+const NJ = 'https://www.lotteryusa.com/new-jersey/';
+const archive = (slug) => `${NJ}${slug}/year?year={year}`;
+const LN = 'https://www.lottery.net/new-jersey/'; // second source
+
+export default {
+  state: 'nj',
+  name: 'New Jersey',
+  draws: {
+    midday: {
+      label: 'Midday',
+      games: {
+        p3: {
+          sources: [NJ + 'midday-pick-3/', NJ + 'midday-numbers/', NJ + 'pick-3/'],
+          verify: [LN + 'pick-3'],
+          archive: archive('midday-pick-3')
+        },
+        p4: {
+          sources: [NJ + 'midday-pick-4/', NJ + 'midday-win-4/', NJ + 'pick-4/'],
+          verify: [LN + 'pick-4'],
+          archive: archive('midday-pick-4')
+        }
+      }
+    },
+    evening: {
+      label: 'Evening',
+      games: {
+        p3: { sources: [NJ + 'pick-3/', NJ + 'numbers/'], verify: [LN + 'pick-3'], archive: archive('pick-3') },
+        p4: { sources: [NJ + 'pick-4/', NJ + 'win-4/'], verify: [LN + 'pick-4'], archive: archive('pick-4') }
+      }
+    }
+  }
+};
@@ -0,0 +1,41 @@
+import dayjs from 'dayjs';
+
+// New York – Numbers (P3) and Win 4 (P4)
+const NY = 'https://www.lotteryusa.com/new-york/';
+const archive = (slug) => `${NY}${slug}/year?year={year}`;
+
+// Second source: the lottery's own results on NY Open Data (newest draws first).
+// Evening fields are empty until that night's draw, so take the newest row that has one.
+const OPEN_DATA = 'https://data.ny.gov/resource/hsys-3def.json?$order=draw_date%20DESC&$limit=3';
+const openData = (field) => ({
+  name: 'data.ny.gov',
+  url: OPEN_DATA,
+  bust: false, // Socrata reads unknown query params as column filters
+  strategy: (_$, { raw }) => {
+    const rows = Array.isArray(raw) ? raw : [];
+    const row = rows.find(r => r[field]);
+    if (!row) return { digits: null, date: null };
+    return { digits: String(row[field]).replace(/\D+/g, ''), date: dayjs(String(row.draw_date).slice(0, 10)) };
+  }
+});
+
+export default {
+  state: 'ny',
+  name: 'New York',
+  draws: {
+    midday: {
+      label: 'Midday',
+      games: {
+        p3: { sources: [NY + 'midday-numbers/', NY + 'numbers/'], verify: [openData('midday_daily')], archive: archive('midday-numbers') },
+        p4: { sources: [NY + 'midday-win-4/', NY + 'win-4/'], verify: [openData('midday_win_4')], archive: archive('midday-win-4') }
+      }
+    },
+    evening: {
+      label: 'Evening',
+      games: {
+        p3: { sources: [NY + 'numbers/'], verify: [openData('evening_daily')], archive: archive('numbers') },
+        p4: { sources: [NY + 'win-4/'], verify: [openData('evening_win_4')], archive: archive('win-4') }
+      }
+    }
+  }
+};
@@ -0,0 +1,29 @@
+// Pennsylvania – Pick 3 / Pick 4, plus Pick 2 / Pick 5 from their own pages. PA calls its midday draw “Day”.
+const PA = 'https://www.lotteryusa.com/pennsylvania/';
+const archive = (slug) => `${PA}${slug}/year?year={year}`;
+const LN = 'https://www.lottery.net/pennsylvania/'; // second source
+
+export default {
+  state: 'pa',
+  name: 'Pennsylvania',
+  draws: {
+    midday: {
+      label: 'Day', aliases: ['Day'],
+      games: {
+        p3: { sources: [PA + 'midday-pick-3/', PA], verify: [LN + 'pick-3'], archive: archive('midday-pick-3') },
+        p4: { sources: [PA + 'midday-pick-4/', PA], verify: [LN + 'pick-4'], archive: archive('midday-pick-4') },
+        p2: { sources: [PA + 'midday-pick-2/'] },
+        p5: { sources: [PA + 'midday-pick-5/'] }
+      }
+    },
+    evening: {
+      label: 'Evening',
+      games: {
+        p3: { sources: [PA + 'pick-3/', PA], verify: [LN + 'pick-3'], archive: archive('pick-3') },
+        p4: { sources: [PA + 'pick-4/', PA], verify: [LN + 'pick-4'], archive: archive('pick-4') },
+        p2: { sources: [PA + 'pick-2/'] },
+        p5: { sources: [PA + 'pick-5/'] }
+      }
+    }
+  }
+};
@@ -0,0 +1,28 @@
+// República Dominicana – quinielas: three 2-digit prizes (1ra/2da/3ra) per draw.
+// loteriasdominicanas.com has one page per lottery with a block per draw titled with
+// the game name; the label picks the right block. No second source yet, so these
+// rows stay 'unverified' until an admin confirms them.
+const LD = 'https://loteriasdominicanas.com/';
+
+const quiniela = (name, label, page) => ({
+  name, label, games: { q: { sources: [LD + page] } }
+});
+
+export default {
+  state: 'rd',
+  name: 'República Dominicana',
+  tz: 'America/Santo_Domingo',
+  strategy: 'prizesByLabel',
+  draws: {
+    loteka: quiniela('Loteka', 'Quiniela Loteka', 'loteka'),
+    'nacional-tarde': quiniela('Gana Más', 'Gana M[aá]s', 'loteria-nacional/gana-mas'),
+    'nacional-noche': quiniela('Nacional', 'Loter[ií]a Nacional', 'loteria-nacional/quiniela'),
+    leidsa: quiniela('Leidsa', 'Quiniela Leidsa', 'leidsa/quiniela-pale'),
+    'primera-dia': quiniela('La Primera Día', 'La Primera D[ií]a', 'la-primera/quiniela-medio-dia'),
+    'primera-noche': quiniela('La Primera Noche', 'La Primera Noche', 'la-primera/quiniela-noche'),
+    real: quiniela('Loto Real', 'Quiniela Real', 'loto-real/quiniela'),
+    'suerte-dia': quiniela('La Suerte Día', 'La Suerte 12:30', 'la-suerte-dominicana/quiniela'),
+    'suerte-tarde': quiniela('La Suerte Tarde', 'La Suerte 18:00', 'la-suerte-dominicana/quiniela-tarde'),
+    lotedom: quiniela('Lotedom', 'Quiniela LoteDom', 'lotedom/quiniela')
+  }
+};
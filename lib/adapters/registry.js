@@ -0,0 +1,105 @@
+import {
+  extractFirstInLatest, extractRowByLabel, extractByLabel, extractPrizesByLabel, parseDateFromText
+} from '../extract.js';
+import { GAME_NAMES } from '../result.js';
+
+// ── extraction strategies ─────────────────────────────────────────────────────
+// Every strategy gets the loaded page and { label, n, count, aliases } and returns
+// { digits, date } (either may be null). Adapters refer to them by name or pass
+// their own function.
+export const STRATEGIES = {
+  // Dedicated draw pages – numbers appear without an adjacent draw label
+  firstInLatest: ($, { n }) => ({
+    digits: extractFirstInLatest($, n),
+    date: parseDateFromText($.root().text()) // may be null; that’s OK
+  }),
+  // Generic pages with one row per draw
+  rowByLabel: ($, { label, n, aliases }) => extractRowByLabel($, label, n, aliases),
+  // Look for a row near the label inside "Latest numbers"
+  byLabel: ($, { label, n, aliases }) => extractByLabel($, label, n, aliases),
+  // Quiniela blocks (RD): `count` prizes of n digits under the game's title, joined as "12-34-56"
+  prizesByLabel: ($, { label, n, count, aliases }) => extractPrizesByLabel($, label, n, count, aliases)
+};
+
+// p2..p5 are Pick N games; q is a quiniela, three 2-digit prizes (1ra/2da/3ra)
+const GAME_DIGITS = { p2: 2, p3: 3, p4: 4, p5: 5, q: 2 };
+const GAME_COUNT = { q: 3 };
+const DRAW_NAMES = { midday: 'Midday', evening: 'Evening', night: 'Night' };
+
+const adapters = new Map();
+
+function resolveStrategy(s, where) {
+  const fn = typeof s === 'function' ? s : STRATEGIES[s];
+  if (!fn) throw new Error(`Unknown extraction strategy "${s}" in ${where}`);
+  return fn;
+}
+
+function normaliseSource(s, fallbackStrategy, tag) {
+  const src = typeof s === 'string' ? { url: s } : s;
+  return {
+    url: src.url,
+    name: src.name || new URL(src.url).hostname.replace(/^www\./, ''),
+    bust: src.bust !== false,
+    strategy: resolveStrategy(src.strategy || fallbackStrategy, tag)
+  };
+}
+
+function normaliseArchive(a) {
+  if (!a) return null;
+  return typeof a === 'string' ? { url: a, label: null } : { url: a.url, label: a.label || null };
+}
+
+// Normalise an adapter declaration so the scraper never has to guess:
+// every source ends up as { url, strategy: fn } and every game knows its label and digit count.
+// `verify` (optional) lists independent sources in the same shape as `sources`;
+// a stored result only becomes verified when one of them agrees.
+// `archive` (optional) is a past-results page with a {year} placeholder, used by the backfill;
+// give it a label when the page lists more than one draw.
+export function defineAdapter(def) {
+  const { state, name, tz = 'America/New_York', strategy = 'byLabel', labels = {}, draws = {} } = def;
+  if (!state) throw new Error('Adapter needs a state key');
+
+  const out = { state, name: name || state.toUpperCase(), tz, labels, draws: {} };
+  for (const [key, d] of Object.entries(draws)) {
+    const draw = {
+      key,
+      name: d.name || DRAW_NAMES[key] || key,
+      label: d.label,
+      aliases: d.aliases || [],   // other names the board uses for this draw (CT "Day")
+      format: d.games?.q ? 'prizes' : 'pair', // stored as prizes[] or pick3/pick4
+      games: {}
+    };
+    for (const [game, g] of Object.entries(d.games || {})) {
+      const tag = `${state}.${game}.${key}`;
+      draw.games[game] = {
+        name: g.name || GAME_NAMES[game] || game,   // stored game name ('pick3')
+        digits: g.digits || GAME_DIGITS[game],
+        count: g.count || GAME_COUNT[game] || 1,
+        label: g.label || d.label,
+        sources: (g.sources || []).map(s => normaliseSource(s, g.strategy || d.strategy || strategy, tag)),
+        verify: (g.verify || []).map(s => normaliseSource(s, g.strategy || d.strategy || strategy, `${tag}.verify`)),
+        archive: normaliseArchive(g.archive)
+      };
+    }
+    out.draws[key] = draw;
+  }
+  return out;
+}
+
+export function registerAdapter(def) {
+  const adapter = defineAdapter(def);
+  adapters.set(adapter.state, adapter);
+  return adapter;
+}
+
+export const getAdapter = (state) => adapters.get(state) || null;
+
+// Find a draw by key ('midday'), stored name ('Midday') or alias ('Day'), case-insensitively.
+export function findDraw(adapter, draw) {
+  if (!adapter || !draw) return null;
+  const want = String(draw).toLowerCase();
+  return Object.values(adapter.draws).find(d =>
+    d.key === want || d.name.toLowerCase() === want || d.aliases.some(a => a.toLowerCase() === want)
+  ) || null;
+}
+export const listAdapters = () => [...adapters.values()];
@@ -0,0 +1,76 @@
+import { getAdapter, findDraw } from './adapters/index.js';
+import { setDrawResult } from './db.js';
+import { resultValue, GAME_NAMES } from './result.js';
+import { SEED_CATALOG, getCatalog } from './catalog.js';
+
+// ── Manual result entry ───────────────────────────────────────────────────────
+// The board addresses draws by catalog id ('usa/ct/Day'); the server stores them by
+// adapter state and draw name ('ct' / 'Midday'), following the entry's `source`.
+// Lotteries without a scraper keep the catalog's own names.
+
+const ISO_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export function resolveTarget({ id, state, draw }, catalog = SEED_CATALOG) {
+  const entry = id && catalog.find(e => e.id === id);
+  if (entry?.source) {
+    const d = findDraw(getAdapter(entry.source.state), entry.source.draw);
+    if (d) return { state: entry.source.state, draw: d.name };
+  }
+  if (id) [, state, draw] = String(id).split('/');
+  if (!state || !draw || !/^[a-z0-9-]+$/i.test(state)) return null;
+  state = state.toLowerCase();
+  return { state, draw: findDraw(getAdapter(state), draw)?.name || draw };
+}
+
+export function parsePair({ value, pick3, pick4 }) {
+  if (value != null) [pick3, pick4] = String(value).trim().split(/\s*-\s*/);
+  return /^\d{3}$/.test(pick3 || '') && /^\d{4}$/.test(pick4 || '') ? { pick3, pick4 } : null;
+}
+
+// Quiniela value: three 2-digit prizes, '12-34-56'
+export function parsePrizes({ value, prizes }) {
+  if (value != null) prizes = String(value).trim().split(/\s*-\s*/);
+  return Array.isArray(prizes) && prizes.length === 3 && prizes.every(p => /^\d{2}$/.test(p)) ? { prizes } : null;
+}
+
+// Full games list: [{ game: 'pick3', digits: '123', extras: { fireball: '7' } }, ...]
+const GAME_RE = { pick2: /^\d{2}$/, pick3: /^\d{3}$/, pick4: /^\d{4}$/, pick5: /^\d{5}$/, quiniela: /^\d{2}-\d{2}-\d{2}$/ };
+export function parseGames({ games }) {
+  if (!Array.isArray(games) || !games.length) return null;
+  const known = new Set(Object.values(GAME_NAMES));
+  const ok = games.every(g => g && known.has(g.game) && GAME_RE[g.game].test(String(g.digits || '')) &&
+    Object.values(g.extras || {}).every(v => /^\d{1,2}$/.test(String(v))));
+  return ok ? { games } : null;
+}
+
+// Which value a target takes: the adapter draw's format, or for hand-kept lotteries
+// the catalog section (the rd section holds quinielas).
+export function targetFormat(target, id) {
+  const d = findDraw(getAdapter(target.state), target.draw);
+  if (d) return d.format;
+  return String(id || '').startsWith('rd/') ? 'prizes' : 'pair';
+}
+
+/**
+ * Validate and write a batch of hand-entered rows. Each row is
+ * { id | state+draw, dateISO, value: '123-4567' | pick3+pick4 }; quinielas take '12-34-56' | prizes.
+ * Any row may instead send `games` (see parseGames); games it doesn't list are kept.
+ * Returns one { ok, ... } entry per row in input order; bad rows don't stop the rest.
+ */
+export async function saveManualResults(rows, { source = 'manual', actor, dateISO: defaultDate } = {}) {
+  const out = [];
+  const catalog = await getCatalog();
+  for (const row of rows || []) {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) { out.push({ ok: false, row, error: 'bad_row' }); continue; }
+    const target = resolveTarget(row, catalog);
+    const dateISO = row.dateISO || defaultDate;
+    if (!target) { out.push({ ok: false, row, error: 'unknown_target' }); continue; }
+    const value = row.games ? parseGames(row)
+      : targetFormat(target, row.id) === 'prizes' ? parsePrizes(row) : parsePair(row);
+    if (!value) { out.push({ ok: false, row, error: 'bad_value' }); continue; }
+    if (!ISO_RE.test(dateISO || '')) { out.push({ ok: false, row, error: 'bad_date' }); continue; }
+    const outcome = await setDrawResult({ ...target, dateISO, ...value, source, actor, meta: row.meta || {} });
+    out.push({ ok: true, ...target, dateISO, combo: resultValue(value).combo, outcome });
+  }
+  return out;
+}
@@ -0,0 +1,189 @@
+import crypto from 'crypto';
+import { getDb } from './db.js';
+import { ET, zonedNow } from './drawdate.js';
+
+// ── API keys ──────────────────────────────────────────────────────────────────
+// Partners read /api/v1/* with a key (X-API-Key header, or ?key= for the iframe widget).
+// Like admin sessions, only the key's SHA-256 is stored (api_keys). Each key carries its
+// own limits and the browser origins allowed to use it; every call it makes is counted
+// per key and day (New York calendar day) in api_usage.
+//
+// { id: 'Xy3…', name: 'Agencia Duarte', keyHash, origins: ['https://agencia.do'],
+//   perMinute: 60, perDay: 10000, createdAt, createdBy, revokedAt: null }
+
+export const API_KEYS = {
+  perMinute: 60,          // defaults for a new key
+  perDay: 10000,
+  cacheMs: 60 * 1000      // a key document is re-read at most this often per instance
+};
+
+const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
+
+const posInt = (v, fallback) => {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+// 'https://agencia.do' style origins (scheme + host + optional port), or '*' for any site
+export function normalizeOrigins(origins) {
+  const arr = Array.isArray(origins) ? origins : String(origins || '').split(',');
+  return [...new Set(arr.map(o => String(o).trim().replace(/\/+$/, '')).filter(Boolean).map(o => {
+    if (o === '*' || /^https?:\/\/[a-z0-9.-]+(:\d+)?$/i.test(o)) return o.toLowerCase();
+    throw new Error(`bad origin "${o}" (use https://host[:port] or *)`);
+  }))];
+}
+
+// Requests without an Origin (servers, same-site pages) pass; browsers on other sites
+// need theirs listed on the key
+export function originAllowed(key, origin) {
+  if (!origin) return true;
+  return key.origins.includes('*') || key.origins.includes(origin.toLowerCase());
+}
+
+const publicKey = ({ _id, keyHash, ...rest }) => rest;
+
+/**
+ * Issue a key. The secret is returned here only; the database keeps its hash.
+ * @returns {Promise<{ key: string, id: string, name: string, origins: string[], perMinute: number, perDay: number }>}
+ */
+export async function createApiKey({ name, origins, perMinute, perDay } = {}, { actor } = {}) {
+  name = String(name || '').trim();
+  if (!name) throw new Error('name is required');
+  const key = 'br_' + crypto.randomBytes(24).toString('base64url');
+  const doc = {
+    id: crypto.randomBytes(6).toString('base64url'), name, keyHash: sha256(key),
+    origins: normalizeOrigins(origins),
+    perMinute: posInt(perMinute, API_KEYS.perMinute), perDay: posInt(perDay, API_KEYS.perDay),
+    createdAt: new Date(), createdBy: actor || null, revokedAt: null
+  };
+  const db = await getDb();
+  await db.collection('api_keys').insertOne(doc);
+  return { key, ...publicKey(doc) };
+}
+
+// Change a key's name, origins or limits; null when there's no such key
+export async function updateApiKey(id, patch = {}) {
+  const set = {};
+  if (patch.name !== undefined) set.name = String(patch.name).trim() || null;
+  if (patch.origins !== undefined) set.origins = normalizeOrigins(patch.origins);
+  if (patch.perMinute !== undefined) set.perMinute = posInt(patch.perMinute, API_KEYS.perMinute);
+  if (patch.perDay !== undefined) set.perDay = posInt(patch.perDay, API_KEYS.perDay);
+  const db = await getDb();
+  const res = await db.collection('api_keys').updateOne({ id }, { $set: { ...set, updatedAt: new Date() } });
+  keyCache.clear();
+  return res.matchedCount ? publicKey(await db.collection('api_keys').findOne({ id })) : null;
+}
+
+export async function revokeApiKey(id) {
+  const db = await getDb();
+  const res = await db.collection('api_keys').updateOne({ id, revokedAt: null }, { $set: { revokedAt: new Date() } });
+  keyCache.clear();
+  return res.modifiedCount > 0;
+}
+
+// Every key (newest first) with today's call count
+export async function listApiKeys({ now = new Date() } = {}) {
+  const db = await getDb();
+  const day = zonedNow(ET, now).dateISO;
+  const [keys, usage] = await Promise.all([
+    db.collection('api_keys').find({}).project({ _id: 0, keyHash: 0 }).sort({ createdAt: -1 }).toArray(),
+    db.collection('api_usage').find({ day }).project({ _id: 0 }).toArray()
+  ]);
+  return keys.map(k => ({ ...k, today: usage.find(u => u.keyId === k.id)?.count || 0 }));
+}
+
+// Daily counters of one key, newest first: [{ day, count, routes: { latest: n, … } }]
+export async function usageFor(id, { days = 30 } = {}) {
+  const db = await getDb();
+  return db.collection('api_usage').find({ keyId: id }).project({ _id: 0, keyId: 0 })
+    .sort({ day: -1 }).limit(days).toArray();
+}
+
+// ── Checking a call ───────────────────────────────────────────────────────────
+const keyCache = new Map(); // keyHash -> { doc, at }, issued keys only (unknown secrets are not kept)
+
+async function findKey(secret) {
+  const hash = sha256(secret);
+  const hit = keyCache.get(hash);
+  if (hit && Date.now() - hit.at < API_KEYS.cacheMs) return hit.doc;
+  let doc;
+  try {
+    doc = await (await getDb()).collection('api_keys').findOne({ keyHash: hash });
+  } catch (e) {
+    if (hit) return hit.doc; // database down: keys this instance has already seen keep working
+    throw e;
+  }
+  if (doc) keyCache.set(hash, { doc, at: Date.now() });
+  else keyCache.delete(hash);
+  return doc;
+}
+
+// Fixed one-minute windows per key. They live in the process (a burst guard per
+// instance); the daily quota below is counted in the database, across instances.
+const windows = new Map();
+
+export function takeMinute(id, limit, now = Date.now(), state = windows) {
+  const start = now - (now % 60000);
+  let w = state.get(id);
+  if (!w || w.start !== start) state.set(id, (w = { start, n: 0 }));
+  const retryAfter = Math.ceil((start + 60000 - now) / 1000);
+  if (w.n >= limit) return { ok: false, remaining: 0, retryAfter };
+  w.n++;
+  return { ok: true, remaining: limit - w.n, retryAfter };
+}
+
+/**
+ * Authorize one /api/v1 call and count it. Returns { ok: true, key, remaining } or
+ * { ok: false, status, error, retryAfter? }.
+ *
+ * While the database is unreachable only keys already cached by this instance pass
+ * (anything else gets 503), and their calls go uncounted: the per-minute window is
+ * the only limit until it is back.
+ */
+export async function checkApiKey(secret, { origin, route, now = new Date() } = {}) {
+  if (!secret) return { ok: false, status: 401, error: 'api_key_required' };
+  let key;
+  try {
+    key = await findKey(String(secret));
+  } catch (e) {
+    console.warn('[apikeys] key lookup failed:', e.message);
+    return { ok: false, status: 503, error: 'mongo_unavailable' };
+  }
+  if (!key || key.revokedAt) return { ok: false, status: 401, error: 'invalid_api_key' };
+  if (!originAllowed(key, origin)) return { ok: false, status: 403, error: 'origin_not_allowed' };
+
+  const minute = takeMinute(key.id, key.perMinute, now.getTime());
+  if (!minute.ok) return { ok: false, status: 429, error: 'rate_limited', retryAfter: minute.retryAfter, limit: key.perMinute, remaining: 0 };
+
+  const z = zonedNow(ET, now);
+  try {
+    // check and count in one step: once the day's counter reaches perDay the filter no longer
+    // matches it, and the upsert collides with it on the unique (keyId, day) index
+    await (await getDb()).collection('api_usage').findOneAndUpdate(
+      { keyId: key.id, day: z.dateISO, count: { $lt: key.perDay } },
+      { $inc: { count: 1, [`routes.${route || 'other'}`]: 1 }, $set: { lastAt: now } },
+      { upsert: true }
+    );
+  } catch (e) {
+    if (e.code === 11000) {
+      return { ok: false, status: 429, error: 'daily_quota_exceeded', retryAfter: (1440 - z.minutes) * 60, limit: key.perDay, remaining: 0 };
+    }
+    console.warn(`[apikeys] call by ${key.id} not counted:`, e.message);
+  }
+  return { ok: true, key: publicKey(key), limit: key.perMinute, remaining: minute.remaining };
+}
+
+// Express guard for /api/v1 routes; sets req.apiKey and the X-RateLimit-* headers.
+export function requireApiKey(route) {
+  return (req, res, next) => {
+    checkApiKey(req.get('x-api-key') || req.query.key, { origin: req.get('origin'), route }).then(out => {
+      if (out.limit) res.set({ 'X-RateLimit-Limit': String(out.limit), 'X-RateLimit-Remaining': String(out.remaining) });
+      if (!out.ok) {
+        if (out.retryAfter) res.set('Retry-After', String(out.retryAfter));
+        return res.status(out.status).json({ ok: false, error: out.error });
+      }
+      req.apiKey = out.key;
+      next();
+    }).catch(next);
+  };
+}
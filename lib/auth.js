@@ -0,0 +1,123 @@
+import crypto from 'crypto';
+import { getDb } from './db.js';
+
+// ── Admin authentication ──────────────────────────────────────────────────────
+// Admin users live in admin_users with scrypt-hashed passwords. Logging in issues
+// a random bearer token; only its SHA-256 is stored (admin_sessions), so a leaked
+// database doesn't hand out live sessions. ADMIN_TOKEN, when set, still works as a
+// service token for scripts and cron-style callers.
+
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
+
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT.keylen, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p });
+  return `scrypt$${SCRYPT.N}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [alg, n, salt, hash] = String(stored || '').split('$');
+  if (alg !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const got = crypto.scryptSync(String(password), Buffer.from(salt, 'base64'), expected.length, { N: Number(n), r: SCRYPT.r, p: SCRYPT.p });
+  return crypto.timingSafeEqual(expected, got);
+}
+
+export async function createAdminUser(username, password) {
+  if (!/^[a-z0-9._-]{3,32}$/i.test(username || '')) throw new Error('username: 3-32 letters, digits, . _ -');
+  if (String(password || '').length < 8) throw new Error('password must be at least 8 characters');
+  const db = await getDb();
+  await db.collection('admin_users').createIndex({ username: 1 }, { unique: true });
+  await db.collection('admin_users').updateOne(
+    { username: username.toLowerCase() },
+    { $set: { passwordHash: hashPassword(password), updatedAt: new Date() }, $setOnInsert: { createdAt: new Date() } },
+    { upsert: true }
+  );
+}
+
+export async function login(username, password) {
+  const db = await getDb();
+  const user = await db.collection('admin_users').findOne({ username: String(username || '').toLowerCase() });
+  if (!user || !verifyPassword(password, user.passwordHash)) return null;
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+  const sessions = db.collection('admin_sessions');
+  await sessions.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Mongo drops expired sessions
+  await sessions.insertOne({ tokenHash: sha256(token), username: user.username, createdAt: new Date(), expiresAt });
+  return { token, username: user.username, expiresAt };
+}
+
+export async function logout(token) {
+  const db = await getDb();
+  await db.collection('admin_sessions').deleteOne({ tokenHash: sha256(token) });
+}
+
+// Returns the acting username for a bearer token, or null.
+export async function authenticate(token) {
+  if (!token) return null;
+  const service = process.env.ADMIN_TOKEN;
+  // digests compare at a fixed length whatever the token holds (timingSafeEqual throws on unequal byte lengths)
+  const digest = (s) => crypto.createHash('sha256').update(s).digest();
+  if (service && crypto.timingSafeEqual(digest(token), digest(service))) {
+    return 'service';
+  }
+  const db = await getDb();
+  const s = await db.collection('admin_sessions').findOne({ tokenHash: sha256(token), expiresAt: { $gt: new Date() } });
+  return s ? s.username : null;
+}
+
+export const bearerToken = (req) => (req.get('authorization') || '').replace(/^Bearer\s+/i, '') || null;
+
+// Express guard for admin routes; sets req.admin to the acting username.
+export function requireAdmin(req, res, next) {
+  authenticate(bearerToken(req)).then(user => {
+    if (!user) return res.status(401).json({ ok: false, error: 'unauthorized' });
+    req.admin = user;
+    next();
+  }).catch(next);
+}
+
+// ── Login throttling ──────────────────────────────────────────────────────────
+// Failed logins are counted per client IP and per username, in the process (a guard per
+// instance, like the API keys' minute windows). Past LOGIN_LIMIT.free failures each new
+// one doubles the wait before the next attempt, up to maxMs; a quiet forgetMs resets it.
+export const LOGIN_LIMIT = {
+  free: 5,                    // failures allowed before any wait
+  baseMs: 1000,
+  maxMs: 15 * 60 * 1000,
+  forgetMs: 60 * 60 * 1000
+};
+
+const failures = new Map(); // 'ip:1.2.3.4' | 'user:ana' -> { n, until, at }
+
+export const loginKeys = (ip, username) => [`ip:${ip || '?'}`, `user:${String(username || '').trim().toLowerCase()}`];
+
+const current = (state, k, now) => {
+  const f = state.get(k);
+  return f && now - f.at < LOGIN_LIMIT.forgetMs ? f : null;
+};
+
+// Seconds to wait before these keys may try again (0 = go ahead)
+export function loginWait(keys, now = Date.now(), state = failures) {
+  const until = Math.max(0, ...keys.map(k => current(state, k, now)?.until || 0));
+  return until > now ? Math.ceil((until - now) / 1000) : 0;
+}
+
+export function noteLoginFailure(keys, now = Date.now(), state = failures) {
+  for (const k of keys) {
+    const n = (current(state, k, now)?.n || 0) + 1;
+    const wait = n > LOGIN_LIMIT.free ? Math.min(LOGIN_LIMIT.maxMs, LOGIN_LIMIT.baseMs * 2 ** (n - LOGIN_LIMIT.free - 1)) : 0;
+    state.set(k, { n, until: now + wait, at: now });
+  }
+  if (state.size > 10000) { // a spray of usernames: drop what has been forgotten anyway
+    for (const [k, f] of state) if (now - f.at >= LOGIN_LIMIT.forgetMs) state.delete(k);
+  }
+}
+
+export function clearLoginFailures(keys, state = failures) {
+  for (const k of keys) state.delete(k);
+}
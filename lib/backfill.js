@@ -0,0 +1,191 @@
+import * as cheerio from 'cheerio';
+import { getAdapter, findDraw } from './adapters/index.js';
+import { getPageHtml } from './scraper.js';
+import { labelRegex, parseDateFromText, pickConsecutiveSingleDigitNodes, pickNDigitsFromTextSafe } from './extract.js';
+import { getDb } from './db.js';
+import { resultValue } from './result.js';
+
+// ── Historical backfill ───────────────────────────────────────────────────────
+// Crawls each game's yearly past-results page (adapter `archive`), pairs P3/P4
+// rows by date and inserts what draw_results doesn't have yet. Work is split into
+// one unit per draw and year; finished units are recorded in backfill_jobs so an
+// interrupted run picks up where it stopped. Existing rows are never modified:
+// a different stored value is reported as a conflict. A dry run keeps its own progress
+// ('dry:<job>'), so it too can be paged over several calls; it is dropped once the dry
+// run has covered every unit, and the next dry run starts over.
+
+const ISO_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Past-results tables list one draw per row: a date cell and the digits.
+// Returns Map(dateISO -> digits), first row wins for a date.
+export function parseArchivePage(html, { n, label = null, aliases } = {}) {
+  const $ = cheerio.load(html);
+  const labelRe = label ? labelRegex(label, aliases) : null;
+  const out = new Map();
+  $('tr').each((_, tr) => {
+    const $tr = $(tr);
+    if (labelRe && !labelRe.test($tr.text())) return;
+    let date = null, digits = null;
+    $tr.children('td,th').each((_, td) => {
+      const $td = $(td);
+      // the date cell must not be read as digits ("Oct 17, 2026" -> "172")
+      const d = !date && parseDateFromText($td.text());
+      if (d) { date = d; return; }
+      if (!digits) digits = pickConsecutiveSingleDigitNodes($, $td, n) || pickNDigitsFromTextSafe($, $td, n);
+    });
+    if (!date || !date.isValid() || !digits) return;
+    const iso = date.format('YYYY-MM-DD');
+    if (!out.has(iso)) out.set(iso, digits);
+  });
+  return out;
+}
+
+function pickDraws(adapter, draw) {
+  if (!draw) return Object.values(adapter.draws);
+  const found = findDraw(adapter, draw);
+  if (!found) throw new Error(`Unknown draw "${draw}" for ${adapter.state}`);
+  return [found];
+}
+
+function yearsBetween(from, to) {
+  const years = [];
+  for (let y = Number(from.slice(0, 4)); y <= Number(to.slice(0, 4)); y++) years.push(y);
+  return years;
+}
+
+async function readArchive(adapter, draw, game, year) {
+  const g = draw.games[game];
+  if (!g?.archive) throw new Error(`no archive page for ${adapter.state}.${game}.${draw.key}`);
+  const url = g.archive.url.replace('{year}', year);
+  const html = await getPageHtml(url);
+  return { url, rows: parseArchivePage(html, { n: g.digits, label: g.archive.label, aliases: adapter.labels }) };
+}
+
+/**
+ * Run (or resume) a backfill.
+ * @param {object} o
+ * @param {string} o.state     adapter key, e.g. 'ny'
+ * @param {string} [o.draw]    draw key or name ('midday' / 'Midday'); all draws when omitted
+ * @param {string} o.from      YYYY-MM-DD, inclusive
+ * @param {string} o.to        YYYY-MM-DD, inclusive
+ * @param {boolean} [o.dryRun] report what would be inserted/conflict; writes nothing
+ * @param {number} [o.maxUnits] stop after this many draw-years (serverless time limits)
+ * @param {boolean} [o.restart] ignore recorded progress
+ */
+export async function runBackfill({ state, draw, from, to, dryRun = false, maxUnits = Infinity, restart = false }) {
+  const adapter = getAdapter(state);
+  if (!adapter) throw new Error(`Unknown state "${state}"`);
+  if (!ISO_RE.test(from || '') || !ISO_RE.test(to || '') || from > to) throw new Error('from/to must be YYYY-MM-DD with from <= to');
+  const draws = pickDraws(adapter, draw);
+
+  const db = await getDb();
+  const jobs = db.collection('backfill_jobs');
+  const realId = `${state}:${draws.map(d => d.name).join('+')}:${from}:${to}`;
+  const jobId = dryRun ? `dry:${realId}` : realId;
+  const units = draws.flatMap(d => yearsBetween(from, to).map(year => ({ id: `${d.name}/${year}`, draw: d, year })));
+
+  let job = restart ? null : await jobs.findOne({ _id: jobId });
+  if (!job) {
+    // a new dry run skips what the real job has already done, as a real run would
+    const real = dryRun && !restart ? await jobs.findOne({ _id: realId }) : null;
+    job = {
+      _id: jobId, state, draws: draws.map(d => d.name), from, to, dryRun, done: [...(real?.done || [])],
+      counts: { inserted: 0, unchanged: 0, conflicts: 0, incomplete: 0 }, createdAt: new Date()
+    };
+  }
+
+  const report = {
+    job: jobId, dryRun,
+    units: { total: units.length, done: job.done.length, ran: 0 },
+    inserted: 0, unchanged: 0, conflicts: [], incomplete: [], errors: []
+  };
+  if (dryRun) report.rows = [];
+
+  for (const unit of units) {
+    if (job.done.includes(unit.id)) continue;
+    if (report.units.ran >= maxUnits) break;
+    report.units.ran++;
+
+    const { draw: d, year } = unit;
+    try {
+      const [p3, p4] = await Promise.all([readArchive(adapter, d, 'p3', year), readArchive(adapter, d, 'p4', year)]);
+      const dates = [...new Set([...p3.rows.keys(), ...p4.rows.keys()])]
+        .filter(x => x >= from && x <= to).sort();
+
+      const existing = new Map((await db.collection('draw_results')
+        .find({ state, draw: d.name, dateISO: { $in: dates } }).toArray()).map(r => [r.dateISO, r]));
+
+      const ops = [];
+      let inserted = 0, unchanged = 0, conflicts = 0, incomplete = 0;
+      for (const dateISO of dates) {
+        const pick3 = p3.rows.get(dateISO), pick4 = p4.rows.get(dateISO);
+        if (!pick3 || !pick4) {
+          incomplete++;
+          report.incomplete.push({ draw: d.name, dateISO, pick3: pick3 || null, pick4: pick4 || null });
+          continue;
+        }
+        const combo = `${pick3}-${pick4}`;
+        const ex = existing.get(dateISO);
+        if (ex && ex.combo === combo) { unchanged++; continue; }
+        if (ex) {
+          conflicts++;
+          report.conflicts.push({ draw: d.name, dateISO, stored: ex.combo, archive: combo, storedSource: ex.source || null });
+          continue;
+        }
+        inserted++;
+        if (dryRun) { report.rows.push({ draw: d.name, dateISO, combo }); continue; }
+        ops.push({
+          updateOne: {
+            filter: { state, draw: d.name, dateISO },
+            update: {
+              $setOnInsert: {
+                state, draw: d.name, dateISO, ...resultValue({ pick3, pick4 }),
+                status: 'unverified', verified: false,
+                source: 'backfill', meta: { archive: [p3.url, p4.url] }, scrapedAt: new Date()
+              }
+            },
+            upsert: true
+          }
+        });
+      }
+
+      if (ops.length) {
+        const res = await db.collection('draw_results').bulkWrite(ops, { ordered: false });
+        // only rows this run actually created get a revision
+        const revisions = Object.keys(res.upsertedIds || {}).map(i => {
+          const { filter, update } = ops[i].updateOne;
+          const row = update.$setOnInsert;
+          return {
+            ...filter, action: 'insert', prev: null,
+            next: { ...resultValue(row), status: 'unverified' },
+            source: 'backfill', actor: 'backfill', meta: row.meta, at: new Date()
+          };
+        });
+        if (revisions.length) await db.collection('draw_result_revisions').insertMany(revisions);
+      }
+      job.done.push(unit.id);
+      job.counts.inserted += inserted;
+      job.counts.unchanged += unchanged;
+      job.counts.conflicts += conflicts;
+      job.counts.incomplete += incomplete;
+      job.updatedAt = new Date();
+      await jobs.replaceOne({ _id: jobId }, job, { upsert: true });
+      report.inserted += inserted;
+      report.unchanged += unchanged;
+    } catch (e) {
+      // unit stays pending; the next run retries it
+      report.errors.push({ unit: unit.id, error: e?.response?.status || e.message });
+    }
+  }
+
+  report.units.done = job.done.length;
+  report.complete = job.done.length === units.length;
+  report.totals = job.counts;
+  if (dryRun && report.complete) await jobs.deleteOne({ _id: jobId });
+  return report;
+}
+
+export async function listBackfillJobs() {
+  const db = await getDb();
+  return db.collection('backfill_jobs').find({}).sort({ updatedAt: -1 }).limit(100).toArray();
+}
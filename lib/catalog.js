@@ -0,0 +1,177 @@
+import { getAdapter, findDraw } from './adapters/index.js';
+import { getDb } from './db.js';
+import { timesOn } from './drawdate.js';
+
+// ── Lottery catalog ───────────────────────────────────────────────────────────
+// One entry per lottery draw the board shows. The catalog owns the schedule
+// (time zone, draw/close times, weekdays, per-weekday overrides, holiday skips) and
+// maps each board id to the scraper's adapter state/draw through `source`.
+//
+// { id: 'usa/ct/Day', section: 'usa', lottery: 'Connecticut', draw: 'Day',
+//   tz: 'America/New_York', drawTime: '13:57', closeTime: '13:37', days: [0..6],
+//   schedule: { 0: { drawTime, closeTime } },   // optional weekday overrides
+//   skipDates: ['2026-12-25'], visible: true, order: 4,
+//   source: { state: 'ct', draw: 'midday' } }    // null when nothing scrapes it
+
+export const SECTIONS = ['usa', 'rd', 'special'];
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+const ET = 'America/New_York';
+const SD = 'America/Santo_Domingo';
+
+const seed = (id, lottery, drawTime, closeTime, source, extra = {}) => {
+  const [section, , draw] = id.split('/');
+  return { id, section, lottery, draw, tz: ET, drawTime, closeTime, days: EVERY_DAY, schedule: {}, skipDates: [], visible: true, source, ...extra };
+};
+const rd = (id, lottery, drawTime, closeTime, draw, extra = {}) =>
+  seed(id, lottery, drawTime, closeTime, { state: 'rd', draw }, { tz: SD, ...extra });
+
+// Built-in entries (the draws the board shipped with, plus later additions); see applySeed
+export const SEED_CATALOG = [
+  seed('usa/ny/Midday', 'New York', '14:30', '14:10', { state: 'ny', draw: 'midday' }),
+  seed('usa/ny/Evening', 'New York', '22:30', '22:10', { state: 'ny', draw: 'evening' }),
+  seed('usa/nj/Midday', 'New Jersey', '12:59', '12:39', { state: 'nj', draw: 'midday' }),
+  seed('usa/nj/Evening', 'New Jersey', '22:57', '22:37', { state: 'nj', draw: 'evening' }),
+  seed('usa/ct/Day', 'Connecticut', '13:57', '13:37', { state: 'ct', draw: 'midday' }),
+  seed('usa/ct/Night', 'Connecticut', '22:29', '22:09', { state: 'ct', draw: 'evening' }),
+  seed('usa/fl/Midday', 'Florida', '13:30', '13:10', { state: 'fl', draw: 'midday' }),
+  seed('usa/fl/Evening', 'Florida', '21:45', '21:25', { state: 'fl', draw: 'evening' }),
+  seed('special/ny-bk/AM', 'NY-BK', '12:00', '11:40', null),
+  seed('special/ny-bk/PM', 'NY-BK', '22:00', '21:40', null),
+  seed('usa/ga/Midday', 'Georgia', '12:29', '12:09', { state: 'ga', draw: 'midday' }),
+  seed('usa/ga/Evening', 'Georgia', '23:34', '23:14', { state: 'ga', draw: 'evening' }),
+  seed('usa/ga/Night', 'Georgia', '23:59', '23:39', { state: 'ga', draw: 'night' }),
+  seed('usa/pa/Day', 'Pennsylvania', '13:35', '13:15', { state: 'pa', draw: 'midday' }),
+  seed('usa/pa/Evening', 'Pennsylvania', '18:59', '18:39', { state: 'pa', draw: 'evening' }),
+  // Santo Domingo quinielas (Santo Domingo time)
+  rd('rd/primera/Dia', 'La Primera', '12:00', '11:50', 'primera-dia', { draw: 'Día' }),
+  rd('rd/suerte/Dia', 'La Suerte', '12:30', '12:20', 'suerte-dia', { draw: 'Día' }),
+  rd('rd/real/Mediodia', 'Loto Real', '12:55', '12:45', 'real', { draw: 'Mediodía' }),
+  rd('rd/lotedom/Tarde', 'Lotedom', '13:55', '13:45', 'lotedom'),
+  rd('rd/nacional/Tarde', 'Nacional', '14:30', '14:20', 'nacional-tarde', { draw: 'Gana Más' }),
+  rd('rd/suerte/Tarde', 'La Suerte', '18:00', '17:50', 'suerte-tarde'),
+  rd('rd/loteka/Noche', 'Loteka', '19:55', '19:45', 'loteka'),
+  rd('rd/primera/Noche', 'La Primera', '20:00', '19:50', 'primera-noche'),
+  rd('rd/nacional/Noche', 'Nacional', '20:50', '20:40', 'nacional-noche', { schedule: { 0: { drawTime: '18:00', closeTime: '17:50' } } }),
+  rd('rd/leidsa/Noche', 'Leidsa', '20:55', '20:45', 'leidsa', { schedule: { 0: { drawTime: '15:55', closeTime: '15:45' } } })
+].map((e, i) => ({ ...e, order: i }));
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+const ISO = /^\d{4}-\d{2}-\d{2}$/;
+
+function validTz(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Check and normalise one entry; throws with a field-specific message. */
+export function validateEntry(e, i = 0) {
+  const where = `catalog[${i}]`;
+  if (!e || typeof e !== 'object') throw new Error(`${where}: not an object`);
+  const id = String(e.id || '').trim();
+  const [section, slug, draw] = id.split('/');
+  if (!SECTIONS.includes(section) || !/^[a-z0-9-]+$/.test(slug || '') || !draw) {
+    throw new Error(`${where}.id must look like "usa/ny/Midday"`);
+  }
+  const tz = e.tz || ET;
+  if (!validTz(tz)) throw new Error(`${where}.tz "${tz}" is not a time zone`);
+  if (!HHMM.test(e.drawTime || '')) throw new Error(`${where}.drawTime must be HH:mm`);
+  if (e.closeTime && !HHMM.test(e.closeTime)) throw new Error(`${where}.closeTime must be HH:mm`);
+  const days = Array.isArray(e.days) ? [...new Set(e.days.map(Number))].sort() : EVERY_DAY;
+  if (days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) throw new Error(`${where}.days must be weekday numbers 0-6`);
+
+  const schedule = {};
+  for (const [wd, t] of Object.entries(e.schedule || {})) {
+    if (!/^[0-6]$/.test(wd)) throw new Error(`${where}.schedule keys must be weekdays 0-6`);
+    if (!t || typeof t !== 'object' || (t.drawTime && !HHMM.test(t.drawTime)) || (t.closeTime && !HHMM.test(t.closeTime))) {
+      throw new Error(`${where}.schedule.${wd} times must be HH:mm`);
+    }
+    schedule[wd] = { drawTime: t.drawTime || null, closeTime: t.closeTime || null };
+  }
+  const skipDates = (e.skipDates || []).map(String);
+  if (skipDates.some(d => !ISO.test(d))) throw new Error(`${where}.skipDates must be YYYY-MM-DD`);
+
+  let source = null;
+  if (e.source && e.source.state) {
+    const adapter = getAdapter(e.source.state);
+    const d = findDraw(adapter, e.source.draw);
+    if (!adapter || !d) throw new Error(`${where}.source ${e.source.state}/${e.source.draw} has no scraper`);
+    source = { state: adapter.state, draw: d.key };
+  }
+
+  return {
+    id, section, lottery: String(e.lottery || slug).trim(), draw: String(e.draw || draw).trim(),
+    tz, drawTime: e.drawTime, closeTime: e.closeTime || null, days, schedule, skipDates,
+    visible: e.visible !== false, order: Number.isFinite(Number(e.order)) ? Number(e.order) : i, source
+  };
+}
+
+// Draw and close time of an entry on a date (null when it doesn't run); lives with the
+// other draw-date rules so the board can use it too
+export { timesOn };
+
+// Catalog entries that point at a scraper state/draw
+export const entriesFor = (catalog, state, drawKey) =>
+  catalog.filter(e => e.source?.state === state && (!drawKey || e.source.draw === drawKey));
+
+// ── storage ───────────────────────────────────────────────────────────────────
+let cached = { at: 0, list: null };
+const CACHE_MS = 60 * 1000;
+
+// Seed entries are added once each: catalog_seed remembers which ids were handed out,
+// so entries added to SEED_CATALOG later show up while ones an admin deleted stay deleted.
+async function applySeed(db) {
+  const meta = db.collection('settings');
+  const seeded = new Set((await meta.findOne({ _id: 'catalog_seed' }))?.ids || []);
+  const fresh = SEED_CATALOG.filter(e => !seeded.has(e.id));
+  if (!fresh.length) return;
+  await db.collection('catalog').bulkWrite(fresh.map(e => ({
+    updateOne: { filter: { id: e.id }, update: { $setOnInsert: { ...e } }, upsert: true }
+  })));
+  await meta.updateOne({ _id: 'catalog_seed' }, { $addToSet: { ids: { $each: fresh.map(e => e.id) } } }, { upsert: true });
+}
+
+export async function getCatalog({ fresh = false } = {}) {
+  if (!fresh && cached.list && Date.now() - cached.at < CACHE_MS) return cached.list;
+  const db = await getDb();
+  await applySeed(db);
+  const list = await db.collection('catalog').find({}).project({ _id: 0 }).sort({ order: 1, id: 1 }).toArray();
+  cached = { at: Date.now(), list };
+  return list;
+}
+
+export async function replaceCatalog(entries, { actor } = {}) {
+  // entries missing from the list are deleted, so a bad body must not wipe the catalog
+  if (!Array.isArray(entries) || !entries.length) throw new Error('catalog must be a non-empty array');
+  const list = entries.map(validateEntry);
+  const ids = new Set();
+  for (const e of list) {
+    if (ids.has(e.id)) throw new Error(`duplicate id ${e.id}`);
+    ids.add(e.id);
+  }
+  const col = (await getDb()).collection('catalog');
+  await col.deleteMany({ id: { $nin: [...ids] } });
+  await col.bulkWrite(list.map(e => ({
+    replaceOne: { filter: { id: e.id }, replacement: { ...e, updatedAt: new Date(), updatedBy: actor || null }, upsert: true }
+  })));
+  cached = { at: 0, list: null };
+  return getCatalog({ fresh: true });
+}
+
+export async function saveEntry(entry, { actor } = {}) {
+  const e = validateEntry(entry);
+  const col = (await getDb()).collection('catalog');
+  await col.replaceOne({ id: e.id }, { ...e, updatedAt: new Date(), updatedBy: actor || null }, { upsert: true });
+  cached = { at: 0, list: null };
+  return e;
+}
+
+export async function deleteEntry(id) {
+  const col = (await getDb()).collection('catalog');
+  const res = await col.deleteOne({ id });
+  cached = { at: 0, list: null };
+  return res.deletedCount > 0;
+}
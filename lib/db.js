@@ -0,0 +1,368 @@
+import 'dotenv/config';
+import { MongoClient } from 'mongodb';
+import { RESULT_SCHEMA, resultValue, toGames, mergeGames, overlayGames, gamesKey } from './result.js';
+import { createLocalDb } from './localdb.js';
+
+// ── Storage backend ───────────────────────────────────────────────────────────
+// MongoDB unless STORAGE says otherwise: with STORAGE=memory or STORAGE=file the same
+// collections live in process (lib/localdb.js), saved to STORAGE_FILE for `file`, so the
+// API, worker and scripts run with no database server. It is never picked implicitly: a
+// deploy missing MONGODB_URI fails loudly instead of keeping results in a throwaway store. Everything goes through getDb();
+// the local store has no aggregation, so statistics compute theirs in JS there.
+export const STORAGE = {
+  file: '.data/beast-reader.json',
+  selectMs: 5000,        // give up on an unreachable server quickly…
+  retryMs: 30 * 1000     // …and don't try again for a while
+};
+
+export function storageKind(env = process.env) {
+  const kind = env.STORAGE || 'mongo';
+  if (!['mongo', 'file', 'memory'].includes(kind)) throw new Error(`STORAGE must be mongo, file or memory (got "${kind}")`);
+  return kind;
+}
+
+let __local = null;
+
+// Use this database handle instead of the configured backend (tests; null to reset)
+export function setDb(db) {
+  __local = db;
+}
+
+let __mongo = { client: null, db: null };
+let connecting = null, downUntil = 0;
+
+async function openMongo() {
+  const uri = process.env.MONGODB_URI;
+  const dbName = process.env.MONGODB_DB || 'beastbet';
+  if (!uri) throw new Error('MONGODB_URI missing');
+
+  const client = new MongoClient(uri, { maxPoolSize: 10, serverSelectionTimeoutMS: STORAGE.selectMs });
+  await client.connect();
+  const db = client.db(dbName);
+  await ensureIndexes(db);
+
+  __mongo.client = client;
+  __mongo.db = db;
+  return db;
+}
+
+// A failed connect is remembered for STORAGE.retryMs, so requests fail fast meanwhile
+async function connectMongo() {
+  if (__mongo.db) return __mongo.db;
+  if (Date.now() < downUntil) throw new Error('mongo_unavailable');
+  connecting ||= openMongo()
+    .catch((e) => { downUntil = Date.now() + STORAGE.retryMs; throw e; })
+    .finally(() => { connecting = null; });
+  return connecting;
+}
+
+async function ensureIndexes(db) {
+  await db.collection('draw_results').createIndex(
+    { state: 1, draw: 1, dateISO: 1 }, { unique: true }
+  );
+  await db.collection('draw_results').createIndex(
+    { state: 1, draw: 1, dateISO: -1 }
+  );
+  await db.collection('draw_results').createIndex( // stats across a state's draws
+    { state: 1, 'games.game': 1, dateISO: -1 }
+  );
+  await db.collection('draw_conflicts').createIndex(
+    { state: 1, draw: 1, dateISO: 1, resolved: 1 }
+  );
+  await db.collection('draw_result_revisions').createIndex(
+    { state: 1, draw: 1, dateISO: 1, at: 1 }
+  );
+  await db.collection('catalog').createIndex({ id: 1 }, { unique: true });
+  await db.collection('api_keys').createIndex({ keyHash: 1 }, { unique: true });
+  await db.collection('api_keys').createIndex({ id: 1 }, { unique: true });
+  await db.collection('api_usage').createIndex({ keyId: 1, day: 1 }, { unique: true });
+}
+
+export const getDb = async () => {
+  if (__local) return __local;
+  if (storageKind() === 'mongo') return await connectMongo(); // the same db once connected
+  __local = createLocalDb({ file: storageKind() === 'file' ? process.env.STORAGE_FILE || STORAGE.file : null });
+  await ensureIndexes(__local);
+  return __local;
+};
+
+// Close the connection (or save the local file) before a script exits
+export async function closeDb() {
+  if (__local) await __local.close();
+  if (!__mongo.client) return;
+  await __mongo.client.close();
+  __mongo = { client: null, db: null };
+}
+
+// $set a result value and drop the legacy mirror fields it doesn't carry,
+// so a row never keeps a stale pick3/pick4/prizes next to its games
+export function setResultUpdate(value, extra = {}) {
+  const stale = ['pick3', 'pick4', 'prizes'].filter(k => !(k in value));
+  const update = { $set: { ...value, ...extra } };
+  if (stale.length) update.$unset = Object.fromEntries(stale.map(k => [k, '']));
+  return update;
+}
+
+// Insert a draw result, never overwrite stored numbers. Returns 'inserted', 'unchanged',
+// 'extended' (games the row didn't have yet were added) or 'conflict'; a different
+// value for a stored game is kept aside in draw_conflicts for an admin to resolve.
+export async function upsertDrawResult({ state, draw, dateISO, games, pick3, pick4, prizes, source = 'official', meta = {}, actor = 'scraper' }) {
+  const value = resultValue({ games, pick3, pick4, prizes });
+  if (!dateISO || !value) return null; // nothing to store
+  const db = await getDb();
+  const col = db.collection('draw_results');
+  const res = await col.updateOne(
+    { state, draw, dateISO },
+    {
+      $setOnInsert: {
+        state, draw, dateISO, ...value, source, meta,
+        status: 'unverified', verified: false, scrapedAt: new Date()
+      }
+    },
+    { upsert: true }
+  );
+  if (res.upsertedCount) {
+    await recordRevision({
+      state, draw, dateISO, action: 'insert', prev: null,
+      next: { ...value, status: 'unverified' }, source, actor, meta
+    });
+    return 'inserted';
+  }
+
+  const existing = await col.findOne({ state, draw, dateISO });
+  const merged = mergeGames(toGames(existing), value.games);
+  if (merged.conflict) {
+    await recordConflict(existing, { ...value, source, meta }, { actor });
+    return 'conflict';
+  }
+  if (!merged.extended) return 'unchanged';
+  const next = resultValue({ games: merged.games });
+  const upd = await col.updateOne({ _id: existing._id, combo: existing.combo }, setResultUpdate(next));
+  if (!upd.modifiedCount) return 'unchanged'; // another writer got there first
+  await recordRevision({
+    state, draw, dateISO, action: 'extend',
+    prev: revisionValue(existing), next: { ...next, status: existing.status || 'unverified' }, source, actor, meta
+  });
+  return 'extended';
+}
+
+// ── Queued writes ─────────────────────────────────────────────────────────────
+// Results scraped while MongoDB is unreachable wait here (the oldest are dropped past
+// QUEUE.max) and go through upsertDrawResult once it answers again (flushQueued).
+export const QUEUE = { max: 1000 };
+const queued = [];
+let flushing = null;
+
+export function queueResults(writes) {
+  queued.push(...writes);
+  queued.splice(0, Math.max(0, queued.length - QUEUE.max));
+}
+
+export const queuedCount = () => queued.length;
+
+// Write the queue in order; stops at the first failure, leaving the rest queued
+export function flushQueued() {
+  flushing ||= (async () => {
+    let n = 0;
+    while (queued.length) {
+      await upsertDrawResult(queued[0]);
+      queued.shift();
+      n++;
+    }
+    return n;
+  })().finally(() => { flushing = null; });
+  return flushing;
+}
+
+// Explicit write by a person (admin save, approved OCR row). Unlike upsertDrawResult this
+// may change existing numbers – it is the correction path – and it settles open conflicts.
+// Games not mentioned in the write are kept.
+export async function setDrawResult({ state, draw, dateISO, games, pick3, pick4, prizes, source = 'manual', actor, meta = {} }) {
+  const db = await getDb();
+  const col = db.collection('draw_results');
+  const before = await col.findOne({ state, draw, dateISO });
+  const incoming = toGames({ games, pick3, pick4, prizes });
+  const value = resultValue({ games: before ? overlayGames(toGames(before), incoming) : incoming });
+  const { combo } = value;
+  if (before && before.combo === combo && before.status === 'verified' && !mergeGames(toGames(before), incoming).extended) return 'unchanged';
+
+  await col.updateOne(
+    { state, draw, dateISO },
+    {
+      ...setResultUpdate(value, {
+        state, draw, dateISO, source, meta,
+        status: 'verified', verified: true, verifiedAt: new Date(), verifiedBy: [actor]
+      }),
+      $setOnInsert: { scrapedAt: new Date() }
+    },
+    { upsert: true }
+  );
+  await db.collection('draw_conflicts').updateMany(
+    { state, draw, dateISO, resolved: false },
+    { $set: { resolved: true, resolvedAt: new Date(), resolvedBy: actor, kept: combo } }
+  );
+  await recordRevision({
+    state, draw, dateISO, action: before ? 'correct' : 'insert',
+    prev: revisionValue(before), next: { ...value, status: 'verified' }, source, actor, meta
+  });
+  return before ? 'updated' : 'inserted';
+}
+
+// Remove every stored result of one day (optionally only some states). Each removed
+// row leaves a 'delete' revision with its last value.
+export async function deleteDrawResults({ dateISO, states, actor }) {
+  const db = await getDb();
+  const col = db.collection('draw_results');
+  const q = { dateISO };
+  if (states?.length) q.state = { $in: states };
+  const rows = await col.find(q).toArray();
+  if (!rows.length) return 0;
+  await col.deleteMany({ _id: { $in: rows.map(r => r._id) } });
+  await db.collection('draw_result_revisions').insertMany(rows.map(r => ({
+    state: r.state, draw: r.draw, dateISO, action: 'delete',
+    prev: revisionValue(r), next: null, source: 'manual', actor, meta: {}, at: new Date()
+  })));
+  return rows.length;
+}
+
+// One open conflict per (draw occurrence, incoming value); repeated scrapes only bump `seen`.
+export async function recordConflict(row, incoming, { actor = 'scraper' } = {}) {
+  const db = await getDb();
+  const { state, draw, dateISO } = row;
+  await db.collection('draw_conflicts').updateOne(
+    { state, draw, dateISO, 'incoming.key': gamesKey(toGames(incoming)), resolved: false },
+    {
+      $setOnInsert: {
+        state, draw, dateISO, resolved: false, createdAt: new Date(),
+        stored: { ...resultValue(row), source: row.source || null },
+        incoming: { ...resultValue(incoming), key: gamesKey(toGames(incoming)), source: incoming.source, meta: incoming.meta || {} }
+      },
+      $set: { lastSeenAt: new Date() },
+      $inc: { seen: 1 }
+    },
+    { upsert: true }
+  );
+  // flag the row so boards/admins can see it is disputed; its numbers stay as they were
+  const res = await db.collection('draw_results').updateOne(
+    { state, draw, dateISO, status: { $ne: 'conflict' } },
+    { $set: { status: 'conflict', verified: false } }
+  );
+  if (res.modifiedCount) {
+    await recordRevision({
+      state, draw, dateISO, action: 'conflict',
+      prev: revisionValue(row), next: { ...revisionValue(row), status: 'conflict' },
+      source: incoming.source, actor, meta: { incoming: incoming.combo, ...(incoming.meta || {}) }
+    });
+  }
+}
+
+// ── Schema migration ──────────────────────────────────────────────────────────
+// Rows written before schema 2 only have pick3/pick4/prizes; give them a games list.
+// The numbers don't change, so no revision is recorded. Safe to run repeatedly.
+export async function migrateDrawResults({ dryRun = false, batchSize = 500 } = {}) {
+  const db = await getDb();
+  const col = db.collection('draw_results');
+  const report = { scanned: 0, migrated: 0, skipped: [] };
+  let ops = [];
+  const flush = async () => {
+    if (ops.length && !dryRun) await col.bulkWrite(ops, { ordered: false });
+    ops = [];
+  };
+  for await (const row of col.find({ schema: { $ne: RESULT_SCHEMA } })) {
+    report.scanned++;
+    const value = resultValue(row);
+    if (!value) { report.skipped.push({ state: row.state, draw: row.draw, dateISO: row.dateISO }); continue; }
+    report.migrated++;
+    ops.push({ updateOne: { filter: { _id: row._id, schema: { $ne: RESULT_SCHEMA } }, update: setResultUpdate(value) } });
+    if (ops.length >= batchSize) await flush();
+  }
+  await flush();
+  return report;
+}
+
+// ── Revisions ─────────────────────────────────────────────────────────────────
+// draw_result_revisions is append-only: one document per change to a draw_results
+// row (insert, status change, corrected numbers), with where it came from and who did it.
+export const revisionValue = (row) => row
+  ? { ...resultValue(row), combo: row.combo, status: row.status || 'unverified' }
+  : null;
+
+export async function recordRevision({ state, draw, dateISO, action, prev = null, next = null, source = null, actor = 'system', meta = {} }) {
+  const db = await getDb();
+  await db.collection('draw_result_revisions').insertOne({
+    state, draw, dateISO, action, prev, next, source, actor, meta, at: new Date()
+  });
+}
+
+export async function listRevisions({ state, draw, dateISO }) {
+  const db = await getDb();
+  return db.collection('draw_result_revisions')
+    .find({ state, draw, dateISO }).sort({ at: 1 }).project({ _id: 0 }).toArray();
+}
+
+// ── Reads ─────────────────────────────────────────────────────────────────────
+// Stored rows of some draw occurrences ({ state, draw, dateISO }), in no particular order
+export async function findResults(keys, { projection = { _id: 0 } } = {}) {
+  if (!keys.length) return [];
+  const db = await getDb();
+  return db.collection('draw_results')
+    .find({ $or: keys.map(({ state, draw, dateISO }) => ({ state, draw, dateISO })) }).project(projection).toArray();
+}
+
+export async function findResult({ state, draw, dateISO }) {
+  const db = await getDb();
+  return db.collection('draw_results').findOne({ state, draw, dateISO }, { projection: { _id: 0 } });
+}
+
+// Every stored draw of a state on one date
+export async function resultsOn({ state, dateISO }) {
+  const db = await getDb();
+  return db.collection('draw_results').find({ state, dateISO }).project({ _id: 0 }).toArray();
+}
+
+// ── History pages ─────────────────────────────────────────────────────────────
+// Newest first (dateISO desc, draw asc). The cursor is the last row's position, opaque
+// to clients: pass `nextCursor` back to get the following page.
+export const HISTORY = { limit: 50, maxLimit: 500 };
+
+export const encodeCursor = ({ dateISO, draw }) => Buffer.from(JSON.stringify([dateISO, draw])).toString('base64url');
+
+export function decodeCursor(cursor) {
+  try {
+    const [dateISO, draw] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    return typeof dateISO === 'string' && typeof draw === 'string' ? { dateISO, draw } : null;
+  } catch {
+    return null;
+  }
+}
+
+// The filter for a history query; `number` matches any game's digits ('123', '41', '07-41')
+export function historyFilter({ state, draw, from = '1900-01-01', to = '9999-12-31', number }) {
+  const q = { state, dateISO: { $gte: from, $lte: to } };
+  if (draw) q.draw = draw;
+  const n = String(number || '').replace(/[^\d-]/g, '');
+  if (n) q['games.digits'] = { $regex: n };
+  return q;
+}
+
+/**
+ * One page of stored results plus the total matching the filters.
+ * @returns {Promise<{ total: number, results: object[], nextCursor: string|null }>}
+ */
+export async function listHistory(filters, { limit = HISTORY.limit, cursor } = {}) {
+  const db = await getDb();
+  const col = db.collection('draw_results');
+  const q = historyFilter(filters);
+  limit = Math.min(Math.max(parseInt(limit, 10) || HISTORY.limit, 1), HISTORY.maxLimit);
+  const after = cursor ? decodeCursor(cursor) : null;
+  const page = after
+    ? { $and: [q, { $or: [{ dateISO: { $lt: after.dateISO } }, { dateISO: after.dateISO, draw: { $gt: after.draw } }] }] }
+    : q;
+  const [total, rows] = await Promise.all([
+    col.countDocuments(q),
+    col.find(page).sort({ dateISO: -1, draw: 1 }).limit(limit + 1).project({ _id: 0 }).toArray()
+  ]);
+  const more = rows.length > limit;
+  const results = rows.slice(0, limit);
+  return { total, results, nextCursor: more ? encodeCursor(results.at(-1)) : null };
+}
@@ -0,0 +1,140 @@
+// ── Draw dates ────────────────────────────────────────────────────────────────
+// Which calendar day a draw belongs to, for the API and the board alike: the board
+// loads this file as a module from /api/drawdate.js, so it imports nothing and works
+// on plain 'YYYY-MM-DD' strings and Intl.
+//
+// Every date is a day in the lottery's own time zone (catalog `tz`: New York for the
+// US states, Santo Domingo (AST, no DST) for the quinielas), never the server's or the
+// device's. Pages usually print dates without a year and sometimes still show the
+// previous draw, so a scraped date is checked against the catalog schedule before it
+// is believed.
+export const ET = 'America/New_York';
+
+export const DRAW_DATE = {
+  postedLateMin: 180   // a draw just before midnight may be posted under the next day's date
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+
+// Wall-clock date, minute of day and weekday of `d` in a time zone
+export function zonedNow(tz, d = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: tz || ET, hourCycle: 'h23', weekday: 'short',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+    }).formatToParts(d).map(p => [p.type, p.value])
+  );
+  return {
+    dateISO: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+export const zonedDateISO = (tz, d = new Date()) => zonedNow(tz, d).dateISO;
+
+// Calendar arithmetic on 'YYYY-MM-DD' (UTC noon, so no zone can shift the day)
+const utcNoon = (dateISO) => new Date(`${dateISO}T12:00:00Z`);
+export const addDays = (dateISO, n) => new Date(utcNoon(dateISO).getTime() + n * 864e5).toISOString().slice(0, 10);
+export const weekdayOf = (dateISO) => utcNoon(dateISO).getUTCDay();
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// 'YYYY-MM-DD' for a real calendar date, else null (no Feb 30)
+export function calendarDate(y, m, d) {
+  const iso = `${y}-${pad(m)}-${pad(d)}`;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(iso)) return null;
+  const t = utcNoon(iso);
+  return !isNaN(t) && t.toISOString().slice(0, 10) === iso ? iso : null;
+}
+
+/**
+ * A month and day printed without a year, placed in the year that puts it closest to
+ * `today`: "Dec 31" read on Jan 1 is last year's, "Jan 1" read on Dec 31 next year's.
+ */
+export function inferYear(month, day, today) {
+  const y = Number(today.slice(0, 4));
+  const t = utcNoon(today).getTime();
+  const options = [y - 1, y, y + 1].map(Y => calendarDate(Y, month, day)).filter(Boolean);
+  if (!options.length) return null;
+  return options.sort((a, b) => Math.abs(utcNoon(a).getTime() - t) - Math.abs(utcNoon(b).getTime() - t))[0];
+}
+
+/**
+ * Draw and close time of an entry on a given date, or null when it doesn't run
+ * (weekday not scheduled, or a skipped holiday).
+ */
+export function timesOn(entry, dateISO, weekday = weekdayOf(dateISO)) {
+  if ((entry.skipDates || []).includes(dateISO)) return null;
+  if (!(entry.days || EVERY_DAY).includes(weekday)) return null;
+  const o = entry.schedule?.[weekday] || {};
+  return { drawTime: o.drawTime || entry.drawTime, closeTime: o.closeTime || entry.closeTime || null };
+}
+
+export const toMinutes = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+};
+
+/**
+ * The entry's scheduled occurrences around `now`, newest first, looking back `days`
+ * days: [{ dateISO, minutesSinceDraw }] (negative = not drawn yet).
+ */
+export function occurrences(entry, now = new Date(), { days = 1 } = {}) {
+  const z = zonedNow(entry.tz, now);
+  const out = [];
+  for (let back = 0; back <= days; back++) {
+    const dateISO = addDays(z.dateISO, -back);
+    const times = timesOn(entry, dateISO);
+    if (times) out.push({ dateISO, minutesSinceDraw: z.minutes + back * 1440 - toMinutes(times.drawTime) });
+  }
+  return out;
+}
+
+/**
+ * Where an entry's draw on `dateISO` stands at `now`, for countdowns: `closeIn` and
+ * `drawIn` are the seconds left until closeTime and drawTime (negative once passed), and
+ * `phase` is 'open' (before closeTime), 'closed' (closed, not drawn yet), 'drawn' or
+ * 'none' (no draw that day).
+ */
+export function drawPhase(entry, dateISO, now = new Date()) {
+  const times = timesOn(entry, dateISO);
+  if (!times) return { phase: 'none', closeIn: null, drawIn: null };
+  const z = zonedNow(entry.tz, now);
+  const dayOffset = Math.round((utcNoon(dateISO) - utcNoon(z.dateISO)) / 864e5);
+  const nowSec = z.minutes * 60 + now.getUTCSeconds();
+  const left = (hhmm) => dayOffset * 86400 + toMinutes(hhmm) * 60 - nowSec;
+  const drawIn = left(times.drawTime);
+  const closeIn = times.closeTime ? left(times.closeTime) : drawIn;
+  return { phase: closeIn > 0 ? 'open' : drawIn > 0 ? 'closed' : 'drawn', closeIn, drawIn };
+}
+
+// The most recent occurrence whose draw time has passed (within a week), or null
+export const lastOccurrence = (entry, now = new Date()) =>
+  occurrences(entry, now, { days: 7 }).find(o => o.minutesSinceDraw >= 0) || null;
+
+/**
+ * Which occurrence of an entry a scraped page date belongs to, at `now`:
+ *
+ *   { dateISO, status: 'current' }       the latest drawn occurrence
+ *   { dateISO, status: 'stale' }         an older occurrence: the page hasn't rolled over yet
+ *   { dateISO, status: 'future' }        after the latest occurrence (not drawn yet)
+ *   { dateISO, status: 'unscheduled' }   no draw on that date
+ *   { dateISO: null, status: 'undated' }
+ *
+ * A page dated the day after a late draw (GA Night at 23:59, posted after midnight)
+ * is that draw's: status 'current' with `posted` set to the printed date.
+ */
+export function resolveOccurrence(entry, pageDateISO, now = new Date()) {
+  if (!pageDateISO) return { dateISO: null, status: 'undated' };
+  const latest = lastOccurrence(entry, now);
+  if (latest && pageDateISO === latest.dateISO) return { dateISO: pageDateISO, status: 'current' };
+  if (latest && pageDateISO === addDays(latest.dateISO, 1) && latest.minutesSinceDraw <= DRAW_DATE.postedLateMin &&
+    pageDateISO === zonedDateISO(entry.tz, now)) {
+    return { dateISO: latest.dateISO, status: 'current', posted: pageDateISO };
+  }
+  if (!latest || pageDateISO > latest.dateISO) return { dateISO: pageDateISO, status: 'future' };
+  if (!timesOn(entry, pageDateISO)) return { dateISO: pageDateISO, status: 'unscheduled' };
+  return { dateISO: pageDateISO, status: 'stale' };
+}
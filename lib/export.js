@@ -0,0 +1,172 @@
+import { getDb } from './db.js';
+import { toGames, resultValue } from './result.js';
+import { resolveTarget } from './admin.js';
+import { SECTIONS, SEED_CATALOG, getCatalog, timesOn } from './catalog.js';
+
+// ── Export ────────────────────────────────────────────────────────────────────
+// Stored results by board entry and date range, for staff to send out: one record per
+// catalog entry and date with a stored result. Entries are picked by id (the board's
+// visible ones), or by state / draw; entries hidden in the catalog (visible: false) are
+// left out unless asked for by id. The printable sheet is one day of every section.
+export const EXPORT_COLUMNS = [
+  'dateISO', 'id', 'section', 'lottery', 'draw', 'state', 'stateDraw',
+  'combo', 'pick2', 'pick3', 'pick4', 'pick5', 'quiniela', 'status', 'source'
+];
+
+const lower = (list) => (list || []).map(x => String(x).toLowerCase());
+
+/**
+ * Catalog entries an export covers, each with its draw_results target. `states` and
+ * `draws` match the scraper mapping or the id ('ny', 'midday' / 'Midday' / 'Day').
+ */
+export function exportTargets(catalog, { states, draws, ids } = {}) {
+  const wantIds = ids?.length ? new Set(ids) : null;
+  const wantStates = states?.length ? new Set(lower(states)) : null;
+  const wantDraws = draws?.length ? new Set(lower(draws)) : null;
+  const out = [];
+  for (const entry of catalog) {
+    if (wantIds ? !wantIds.has(entry.id) : entry.visible === false) continue;
+    const target = resolveTarget({ id: entry.id }, catalog);
+    if (!target) continue;
+    if (wantStates && !wantStates.has(target.state)) continue;
+    if (wantDraws && ![entry.draw, target.draw, entry.source?.draw].some(d => d && wantDraws.has(d.toLowerCase()))) continue;
+    out.push({ entry, target });
+  }
+  return out;
+}
+
+// One export record for an entry's stored row
+export function exportRecord(entry, row) {
+  const by = Object.fromEntries(toGames(row).map(g => [g.game, g.digits]));
+  return {
+    dateISO: row.dateISO, id: entry.id, section: entry.section, lottery: entry.lottery, draw: entry.draw,
+    state: row.state, stateDraw: row.draw, combo: resultValue(row)?.combo || '',
+    pick2: by.pick2 || '', pick3: by.pick3 || '', pick4: by.pick4 || '', pick5: by.pick5 || '', quiniela: by.quiniela || '',
+    status: row.status || 'unverified', source: row.source || ''
+  };
+}
+
+const key = (t) => `${t.state}\n${t.draw}`;
+
+/**
+ * Walk the stored rows of the targets between `from` and `to` (oldest first) and call
+ * `onRecord` once per entry and row. Reads with a cursor, so long ranges stream.
+ * @returns {Promise<number>} records sent
+ */
+export async function exportRows({ states, draws, ids, from, to }, onRecord) {
+  const catalog = await getCatalog().catch(() => SEED_CATALOG);
+  const targets = exportTargets(catalog, { states, draws, ids });
+  if (!targets.length) return 0;
+  const byTarget = new Map();
+  for (const t of targets) byTarget.set(key(t.target), [...(byTarget.get(key(t.target)) || []), t.entry]);
+  const db = await getDb();
+  const cursor = db.collection('draw_results')
+    .find({ dateISO: { $gte: from, $lte: to }, $or: targets.map(t => t.target) })
+    .sort({ dateISO: 1, state: 1, draw: 1 }).project({ _id: 0 });
+  let n = 0;
+  for await (const row of cursor) {
+    for (const entry of byTarget.get(key(row)) || []) {
+      await onRecord(exportRecord(entry, row));
+      n++;
+    }
+  }
+  return n;
+}
+
+export const csvCell = (v) => {
+  const s = v == null ? '' : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export const csvLine = (values) => values.map(csvCell).join(',') + '\n';
+
+function splitCsvLine(line) {
+  const out = [];
+  let cur = '', quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') { cur += '"'; i++; } else if (c === '"') quoted = false; else cur += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { out.push(cur); cur = ''; } else cur += c;
+  }
+  out.push(cur);
+  return out.map(s => s.trim());
+}
+
+// CSV with a header row -> { header (lower case), records: [{ column: value }] }; blank lines are skipped
+export function parseCsv(text) {
+  const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/).filter(l => l.trim());
+  if (!lines.length) return { header: [], records: [] };
+  const header = splitCsvLine(lines[0]).map(h => h.toLowerCase());
+  const records = lines.slice(1).map(l => {
+    const cells = splitCsvLine(l);
+    return Object.fromEntries(header.map((h, i) => [h, cells[i] ?? '']));
+  });
+  return { header, records };
+}
+
+// ── Printable daily sheet ─────────────────────────────────────────────────────
+const SECTION_TITLES = { usa: 'USA Lotteries', rd: 'Santo Domingo Lotteries', special: 'Special Lotteries' };
+const STATUS_LABELS = { verified: 'Verificado', unverified: 'Sin verificar', conflict: 'En revisión' };
+
+const esc = (s) => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+/**
+ * The sheet for one date: a table per section, one line per entry in catalog order, with
+ * its draw time, result and status. `rows` are that date's draw_results rows.
+ */
+export function renderSheet({ dateISO, targets, rows }) {
+  const weekday = new Date(`${dateISO}T12:00:00Z`).getUTCDay();
+  const human = new Date(`${dateISO}T12:00:00Z`).toLocaleDateString('es', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+  const rowFor = (t) => rows.find(r => r.state === t.state && r.draw === t.draw);
+  const sections = SECTIONS.map(section => {
+    const lines = targets.filter(t => t.entry.section === section).map(({ entry, target }) => {
+      const times = timesOn(entry, dateISO, weekday);
+      const row = rowFor(target);
+      const result = row ? resultValue(row)?.combo : (times ? '—' : 'Sin sorteo');
+      const status = row ? STATUS_LABELS[row.status || 'unverified'] || row.status : '';
+      return `<tr><td>${esc(entry.lottery)}</td><td>${esc(entry.draw)}</td><td>${times ? esc(times.drawTime) : ''}</td><td class="num">${esc(result)}</td><td class="st">${esc(status)}</td></tr>`;
+    });
+    return lines.length
+      ? `<h2>${SECTION_TITLES[section]}</h2><table><thead><tr><th>Lotería</th><th>Sorteo</th><th>Hora</th><th>Resultado</th><th></th></tr></thead><tbody>${lines.join('')}</tbody></table>`
+      : '';
+  }).join('');
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8" />
+<title>Resultados ${dateISO}</title>
+<style>
+  @page { size: A4; margin: 14mm; }
+  body { font-family: Inter, system-ui, sans-serif; color: #111; margin: 24px auto; max-width: 800px; }
+  h1 { font-size: 22px; margin: 0; } .date { color: #555; margin: 2px 0 12px; text-transform: capitalize; }
+  h2 { font-size: 16px; margin: 18px 0 6px; border-bottom: 2px solid #111; padding-bottom: 2px; }
+  table { width: 100%; border-collapse: collapse; break-inside: avoid; }
+  th, td { text-align: left; padding: 5px 6px; border-bottom: 1px solid #ccc; font-size: 13px; }
+  .num { font-size: 17px; font-weight: 800; letter-spacing: 1px; } .st { color: #666; font-size: 11px; }
+  footer { margin-top: 18px; color: #777; font-size: 11px; }
+  @media print { .no-print { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<p class="no-print"><button onclick="print()">Imprimir / PDF</button></p>
+<h1>Beast Reader — Resultados</h1>
+<p class="date">${esc(human)}</p>
+${sections || '<p>Sin loterías seleccionadas.</p>'}
+<footer>Generado ${esc(new Date().toISOString().replace('T', ' ').slice(0, 16))} UTC</footer>
+</body>
+</html>
+`;
+}
+
+// The sheet for a date, over the same entry selection as exports
+export async function dailySheet({ dateISO, ids }) {
+  const catalog = await getCatalog().catch(() => SEED_CATALOG);
+  const targets = exportTargets(catalog, { ids });
+  const db = await getDb();
+  const rows = targets.length
+    ? await db.collection('draw_results').find({ dateISO, $or: targets.map(t => t.target) }).project({ _id: 0 }).toArray()
+    : [];
+  return renderSheet({ dateISO, targets, rows });
+}
@@ -0,0 +1,232 @@
+import dayjs from 'dayjs';
+import { ET, zonedDateISO, inferYear, calendarDate } from './drawdate.js';
+
+// ── label aliases ─────────────────────────────────────────────────────────────
+// Accept "Day", "Daytime" for Day and just "Night" for night.
+// Adapters can pass their own alias table; anything missing falls back to this.
+export const DEFAULT_LABEL_RE = {
+  Day: /(day(?:time)?)/i,
+  Night: /(night)/i,
+  Midday: /(midday|day(?:time)?)/i,     // allow 'Midday' or 'Day/Daytime'
+  Evening: /(evening|night)/i           // allow 'Evening' or 'Night'
+};
+
+export function labelRegex(label, aliases = {}) {
+  return aliases[label] || DEFAULT_LABEL_RE[label] || new RegExp(label, 'i');
+}
+
+// “YYYY-MM-DD” in America/New_York
+export const eastCoastDateISO = (d = new Date()) => zonedDateISO(ET, d);
+
+// ── helpers to parse date strings we see on pages ──────────────────────────────
+// Extract "the first n-digit result" from the main results area (no label needed)
+export function extractFirstInLatest($, n) {
+  // try a narrow container first (table/list/section under main/article)
+  const scopes = ['main', 'article', 'section', '.results', 'table', 'ul', 'ol'];
+  for (const sel of scopes) {
+    const $blk = $(sel).first();
+    if ($blk.length) {
+      const bySpans = pickConsecutiveSingleDigitNodes($, $blk, n);
+      if (bySpans) return bySpans;
+      const byText = pickNDigitsFromTextSafe($, $blk, n);
+      if (byText) return byText;
+    }
+  }
+  // fall back to whole doc
+  const bySpans = pickConsecutiveSingleDigitNodes($, $.root(), n);
+  if (bySpans) return bySpans;
+  return pickNDigitsFromTextSafe($, $.root(), n);
+}
+
+export function extractRowByLabel($, label, n, aliases) {
+  const labelRe = labelRegex(label, aliases);
+  // Don’t rely on a specific heading; use the whole doc but prefer small blocks that contain both the label and n digits.
+  const rowSel = 'tr, li, .row, .result, .draw, .results-row, .c-results-card, section, article, div';
+  let best = null, bestSize = Infinity;
+  $(rowSel).each((_, el) => {
+    const $el = $(el);
+    const text = $el.text();
+    if (!labelRe.test(text)) return;
+    // must contain at least n digits somewhere
+    const hasNDigits = new RegExp(`\\d[^\\d]*`.repeat(n)).test(text);
+    if (!hasNDigits) return;
+    // Prefer the smallest node that satisfies both conditions
+    const size = $el.text().length;
+    if (size < bestSize) { best = $el; bestSize = size; }
+  });
+  if (!best) return { digits: null, date: null };
+  const d1 = pickConsecutiveSingleDigitNodes($, best, n);
+  const d2 = d1 || pickNDigitsFromTextSafe($, best, n);
+  const date = parseDateFromText(best.text());
+  return d2 ? { digits: d2, date } : { digits: null, date: null };
+}
+
+// A printed date as a dayjs day, or null. Dates without a year take the year nearest
+// `today` (a "Dec 31" page read on Jan 1 is last year's); impossible dates are null.
+const pageDate = (Y, M, D, today) => {
+  if (Y && Y < 100) Y = 2000 + Y;
+  const iso = Y ? calendarDate(Y, M, D) : inferYear(M, D, today);
+  return iso ? dayjs(iso) : null;
+};
+
+export function parseDateFromText(text, today = eastCoastDateISO()) {
+  const t = (text || '').replace(/\s+/g, ' ');
+
+  // Do NOT treat “today/tonight/this evening” as an explicit date.
+  // If we can’t parse a calendar date below, return null and let caller decide.
+
+  // Month-name format: "September 10, 2025" or "Sep 10"
+  const m1 = t.match(/\b(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|Jun(?:e)?|Jul(?:y)?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\s+(\d{1,2})(?:,\s*(\d{4}))?/i);
+  if (m1) {
+    const monthNames = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    const M = monthNames.findIndex(x => m1[1].toLowerCase().startsWith(x)) + 1;
+    return pageDate(m1[3] && parseInt(m1[3], 10), M, parseInt(m1[2], 10), today);
+  }
+
+  // Numeric format: 9/10/2025 or 9/10
+  const m2 = t.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/);
+  if (m2) {
+    return pageDate(m2[3] && parseInt(m2[3], 10), parseInt(m2[1], 10), parseInt(m2[2], 10), today);
+  }
+  return null; // let caller default to "today" instead of scanning the whole section
+}
+
+// Dominican pages write dates day-first: "17-10-2026", "17/10", "17 de octubre de 2026".
+const MESES = ['ene', 'feb', 'mar', 'abr', 'may', 'jun', 'jul', 'ago', 'sep', 'oct', 'nov', 'dic'];
+export function parseDayFirstDate(text, today = eastCoastDateISO()) {
+  const t = (text || '').replace(/\s+/g, ' ');
+  const m1 = t.match(/\b(\d{1,2})\s+(?:de\s+)?(ene(?:ro)?|feb(?:rero)?|mar(?:zo)?|abr(?:il)?|may(?:o)?|jun(?:io)?|jul(?:io)?|ago(?:sto)?|sep(?:t(?:iembre)?)?|oct(?:ubre)?|nov(?:iembre)?|dic(?:iembre)?)\b(?:\s+(?:de(?:l)?\s+)?(\d{4}))?/i);
+  if (m1) {
+    const M = MESES.findIndex(x => m1[2].toLowerCase().startsWith(x)) + 1;
+    return pageDate(m1[3] && parseInt(m1[3], 10), M, parseInt(m1[1], 10), today);
+  }
+  const m2 = t.match(/\b(\d{1,2})[-/](\d{1,2})(?:[-/](\d{2,4}))?\b/);
+  if (m2) {
+    return pageDate(m2[3] && parseInt(m2[3], 10), parseInt(m2[2], 10), parseInt(m2[1], 10), today);
+  }
+  return null;
+}
+
+export function cleanTextBlocks(txt) {
+  let t = (txt || '').replace(/\s+/g, ' ');
+  // strip money, times, and boilerplate that creates false positives
+  t = t.replace(/\$[0-9][0-9,.]*/g, ' ');
+  t = t.replace(/\b\d{1,2}:\d{2}(\s?[ap]m)?\b/gi, ' ');  // 12:59, 9:45pm
+  t = t.replace(/\b(prize|top prize|payout|how to|odds|draws? at)\b[^.!?\n]*/gi, ' ');
+  return t;
+}
+
+// ── digit extraction (structural first, then safe text) ────────────────────────
+export function pickConsecutiveSingleDigitNodes($, $container, n) {
+  const nodes = $container.find('span,div,li,p').toArray()
+    .map(el => $(el).text().trim())
+    .map(t => t && /^[0-9]$/.test(t) ? t : null);
+  for (let i = 0; i <= nodes.length - n; i++) {
+    const slice = nodes.slice(i, i + n);
+    if (slice.every(x => x !== null)) return slice.join('');
+  }
+  return null;
+}
+// Allow digits separated by spaces/spans; then collapse to the first n digits.
+export function pickNDigitsFromTextSafe($, $container, n) {
+  const txt = cleanTextBlocks($container.text());
+  // e.g., "6 4 1" (P3) or "0 2 7 0" (P4) when spans flatten oddly.
+  const mSpan = txt.match(new RegExp(`(?:\\d\\D*){${n}}`));
+  if (mSpan) {
+    const d = mSpan[0].replace(/\D+/g, '').slice(0, n);
+    if (d.length === n) return d;
+  }
+  const mTight = txt.match(new RegExp(`\\d{${n}}`));
+  return mTight ? mTight[0] : null;
+}
+
+export function nearestContainerWithNDigits($, $start, n, $limit) {
+  // climb to the smallest ancestor that actually contains n-digit numbers
+  let $node = $start;
+  for (let i = 0; i < 6; i++) {
+    let $cand = $node.closest('li,article,div,section');
+    if (!$cand.length) break;
+    const has = new RegExp(`\\b\\d{${n}}\\b`).test(cleanTextBlocks($cand.text()));
+    if (has) return $cand;
+    $node = $cand.parent();
+    if ($limit && $node.is($limit)) break;
+  }
+  return $start;
+}
+
+export function extractByLabel($, label, n, aliases) {
+  // 1) Limit scope to the "Latest numbers" section if present
+  let $section = $('section').filter((_, el) => {
+    const h = $(el).find('h1,h2,h3').first().text().trim().toLowerCase();
+    return h.includes('latest') && h.includes('number');
+  }).first();
+  if (!$section.length) $section = $.root();
+
+  // 2) Strict, whole-word label match (e.g., Day / Night / Midday / Evening)
+  const re = labelRegex(label, aliases);
+  const $labelEl = $section.find('*').filter((_, el) =>
+    re.test($(el).text().trim().toLowerCase())
+  ).first();
+  if (!$labelEl.length) return { digits: null, date: null };
+
+  // 3) Walk *forward* from the label (siblings-first) and stop if we hit the next label.
+  const NEXT_LABEL_RE = /\b(day|night|midday|evening)\b/i;
+
+  // Build a list of candidate nodes near the label, in DOM order
+  const candidates = [];
+  let walker = $labelEl;
+  for (let steps = 0; steps < 40; steps++) {
+    // Start with the label node, then explore its immediate next siblings,
+    // then descend one level (avoids jumping to a wide ancestor that contains both draws)
+    const $next = walker.next();
+    if (!$next.length) break;
+    walker = $next;
+
+    const text = walker.text();
+    if (steps > 0 && NEXT_LABEL_RE.test(text) && !re.test(text)) break; // we reached the other draw's block
+
+    candidates.push(walker);
+    // also consider small blocks inside this node
+    candidates.push(...walker.find('li,div,p,span').toArray().map(el => $(el)));
+    if (candidates.length > 80) break;
+  }
+
+  // 4) Prefer digit-by-digit nodes; fall back to safe text
+  for (const $cand of candidates) {
+    const d1 = pickConsecutiveSingleDigitNodes($, $cand, n);
+    if (d1) return { digits: d1, date: parseDateFromText($cand.text()) || parseDateFromText($labelEl.text()) };
+    const d2 = pickNDigitsFromTextSafe($, $cand, n);
+    if (d2) return { digits: d2, date: parseDateFromText($cand.text()) || parseDateFromText($labelEl.text()) };
+  }
+
+  // 5) Last resort: use the label element itself
+  const d3 = pickConsecutiveSingleDigitNodes($, $labelEl, n) || pickNDigitsFromTextSafe($, $labelEl, n);
+  return { digits: d3, date: parseDateFromText($labelEl.text()) };
+}
+
+// Quiniela-style results: a block titled with the game name holding `count` prizes of
+// n digits each ("Quiniela Loteka  12 34 56"). Climbs from the title to the first
+// ancestor holding any prizes; fewer than `count` there means the draw isn't complete
+// (never borrow a neighbouring game's numbers). Returns the prizes joined with '-'.
+export function extractPrizesByLabel($, label, n, count, aliases) {
+  const re = labelRegex(label, aliases);
+  const prize = new RegExp(`^\\d{${n}}$`);
+  // innermost element carrying the title
+  const $title = $('body *').filter((_, el) => re.test($(el).text()) && !$(el).children().toArray().some(c => re.test($(c).text()))).first();
+  if (!$title.length) return { digits: null, date: null };
+
+  let $node = $title;
+  for (let i = 0; i < 6 && $node.length && !$node.is('body'); i++) {
+    // leaf nodes only, so a wrapper and its child don't count as two prizes
+    const prizes = $node.find('span,div,li,p,td').toArray()
+      .filter(x => !$(x).children().length)
+      .map(x => $(x).text().trim())
+      .filter(t => prize.test(t));
+    if (prizes.length) {
+      if (prizes.length < count) break;
+      return { digits: prizes.slice(0, count).join('-'), date: parseDayFirstDate($node.text()) };
+    }
+    $node = $node.parent();
+  }
+  return { digits: null, date: null };
+}
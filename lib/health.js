@@ -0,0 +1,152 @@
+import axios from 'axios';
+import { getDb } from './db.js';
+import { onSourceAttempt } from './scraper.js';
+import { findDraw, listAdapters } from './adapters/index.js';
+import { lastOccurrences } from './ingest.js';
+import { SEED_CATALOG, getCatalog } from './catalog.js';
+import { resultValue, completeCombo } from './result.js';
+
+// ── Scraper health ────────────────────────────────────────────────────────────
+// Every source attempt tryUrls makes is folded into one source_health document per
+// (tag, url): last success, consecutive failures, and counts of HTTP errors, network
+// errors and parse failures (page loaded, selector found nothing). Together with the
+// draws that are overdue (drawTime passed, nothing stored) this is GET /api/status.
+// New problems can be posted to ALERT_WEBHOOK_URL; each one is sent once.
+export const HEALTH = {
+  failingAfter: 3,  // consecutive failures before a source counts as failing
+  overdueMin: 30    // minutes after drawTime without a complete stored result
+};
+
+// 'ny.p3.midday' / 'ny.p3.midday.verify' -> parts
+export function parseTag(tag) {
+  const [state, game, draw, role] = String(tag).split('.');
+  return { state, game, draw, role: role || 'scrape' };
+}
+
+// The source_health upsert for one attempt
+export function healthUpdate(ev) {
+  const filter = { _id: `${ev.tag} ${ev.url}` };
+  const base = { ...parseTag(ev.tag), tag: ev.tag, url: ev.url, source: ev.source || null, rank: ev.rank, lastCheckAt: ev.at };
+  const update = ev.ok
+    ? { $set: { ...base, lastSuccessAt: ev.at, consecutiveFailures: 0 }, $inc: { 'counts.ok': 1 } }
+    : {
+      $set: { ...base, lastFailureAt: ev.at, lastError: { kind: ev.error, status: ev.status || null, message: ev.message || null } },
+      $inc: { consecutiveFailures: 1, [`counts.${ev.error}`]: 1 }
+    };
+  return { filter, update };
+}
+
+export async function recordAttempt(ev) {
+  const { filter, update } = healthUpdate(ev);
+  const db = await getDb();
+  await db.collection('source_health').updateOne(filter, update, { upsert: true });
+}
+
+// Start recording attempts (API process, worker). Returns the function that stops it.
+export function trackSourceHealth() {
+  return onSourceAttempt(ev => {
+    recordAttempt(ev).catch(e => console.log(`[WARN] health ${ev.tag} -> ${e.message}`));
+  });
+}
+
+/**
+ * Latest occurrences whose drawTime is more than HEALTH.overdueMin ago and that have
+ * no complete row among `rows`. One item per scraped draw, with the board ids it feeds.
+ */
+export function overdueDraws(now, catalog, rows) {
+  const out = [];
+  for (const adapter of listAdapters()) {
+    const occ = lastOccurrences(adapter.state, now, { catalog });
+    for (const [key, o] of Object.entries(occ)) {
+      if (o.minutesSinceDraw < HEALTH.overdueMin) continue;
+      const row = rows.find(r => r.state === adapter.state && r.draw === o.draw && r.dateISO === o.dateISO);
+      const d = findDraw(adapter, key);
+      if (completeCombo(d.format, row && resultValue(row))) continue;
+      out.push({
+        state: adapter.state, key, draw: o.draw, dateISO: o.dateISO, minutesLate: o.minutesSinceDraw,
+        partial: !!row,
+        ids: catalog.filter(e => e.source?.state === adapter.state && e.source.draw === key).map(e => e.id)
+      });
+    }
+  }
+  return out;
+}
+
+// Per tag the winning source is the one that succeeded last
+export function summarizeSources(docs) {
+  const winners = new Map();
+  for (const d of docs) {
+    const w = winners.get(d.tag);
+    if (d.lastSuccessAt && (!w || d.lastSuccessAt > w.lastSuccessAt)) winners.set(d.tag, d);
+  }
+  return docs
+    .map(d => ({ ...d, failing: (d.consecutiveFailures || 0) >= HEALTH.failingAfter, winner: winners.get(d.tag) === d }))
+    .sort((a, b) => a.tag.localeCompare(b.tag) || a.rank - b.rank);
+}
+
+/** Everything GET /api/status reports. `ok` is false while anything is overdue or failing. */
+export async function getStatus({ now = new Date() } = {}) {
+  const db = await getDb();
+  const catalog = await getCatalog().catch(() => SEED_CATALOG);
+  const want = listAdapters().flatMap(a => Object.values(lastOccurrences(a.state, now, { catalog }))
+    .map(o => ({ state: a.state, draw: o.draw, dateISO: o.dateISO })));
+  const rows = want.length
+    ? await db.collection('draw_results').find({ $or: want }).project({ _id: 0 }).toArray()
+    : [];
+  const sources = summarizeSources(await db.collection('source_health').find({}).project({ _id: 0 }).toArray());
+  const overdue = overdueDraws(now, catalog, rows);
+  const failing = sources.filter(s => s.failing);
+  return { ok: !overdue.length && !failing.length, checkedAt: now.toISOString(), overdue, failing, sources };
+}
+
+/**
+ * Alerts a status calls for: overdue draws, and sources whose selector stopped matching
+ * (failing with parse errors). Keys identify the problem, so each is sent once; a selector
+ * alert re-arms after the source succeeds again.
+ */
+export function alertsFor(status) {
+  const alerts = status.overdue.map(o => ({
+    key: `overdue:${o.state}/${o.draw}/${o.dateISO}`, kind: 'overdue', state: o.state, draw: o.draw, dateISO: o.dateISO,
+    text: `${o.state.toUpperCase()} ${o.draw} ${o.dateISO}: ${o.partial ? 'incomplete' : 'no result'} ${o.minutesLate} min after the draw`
+  }));
+  for (const s of status.failing) {
+    if (s.lastError?.kind !== 'parse') continue;
+    alerts.push({
+      key: `selector:${s.tag} ${s.url}:${s.lastSuccessAt ? new Date(s.lastSuccessAt).toISOString() : 'never'}`,
+      kind: 'selector', state: s.state, tag: s.tag, url: s.url,
+      text: `${s.tag}: nothing matched on ${s.url} for ${s.consecutiveFailures} reads in a row`
+    });
+  }
+  return alerts;
+}
+
+// POST one alert to ALERT_WEBHOOK_URL ({ text } works with Slack-style hooks). false when unset.
+export async function postWebhook(alert, url = process.env.ALERT_WEBHOOK_URL) {
+  if (!url) return false;
+  await axios.post(url, alert, { timeout: 10000 });
+  return true;
+}
+
+// Compute the status and raise alerts not raised before (health_alerts remembers them);
+// without ALERT_WEBHOOK_URL they are only recorded.
+export async function runHealthChecks({ now = new Date(), notify = postWebhook } = {}) {
+  const status = await getStatus({ now });
+  const db = await getDb();
+  const raised = [], sent = [];
+  for (const alert of alertsFor(status)) {
+    try {
+      await db.collection('health_alerts').insertOne({ _id: alert.key, ...alert, at: now });
+    } catch (e) {
+      if (e.code === 11000) continue; // already sent
+      throw e;
+    }
+    raised.push(alert.key);
+    try {
+      if (await notify(alert)) sent.push(alert.key);
+    } catch (e) {
+      console.log(`[WARN] alert ${alert.key} -> ${e.message}`);
+      await db.collection('health_alerts').deleteOne({ _id: alert.key }); // retry next pass
+    }
+  }
+  return { ok: status.ok, overdue: status.overdue.length, failing: status.failing.length, raised, sent };
+}
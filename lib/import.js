@@ -0,0 +1,172 @@
+import dayjs from 'dayjs';
+import { getDb, upsertDrawResult, setDrawResult } from './db.js';
+import { resultValue, toGames, mergeGames, gamesKey } from './result.js';
+import { resolveTarget, parseGames, targetFormat } from './admin.js';
+import { SEED_CATALOG, getCatalog } from './catalog.js';
+import { eastCoastDateISO } from './extract.js';
+
+// ── Bulk import ───────────────────────────────────────────────────────────────
+// Results from a CSV or JSON file (restores after an outage, partner spreadsheets).
+// A row names its draw by catalog id or state + draw, its date (2026-10-17 or 10/17/2026)
+// and its numbers in any of these columns:
+//
+//   value        '123-4567' (Pick 3 + Pick 4) or '07-41-88' (quiniela), by the draw's format
+//   pick2..pick5 one game each
+//   quiniela     '07-41-88' (or `prizes`, or prize1 / prize2 / prize3)
+//
+// Every row is compared with draw_results first: insert, extend (adds games the row lacks),
+// unchanged, conflict (a stored game differs), duplicate (same row earlier in the file)
+// or invalid. A dry run stops there; otherwise inserts go in one bulk write, extends and
+// (with `overwrite`) conflicts row by row through the same paths scrapes and admins use.
+export const IMPORT = { maxRows: 5000 };
+
+const PICKS = ['pick2', 'pick3', 'pick4', 'pick5'];
+
+// '2026-10-17' or '10/17/2026' -> '2026-10-17'; null unless a real calendar date
+export function importDate(s) {
+  s = String(s || '').trim();
+  const us = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(s);
+  if (us) s = `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return null;
+  return dayjs(s).format('YYYY-MM-DD') === s ? s : null;
+}
+
+const digits = (v) => String(v ?? '').replace(/\s+/g, '');
+// '07 41 88', '07-41-88', '123 - 4567' -> groups joined with '-'
+const dashed = (v) => String(v ?? '').trim().split(/[\s-]+/).filter(Boolean).join('-');
+
+/**
+ * Validate one input row. Returns { target, dateISO, games } or { error }.
+ * `today` (YYYY-MM-DD, New York) rejects dates that haven't happened yet.
+ */
+export function normalizeRow(raw, { catalog = SEED_CATALOG, today = eastCoastDateISO() } = {}) {
+  const target = resolveTarget({ id: raw.id || undefined, state: raw.state, draw: raw.draw }, catalog);
+  if (!target) return { error: 'unknown_target' };
+  const dateISO = importDate(raw.dateISO || raw.date);
+  if (!dateISO) return { error: 'bad_date' };
+  if (dateISO > today) return { error: 'future_date' };
+  const format = targetFormat(target, raw.id);
+
+  let games;
+  if (Array.isArray(raw.games)) {
+    games = raw.games;
+  } else {
+    const by = {};
+    for (const g of PICKS) if (digits(raw[g])) by[g] = digits(raw[g]);
+    const prizes = Array.isArray(raw.prizes) ? raw.prizes.join('-')
+      : raw.quiniela || raw.prizes || [raw.prize1, raw.prize2, raw.prize3].filter(p => digits(p)).join('-');
+    if (digits(prizes)) by.quiniela = dashed(prizes);
+    const value = dashed(raw.value);
+    if (value && format === 'prizes') by.quiniela = value;
+    else if (value) [by.pick3, by.pick4] = value.split('-');
+    games = Object.entries(by).map(([game, d]) => ({ game, digits: d || '' }));
+  }
+  if (!games.length) return { error: 'no_value' };
+  if (!parseGames({ games })) return { error: 'bad_digits' };
+  if (games.some(g => (g.game === 'quiniela') !== (format === 'prizes'))) return { error: 'wrong_game' };
+  return { target, dateISO, games: toGames({ games }) };
+}
+
+const rowKey = (r) => `${r.state}|${r.draw}|${r.dateISO}`;
+
+/**
+ * The diff report: one item per input row, in order, given the normalized rows and the
+ * draw_results rows they touch. Pure; runImport commits what it says.
+ */
+export function planImport(normalized, stored) {
+  const byKey = new Map(stored.map(r => [rowKey(r), r]));
+  const seen = new Map();
+  const items = normalized.map((n, i) => {
+    const line = i + 1;
+    if (n.error) return { line, action: 'invalid', error: n.error };
+    const at = { ...n.target, dateISO: n.dateISO };
+    const item = { line, ...at, games: n.games, combo: resultValue({ games: n.games }).combo };
+    const key = rowKey(at);
+    const first = seen.get(key);
+    if (first) {
+      if (gamesKey(first.games) === gamesKey(n.games)) return { ...item, action: 'duplicate', of: first.line };
+      // two different values for one draw in the file: neither is trusted
+      if (first.action !== 'invalid') Object.assign(first, { action: 'invalid', error: 'conflicting_rows', with: line });
+      return { ...item, action: 'invalid', error: 'conflicting_rows', with: first.line };
+    }
+    seen.set(key, item);
+    const row = byKey.get(key);
+    return Object.assign(item, row ? againstStored(row, n.games) : { action: 'insert' });
+  });
+  return items;
+}
+
+// conflict (a stored game differs), extend (adds games) or unchanged, against a stored row
+function againstStored(row, games) {
+  const merged = mergeGames(toGames(row), games);
+  const stored = resultValue(row)?.combo || null;
+  if (merged.conflict) return { action: 'conflict', stored, storedStatus: row.status || 'unverified' };
+  return { action: merged.extended ? 'extend' : 'unchanged', stored };
+}
+
+export const summarize = (items) => items.reduce((acc, it) => ({ ...acc, [it.action]: (acc[it.action] || 0) + 1 }), {});
+
+/**
+ * Validate, diff and (unless dryRun) store a batch of rows.
+ * @returns {Promise<{ dryRun: boolean, counts: object, items: object[] }>}
+ */
+export async function runImport(rows, { dryRun = false, overwrite = false, actor, now = new Date() } = {}) {
+  if (!Array.isArray(rows) || !rows.length) throw new Error('no rows');
+  if (rows.length > IMPORT.maxRows) throw new Error(`at most ${IMPORT.maxRows} rows per import`);
+  const catalog = await getCatalog().catch(() => SEED_CATALOG);
+  const today = eastCoastDateISO(now);
+  const normalized = rows.map(r => normalizeRow(r || {}, { catalog, today }));
+  const want = normalized.filter(n => !n.error).map(n => ({ ...n.target, dateISO: n.dateISO }));
+  const db = await getDb();
+  const col = db.collection('draw_results');
+  const stored = want.length ? await col.find({ $or: want }).project({ _id: 0 }).toArray() : [];
+  const items = planImport(normalized, stored);
+  if (dryRun) return { dryRun, counts: summarize(items), items };
+
+  const batch = `import-${now.getTime().toString(36)}`;
+  const meta = { batch };
+  const inserts = items.filter(it => it.action === 'insert');
+  if (inserts.length) {
+    const ops = inserts.map(it => ({
+      updateOne: {
+        filter: { state: it.state, draw: it.draw, dateISO: it.dateISO },
+        update: {
+          $setOnInsert: {
+            state: it.state, draw: it.draw, dateISO: it.dateISO, ...resultValue({ games: it.games }),
+            status: 'unverified', verified: false, source: 'import', meta, scrapedAt: now
+          }
+        },
+        upsert: true
+      }
+    }));
+    const res = await col.bulkWrite(ops, { ordered: false });
+    const created = new Set(Object.keys(res.upsertedIds || {}).map(Number));
+    // a row another writer stored in the meantime is judged against what it wrote, so the
+    // loop below extends it or (with `overwrite`) replaces it like any other stored row
+    const lost = inserts.filter((_, i) => !created.has(i));
+    if (lost.length) {
+      const raced = await col.find({ $or: lost.map(it => ({ state: it.state, draw: it.draw, dateISO: it.dateISO })) }).project({ _id: 0 }).toArray();
+      for (const it of lost) {
+        const row = raced.find(r => rowKey(r) === rowKey(it));
+        Object.assign(it, row ? againstStored(row, it.games) : { action: 'unchanged' });
+      }
+    }
+    const revisions = inserts.filter((_, i) => created.has(i)).map(it => ({
+      state: it.state, draw: it.draw, dateISO: it.dateISO, action: 'insert', prev: null,
+      next: { ...resultValue({ games: it.games }), status: 'unverified' },
+      source: 'import', actor, meta, at: now
+    }));
+    if (revisions.length) await db.collection('draw_result_revisions').insertMany(revisions);
+  }
+  for (const it of items) {
+    const at = { state: it.state, draw: it.draw, dateISO: it.dateISO, games: it.games, source: 'import', actor, meta };
+    if (it.action === 'extend') {
+      const outcome = await upsertDrawResult(at);
+      if (outcome !== 'extended') it.action = outcome === 'conflict' ? 'conflict' : 'unchanged';
+    } else if (it.action === 'conflict' && overwrite) {
+      await setDrawResult(at);
+      it.action = 'overwritten';
+    }
+  }
+  return { dryRun, batch, counts: summarize(items), items };
+}
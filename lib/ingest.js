@@ -0,0 +1,232 @@
+import { combinedPair } from './scraper.js';
+import { getAdapter, findDraw } from './adapters/index.js';
+import { upsertDrawResult, findResults, queueResults } from './db.js';
+import { verifyStored } from './verify.js';
+import { SEED_CATALOG, getCatalog } from './catalog.js';
+import { occurrences, lastOccurrence, resolveOccurrence } from './drawdate.js';
+
+// ── Scheduled ingestion ───────────────────────────────────────────────────────
+// A draw is "due" from a few minutes before its drawTime until the burst window
+// closes, on the days the catalog schedules it (holiday skips included). Due draws
+// that are not in draw_results yet get scraped; the worker retries them with backoff, a cron hit does one pass.
+export const BURST = {
+  leadMin: 5,          // start looking a little early, pages sometimes post on time
+  windowMin: 120,      // give up on an occurrence two hours after the draw
+  retryBaseMs: 60 * 1000,
+  retryMaxMs: 10 * 60 * 1000
+};
+
+const occurrenceKey = (x) => `${x.state}/${x.draw}/${x.dateISO}`;
+
+// The entry with its scraper's time zone when the catalog doesn't name one
+const zoned = (entry, adapter) => (entry.tz ? entry : { ...entry, tz: adapter.tz });
+
+// Every draw occurrence whose burst window contains `now`, read from the catalog's
+// scraper-mapped entries. Late draws (GA Night at 23:59) keep yesterday's occurrence
+// open past midnight.
+export function dueDraws(now = new Date(), { states, catalog = SEED_CATALOG } = {}) {
+  const due = [], seen = new Set();
+  for (const entry of catalog) {
+    const adapter = entry.source && getAdapter(entry.source.state);
+    const d = findDraw(adapter, entry.source?.draw);
+    if (!d || (states && !states.includes(adapter.state))) continue;
+    for (const { dateISO, minutesSinceDraw: since } of occurrences(zoned(entry, adapter), now)) {
+      if (since < -BURST.leadMin || since > BURST.windowMin) continue;
+      const occurrence = { state: adapter.state, key: d.key, draw: d.name, dateISO, minutesSinceDraw: since };
+      // two board entries may share one scraped draw
+      if (seen.has(occurrenceKey(occurrence))) continue;
+      seen.add(occurrenceKey(occurrence));
+      due.push(occurrence);
+    }
+  }
+  return due;
+}
+
+// The most recent occurrence of each of a state's scraped draws whose draw time has
+// passed, per the catalog: { [drawKey]: { draw, dateISO, minutesSinceDraw } }. Draws no
+// catalog entry points at are left out.
+export function lastOccurrences(state, now = new Date(), { catalog = SEED_CATALOG } = {}) {
+  const adapter = getAdapter(state);
+  const out = {};
+  for (const entry of catalog) {
+    const d = entry.source?.state === state && findDraw(adapter, entry.source.draw);
+    if (!d || out[d.key]) continue;
+    const last = lastOccurrence(zoned(entry, adapter), now);
+    if (last) out[d.key] = { draw: d.name, ...last };
+  }
+  return out;
+}
+
+/**
+ * Check every draw of a combinedPair() result against the catalog schedule at `now`
+ * (see resolveOccurrence): a draw whose page date isn't its latest occurrence (stale,
+ * not drawn yet, no draw that day, or no date at all) is dropped and listed in
+ * `rejected[key]` with the reason; a late draw posted under the next day's date is
+ * moved back to its own. Draws no catalog entry points at pass through.
+ */
+export function screenPairs(state, data, now = new Date(), { catalog = SEED_CATALOG } = {}) {
+  const adapter = getAdapter(state);
+  const out = { ...data, draws: { ...data.draws }, dates: { ...data.dates }, rejected: {} };
+  for (const d of Object.values(adapter.draws)) {
+    const r = data.draws?.[d.key];
+    const entry = catalog.find(e => e.source?.state === state && e.source.draw === d.key);
+    if (!r || !entry) continue;
+    const at = resolveOccurrence(zoned(entry, adapter), r.dateISO, now);
+    if (at.status === 'current') {
+      if (at.dateISO === r.dateISO) continue;
+      out.draws[d.key] = { ...r, dateISO: at.dateISO };
+      if (out.dates[d.key]) out.dates[d.key] = at.dateISO;
+      continue;
+    }
+    out.rejected[d.key] = { dateISO: r.dateISO, reason: at.status };
+    out.draws[d.key] = null;
+    out[d.key] = null;
+    out.dates[d.key] = null;
+  }
+  out.dateISO = Object.values(out.dates).filter(Boolean).sort().pop() || data.dateISO;
+  return out;
+}
+
+// Store every draw a combinedPair() result carries, complete or not (games found later
+// extend the row); returns what was written with the upsert outcome
+// ('inserted' / 'unchanged' / 'extended' / 'conflict').
+export async function persistPairs(stateKey, data, { source = 'official', meta = {}, queue = false } = {}) {
+  const adapter = getAdapter(stateKey);
+  const writes = [];
+  for (const d of Object.values(adapter.draws)) {
+    const r = data.draws?.[d.key];
+    if (!r || !r.dateISO) continue;
+    const urls = data.sources?.[d.key];
+    writes.push({
+      combo: r.combo,
+      write: {
+        state: stateKey, draw: d.name, dateISO: r.dateISO, games: r.games, source,
+        meta: urls ? { ...meta, urls: Object.values(urls).filter(Boolean) } : meta
+      }
+    });
+  }
+  const stored = [];
+  for (const [i, { combo, write }] of writes.entries()) {
+    try {
+      stored.push({ draw: write.draw, dateISO: write.dateISO, combo, outcome: await upsertDrawResult(write) });
+    } catch (e) {
+      // `queue`: keep what couldn't be written for flushQueued() once the database is back
+      if (queue) queueResults(writes.slice(i).map(w => w.write));
+      throw e;
+    }
+  }
+  return stored;
+}
+
+// One ingestion pass. `ready(item)` lets the worker hold back draws that are
+// still backing off; a cron call tries everything that is due.
+// Result statuses: 'already' (stored and settled), 'waiting' (backing off),
+// 'pending' (not posted yet), then for stored rows the verification outcome:
+// 'verified', 'conflict', 'unverified' (second source not there yet) or 'stored' (no second source).
+export async function runIngest({ now = new Date(), states, ready = () => true } = {}) {
+  const catalog = await getCatalog();
+  const due = dueDraws(now, { states, catalog });
+  const results = [];
+
+  const have = new Map();
+  if (due.length) {
+    const rows = await findResults(due, { projection: { _id: 0, state: 1, draw: 1, dateISO: 1, status: 1 } });
+    rows.forEach(r => have.set(occurrenceKey(r), r));
+  }
+
+  const scrape = new Map(), check = [];
+  for (const x of due) {
+    const row = have.get(occurrenceKey(x));
+    if (row && (row.status === 'verified' || row.status === 'conflict')) {
+      results.push({ ...x, status: 'already' });
+      continue;
+    }
+    if (!ready(x)) { results.push({ ...x, status: 'waiting' }); continue; }
+    if (row) { check.push({ x, fresh: false }); continue; }
+    if (!scrape.has(x.state)) scrape.set(x.state, []);
+    scrape.get(x.state).push(x);
+  }
+
+  // One scrape per state covers all of its draws; states run one after another
+  // so a burst doesn't hit the source site with every page at once.
+  for (const [state, items] of scrape) {
+    let data = null;
+    try {
+      data = screenPairs(state, await combinedPair(state), now, { catalog });
+      await persistPairs(state, data, { source: 'official', meta: { via: 'ingest' } });
+    } catch (e) {
+      console.log(`[WARN] ingest ${state} -> ${e.message}`);
+    }
+    for (const x of items) {
+      // a page still showing the previous occurrence doesn't count
+      const found = data && data[x.key] && data.dates?.[x.key] === x.dateISO;
+      if (found) check.push({ x, fresh: true });
+      else results.push({ ...x, status: 'pending' });
+    }
+  }
+
+  for (const { x, fresh } of check) {
+    let v = 'pending';
+    try {
+      v = await verifyStored(x);
+    } catch (e) {
+      console.log(`[WARN] verify ${occurrenceKey(x)} -> ${e.message}`);
+    }
+    // without a second source there is nothing more to do once the row exists
+    const status = { verified: 'verified', conflict: 'conflict', no_verifier: fresh ? 'stored' : 'already' }[v] || 'unverified';
+    results.push({ ...x, status });
+  }
+
+  return { checkedAt: now.toISOString(), due: due.length, results };
+}
+
+// The worker's retry schedule after one pass: pending and unverified occurrences back off
+// exponentially (1, 2, 4 … 10 min) until both games are found and checked, or the window
+// closes. `backoff` maps occurrenceKey -> { attempts, nextAt } and is updated in place.
+export function updateBackoff(backoff, results, now = Date.now()) {
+  const live = new Set();
+  for (const r of results) {
+    const k = occurrenceKey(r);
+    if (r.status === 'waiting') live.add(k);
+    if (r.status !== 'pending' && r.status !== 'unverified') continue;
+    live.add(k);
+    const attempts = (backoff.get(k)?.attempts || 0) + 1;
+    const wait = Math.min(BURST.retryBaseMs * 2 ** (attempts - 1), BURST.retryMaxMs);
+    backoff.set(k, { attempts, nextAt: now + wait });
+  }
+  // forget occurrences that were stored or whose window closed
+  for (const k of backoff.keys()) if (!live.has(k)) backoff.delete(k);
+  return backoff;
+}
+
+export const backoffReady = (backoff, now = Date.now()) => (x) => {
+  const b = backoff.get(occurrenceKey(x));
+  return !b || b.nextAt <= now;
+};
+
+// Long-running loop for a standalone process (see updateBackoff for the retry schedule).
+export function startIngestWorker({ tickMs = 30 * 1000, states } = {}) {
+  const backoff = new Map();
+  let timer = null, stopped = false;
+
+  async function tick() {
+    try {
+      const { results } = await runIngest({ states, ready: backoffReady(backoff) });
+      for (const r of results) {
+        if (['stored', 'verified', 'conflict'].includes(r.status)) console.log(`[INGEST] ${r.status} ${occurrenceKey(r)}`);
+      }
+      updateBackoff(backoff, results);
+    } catch (e) {
+      console.error('[INGEST] tick failed:', e.message);
+    }
+    if (!stopped) timer = setTimeout(tick, tickMs);
+  }
+
+  tick();
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    }
+  };
+}
@@ -0,0 +1,198 @@
+import crypto from 'crypto';
+import { findResults, flushQueued, queuedCount } from './db.js';
+import { resultValue, completeCombo } from './result.js';
+import { combinedPair, emptyLatest } from './scraper.js';
+import { getAdapter, findDraw } from './adapters/index.js';
+import { BURST, dueDraws, lastOccurrences, persistPairs, screenPairs } from './ingest.js';
+import { SEED_CATALOG, getCatalog, entriesFor } from './catalog.js';
+
+// ── /api/:state/latest cache ──────────────────────────────────────────────────
+// One scrape per state serves every board: concurrent callers share the request in
+// flight, and the payload is kept for a TTL that depends on where the state's draws
+// are (short while a due draw is still missing, long once everything is in). When the
+// latest occurrence of every draw is settled in draw_results the payload is built from
+// Mongo and the site isn't fetched at all.
+export const LATEST_TTL = {
+  burstMs: 15 * 1000,        // a due draw isn't on the page yet
+  dueMs: 2 * 60 * 1000,      // inside a window with everything found (corrections still possible)
+  settledMs: 10 * 60 * 1000  // no draw window open, or served from Mongo
+};
+
+const cache = new Map();    // state -> { data, etag, via, cachedAt, expiresAt, stale }
+const inflight = new Map(); // state -> Promise<entry>
+
+const isEmpty = (data) => !Object.values(data.draws || {}).some(Boolean);
+
+export const etagOf = (data) =>
+  `W/"${crypto.createHash('sha1').update(JSON.stringify(data)).digest('hex').slice(0, 20)}"`;
+
+// How long a freshly scraped payload stays good
+export function ttlFor(state, data, now = new Date(), catalog = SEED_CATALOG) {
+  const due = dueDraws(now, { states: [state], catalog });
+  if (due.some(x => !(data[x.key] && data.dates?.[x.key] === x.dateISO))) return LATEST_TTL.burstMs;
+  return due.length ? LATEST_TTL.dueMs : LATEST_TTL.settledMs;
+}
+
+/**
+ * The /latest payload from draw_results when the latest occurrence of every draw is
+ * stored complete and settled: verified, or past its ingestion window without a
+ * conflict. null when any draw still needs the site.
+ */
+export async function settledFromDb(state, now = new Date(), catalog = SEED_CATALOG) {
+  const adapter = getAdapter(state);
+  const occ = lastOccurrences(state, now, { catalog });
+  const draws = Object.values(adapter.draws);
+  if (draws.some(d => !occ[d.key])) return null;
+
+  const rows = await findResults(draws.map(d => ({ state, draw: d.name, dateISO: occ[d.key].dateISO })));
+
+  const out = emptyLatest();
+  for (const d of draws) {
+    const row = rows.find(r => r.draw === d.name && r.dateISO === occ[d.key].dateISO);
+    const value = row && resultValue(row);
+    const combo = completeCombo(d.format, value);
+    const settled = row?.status === 'verified' || (row && row.status !== 'conflict' && occ[d.key].minutesSinceDraw > BURST.windowMin);
+    if (!combo || !settled) return null;
+    out.draws[d.key] = { dateISO: row.dateISO, ...value };
+    out[d.key] = combo;
+    out.dates[d.key] = row.dateISO;
+  }
+  out.dateISO = Object.values(out.dates).filter(Boolean).sort().pop();
+  return out;
+}
+
+async function refresh(state, now) {
+  const prev = cache.get(state);
+  const catalog = await getCatalog().catch(() => SEED_CATALOG);
+  let data = await settledFromDb(state, now, catalog).catch((e) => {
+    console.warn('[latest] Mongo read skipped:', e.message);
+    return null;
+  });
+  let via = 'db';
+  if (!data) {
+    via = 'scrape';
+    const scraped = await combinedPair(state);
+    if (isEmpty(scraped) && prev && !isEmpty(prev.data)) {
+      // every source failed: keep the last good payload, flagged, and try again soon
+      const kept = { ...prev, stale: true, expiresAt: now.getTime() + LATEST_TTL.burstMs };
+      cache.set(state, kept);
+      return kept;
+    }
+    // pages still showing an older draw (or one not due yet) don't make it into the payload
+    data = screenPairs(state, scraped, now, { catalog });
+    if (queuedCount()) {
+      // results scraped while the database was down go first; if it still is, they stay queued
+      await flushQueued().catch((e) => console.warn('[latest] queue flush failed:', e.message));
+    }
+    try {
+      await persistPairs(state, data, { queue: true }); // one doc per draw occurrence
+    } catch (e) {
+      console.warn(`[latest] upsert deferred (${queuedCount()} queued):`, e.message);
+    }
+  }
+  const ttl = via === 'db' ? LATEST_TTL.settledMs : ttlFor(state, data, now, catalog);
+  const entry = { data, via, etag: etagOf(data), cachedAt: now.getTime(), expiresAt: now.getTime() + ttl, stale: false };
+  cache.set(state, entry);
+  return entry;
+}
+
+/**
+ * The /latest payload for a state, cached. `servedFrom` is 'cache', 'scrape' or 'db';
+ * `stale` means the sources failed and this is the last good payload.
+ * @returns {Promise<{ body: object, etag: string, maxAge: number }>}
+ */
+export async function getLatest(state, { now = new Date() } = {}) {
+  const hit = cache.get(state);
+  let entry, fresh = false;
+  if (hit && hit.expiresAt > now.getTime()) {
+    entry = hit;
+  } else {
+    if (!inflight.has(state)) {
+      inflight.set(state, refresh(state, now).finally(() => inflight.delete(state)));
+    }
+    try {
+      entry = await inflight.get(state);
+      fresh = !entry.stale;
+    } catch (e) {
+      if (!hit) throw e;
+      console.warn('[latest] refresh failed, serving stale:', e.message);
+      entry = { ...hit, stale: true };
+    }
+  }
+  return {
+    body: { ...entry.data, cachedAt: new Date(entry.cachedAt).toISOString(), stale: entry.stale, servedFrom: fresh ? entry.via : 'cache' },
+    etag: entry.etag,
+    maxAge: Math.max(0, Math.round((entry.expiresAt - now.getTime()) / 1000))
+  };
+}
+
+// Drop cached payloads (all states when none is given), e.g. after an admin write
+export function invalidateLatest(state) {
+  if (state) cache.delete(state);
+  else cache.clear();
+}
+
+// ── GET /api/latest: many states in one response ──────────────────────────────
+/**
+ * A state's /latest payload keyed by the catalog ids it feeds:
+ *   { [id]: { state, key, draw, dateISO, combo, games, status, reason? } }
+ * `status` is 'pending' (nothing for the latest occurrence yet, dated with the occurrence
+ * it waits for; `reason` says why when the page was rejected), 'partial' (some games in),
+ * or the stored row's status ('unverified' / 'verified' / 'conflict'). `rows` are the
+ * draw_results rows behind the payload.
+ */
+export function latestEntries(state, data, { catalog = SEED_CATALOG, now = new Date(), rows = [] } = {}) {
+  const adapter = getAdapter(state);
+  const occ = lastOccurrences(state, now, { catalog });
+  const out = {};
+  for (const entry of entriesFor(catalog, state)) {
+    const d = findDraw(adapter, entry.source.draw);
+    if (!d) continue;
+    const r = data.draws?.[d.key];
+    const base = { state, key: d.key, draw: d.name };
+    if (!r) {
+      const rejected = data.rejected?.[d.key];
+      out[entry.id] = { ...base, dateISO: occ[d.key]?.dateISO || null, combo: null, games: [], status: 'pending', ...(rejected && { reason: rejected.reason }) };
+      continue;
+    }
+    const combo = completeCombo(d.format, r);
+    const row = rows.find(x => x.state === state && x.draw === d.name && x.dateISO === r.dateISO);
+    out[entry.id] = { ...base, dateISO: r.dateISO, combo, games: r.games || [], status: combo ? row?.status || 'unverified' : 'partial' };
+  }
+  return out;
+}
+
+/**
+ * /latest for several states at once, through the same per-state cache. A state whose
+ * refresh fails is listed in `errors` and left out of `results`.
+ * @returns {Promise<{ body: object, etag: string, maxAge: number }>}
+ */
+export async function getLatestMany(states, { now = new Date() } = {}) {
+  const catalog = await getCatalog().catch(() => SEED_CATALOG);
+  const got = await Promise.allSettled(states.map(state => getLatest(state, { now })));
+  const ok = [], errors = {};
+  got.forEach((g, i) => {
+    if (g.status === 'fulfilled') ok.push({ state: states[i], ...g.value });
+    else errors[states[i]] = g.reason?.message || 'failed';
+  });
+
+  // one read for the verification status of everything in the payloads
+  const want = ok.flatMap(({ state, body }) => Object.entries(body.draws || {})
+    .filter(([, r]) => r)
+    .map(([key, r]) => ({ state, draw: findDraw(getAdapter(state), key).name, dateISO: r.dateISO })));
+  const rows = want.length
+    ? await findResults(want, { projection: { _id: 0, state: 1, draw: 1, dateISO: 1, status: 1 } })
+      .catch((e) => { console.warn('[latest] status read skipped:', e.message); return []; })
+    : [];
+
+  const results = {}, meta = {};
+  for (const { state, body } of ok) {
+    Object.assign(results, latestEntries(state, body, { catalog, now, rows }));
+    meta[state] = { cachedAt: body.cachedAt, stale: body.stale, servedFrom: body.servedFrom };
+  }
+  return {
+    body: { checkedAt: now.toISOString(), results, states: meta, errors },
+    etag: etagOf({ results, errors }),
+    maxAge: ok.length ? Math.min(...ok.map(x => x.maxAge)) : 0
+  };
+}
@@ -0,0 +1,311 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// ── Local storage backend ─────────────────────────────────────────────────────
+// Collections kept in process, optionally saved to a JSON file, for local dev, tests and
+// single-shop installs that run without MongoDB (see getDb in db.js). It speaks the part
+// of the driver's collection API this app uses:
+//
+//   find(q).sort().skip().limit().project() -> toArray() / for await, findOne, countDocuments
+//   insertOne / insertMany, updateOne / updateMany / replaceOne (upsert), findOneAndUpdate,
+//   deleteOne / deleteMany, bulkWrite of those, createIndex (unique indexes are enforced)
+//
+// Queries: field equality (dotted paths reach into arrays, 'games.digits'), $eq $ne $gt $gte
+// $lt $lte $in $nin $regex $exists, $and $or. Updates: $set $unset $inc $addToSet ($each)
+// $setOnInsert. Aggregation pipelines are MongoDB-only and throw.
+
+const newId = () => crypto.randomBytes(12).toString('hex');
+
+const isPlain = (v) => v !== null && typeof v === 'object' && !Array.isArray(v) && !(v instanceof Date) && !(v instanceof RegExp) && !v.toHexString;
+const isOps = (v) => isPlain(v) && Object.keys(v).length > 0 && Object.keys(v).every(k => k.startsWith('$'));
+
+// ObjectIds compare by hex, Dates by time
+const scalar = (v) => (v instanceof Date ? v.getTime() : v?.toHexString ? v.toHexString() : v);
+const same = (a, b) => {
+  if (a == null || b == null) return a == null && b == null;
+  if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b) || scalar(a) === scalar(b);
+  return a === b;
+};
+const order = (a, b) => {
+  a = scalar(a); b = scalar(b);
+  if (a === b) return 0;
+  if (a == null) return -1;
+  if (b == null) return 1;
+  return a < b ? -1 : 1;
+};
+const comparable = (a, b) => a != null && b != null && typeof scalar(a) === typeof scalar(b);
+
+// Every value at a dotted path; arrays along the way (and at the end) fan out
+function valuesAt(doc, key) {
+  let vals = [doc];
+  for (const k of key.split('.')) {
+    vals = vals.flatMap(v => (Array.isArray(v) && !/^\d+$/.test(k) ? v.map(x => x?.[k]) : [v?.[k]]));
+  }
+  return vals.flatMap(v => (Array.isArray(v) ? [v, ...v] : [v]));
+}
+
+const OPS = {
+  $eq: (vals, x) => vals.some(v => same(v, x)),
+  $ne: (vals, x) => !vals.some(v => same(v, x)),
+  $gt: (vals, x) => vals.some(v => comparable(v, x) && order(v, x) > 0),
+  $gte: (vals, x) => vals.some(v => comparable(v, x) && order(v, x) >= 0),
+  $lt: (vals, x) => vals.some(v => comparable(v, x) && order(v, x) < 0),
+  $lte: (vals, x) => vals.some(v => comparable(v, x) && order(v, x) <= 0),
+  $in: (vals, list) => list.some(x => vals.some(v => same(v, x))),
+  $nin: (vals, list) => !list.some(x => vals.some(v => same(v, x))),
+  $exists: (vals, want) => vals.some(v => v !== undefined) === !!want,
+  $regex: (vals, re, cond) => {
+    const rx = re instanceof RegExp ? re : new RegExp(re, cond.$options || '');
+    return vals.some(v => typeof v === 'string' && rx.test(v));
+  },
+  $options: () => true
+};
+
+export function matches(doc, q = {}) {
+  return Object.entries(q).every(([key, cond]) => {
+    if (key === '$and') return cond.every(c => matches(doc, c));
+    if (key === '$or') return cond.some(c => matches(doc, c));
+    const vals = valuesAt(doc, key);
+    if (cond instanceof RegExp) return OPS.$regex(vals, cond, {});
+    if (!isOps(cond)) return OPS.$eq(vals, cond);
+    return Object.entries(cond).every(([op, x]) => {
+      if (!OPS[op]) throw new Error(`localdb: query operator ${op} is not supported`);
+      return OPS[op](vals, x, cond);
+    });
+  });
+}
+
+function setPath(doc, key, value) {
+  const keys = key.split('.');
+  let cur = doc;
+  for (const k of keys.slice(0, -1)) cur = isPlain(cur[k]) || Array.isArray(cur[k]) ? cur[k] : (cur[k] = {});
+  cur[keys.at(-1)] = value;
+}
+function unsetPath(doc, key) {
+  const keys = key.split('.');
+  let cur = doc;
+  for (const k of keys.slice(0, -1)) if (!(cur = cur?.[k])) return;
+  delete cur[keys.at(-1)];
+}
+const getPath = (doc, key) => key.split('.').reduce((v, k) => v?.[k], doc);
+
+export function applyUpdate(doc, update, { inserting = false } = {}) {
+  for (const [op, fields] of Object.entries(update)) {
+    for (const [key, v] of Object.entries(fields)) {
+      if (op === '$set' || (op === '$setOnInsert' && inserting)) setPath(doc, key, structuredClone(v));
+      else if (op === '$unset') unsetPath(doc, key);
+      else if (op === '$inc') setPath(doc, key, (getPath(doc, key) || 0) + v);
+      else if (op === '$addToSet') {
+        const list = Array.isArray(getPath(doc, key)) ? getPath(doc, key) : [];
+        for (const x of v?.$each || [v]) if (!list.some(y => same(y, x))) list.push(structuredClone(x));
+        setPath(doc, key, list);
+      } else if (op !== '$setOnInsert') throw new Error(`localdb: update operator ${op} is not supported`);
+    }
+  }
+  return doc;
+}
+
+// The plain equality fields of a filter seed an upserted document
+const seedFrom = (filter) => Object.fromEntries(Object.entries(filter).filter(([k, v]) => !k.startsWith('$') && !k.includes('.') && !isOps(v) && !(v instanceof RegExp)));
+
+function project(doc, spec) {
+  if (!spec || !Object.keys(spec).length) return doc;
+  const include = Object.entries(spec).filter(([k, v]) => v && k !== '_id').map(([k]) => k);
+  if (include.length) {
+    const out = {};
+    if (spec._id !== 0 && spec._id !== false && '_id' in doc) out._id = doc._id;
+    for (const k of include) if (getPath(doc, k) !== undefined) setPath(out, k, getPath(doc, k));
+    return out;
+  }
+  const out = { ...doc };
+  for (const [k, v] of Object.entries(spec)) if (!v) unsetPath(out, k);
+  return out;
+}
+
+function cursor(load) {
+  const spec = { sort: null, skip: 0, limit: 0, projection: null };
+  const self = {
+    sort(s) { spec.sort = s; return self; },
+    skip(n) { spec.skip = n; return self; },
+    limit(n) { spec.limit = n; return self; },
+    project(p) { spec.projection = p; return self; },
+    async toArray() {
+      let docs = load();
+      if (spec.sort) {
+        const keys = Object.entries(spec.sort);
+        docs = docs.sort((a, b) => {
+          for (const [k, dir] of keys) {
+            const c = order(getPath(a, k), getPath(b, k));
+            if (c) return c * dir;
+          }
+          return 0;
+        });
+      }
+      docs = docs.slice(spec.skip, spec.limit ? spec.skip + spec.limit : undefined);
+      return docs.map(d => project(structuredClone(d), spec.projection));
+    },
+    async *[Symbol.asyncIterator]() { yield* await self.toArray(); }
+  };
+  return self;
+}
+
+function duplicateKey(name, key) {
+  const e = new Error(`E11000 duplicate key error collection: ${name} index: ${key}`);
+  e.code = 11000;
+  return e;
+}
+
+function collection(name, docs, changed) {
+  const unique = [['_id']]; // like MongoDB's built-in _id index
+  const matching = (q, many) => (many ? docs.filter(d => matches(d, q)) : [docs.find(d => matches(d, q))].filter(Boolean));
+
+  const checkUnique = (doc, except) => {
+    for (const keys of unique) {
+      const clash = docs.find(d => d !== except && keys.every(k => same(getPath(d, k), getPath(doc, k))));
+      if (clash) throw duplicateKey(name, keys.join('_'));
+    }
+  };
+
+  const insert = (doc) => {
+    const row = structuredClone(doc);
+    if (row._id === undefined) row._id = newId();
+    checkUnique(row);
+    docs.push(row);
+    changed();
+    return row._id;
+  };
+
+  // `change(copy, inserting)` returns the new document
+  const write = (filter, change, { upsert = false, many = false } = {}) => {
+    const hits = matching(filter, many);
+    if (!hits.length) {
+      if (!upsert) return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: insert(change(structuredClone(seedFrom(filter)), true)) };
+    }
+    let modified = 0;
+    for (const d of hits) {
+      const before = JSON.stringify(d);
+      const next = { ...change(structuredClone(d), false), _id: d._id };
+      if (JSON.stringify(next) === before) continue;
+      checkUnique(next, d);
+      docs[docs.indexOf(d)] = next;
+      modified++;
+    }
+    if (modified) changed();
+    return { matchedCount: hits.length, modifiedCount: modified, upsertedCount: 0, upsertedId: null };
+  };
+
+  const remove = (filter, many) => {
+    const gone = new Set(matching(filter, many));
+    if (gone.size) {
+      const keep = docs.filter(d => !gone.has(d));
+      docs.length = 0;
+      docs.push(...keep);
+      changed();
+    }
+    return { acknowledged: true, deletedCount: gone.size };
+  };
+
+  const updater = (update) => (d, inserting) => applyUpdate(d, update, { inserting });
+
+  const col = {
+    collectionName: name,
+    async createIndex(spec, { unique: isUnique = false } = {}) {
+      if (isUnique) unique.push(Object.keys(spec));
+      return Object.keys(spec).join('_');
+    },
+    find: (q = {}) => cursor(() => matching(q, true)),
+    async findOne(q = {}, { projection, sort } = {}) {
+      const [doc] = await col.find(q).sort(sort).limit(1).project(projection).toArray();
+      return doc || null;
+    },
+    countDocuments: async (q = {}) => matching(q, true).length,
+    insertOne: async (doc) => ({ acknowledged: true, insertedId: insert(doc) }),
+    async insertMany(list) {
+      const insertedIds = Object.fromEntries(list.map((d, i) => [i, insert(d)]));
+      return { acknowledged: true, insertedCount: list.length, insertedIds };
+    },
+    updateOne: async (filter, update, { upsert } = {}) => write(filter, updater(update), { upsert }),
+    updateMany: async (filter, update, { upsert } = {}) => write(filter, updater(update), { upsert, many: true }),
+    replaceOne: async (filter, doc, { upsert } = {}) => write(filter, () => structuredClone(doc), { upsert }),
+    // The document before the update (or after, with returnDocument: 'after'); null if none
+    async findOneAndUpdate(filter, update, { upsert, returnDocument = 'before', projection } = {}) {
+      const [hit] = matching(filter, false);
+      const r = write(hit ? { _id: hit._id } : filter, updater(update), { upsert });
+      const doc = returnDocument === 'after' ? matching({ _id: hit ? hit._id : r.upsertedId }, false)[0] : hit;
+      return doc ? project(structuredClone(doc), projection) : null;
+    },
+    deleteOne: async (filter) => remove(filter, false),
+    deleteMany: async (filter = {}) => remove(filter, true),
+
+    // Ops run in order; with ordered: false a failing op doesn't stop the rest
+    async bulkWrite(ops, { ordered = true } = {}) {
+      const out = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0, upsertedIds: {} };
+      let failed = null;
+      for (const [i, op] of ops.entries()) {
+        try {
+          const [kind, a] = Object.entries(op)[0];
+          if (kind === 'insertOne') { insert(a.document); out.insertedCount++; continue; }
+          if (kind === 'deleteOne' || kind === 'deleteMany') { out.deletedCount += remove(a.filter, kind === 'deleteMany').deletedCount; continue; }
+          const r = kind === 'replaceOne' ? write(a.filter, () => structuredClone(a.replacement), a)
+            : kind === 'updateOne' || kind === 'updateMany' ? write(a.filter, updater(a.update), { upsert: a.upsert, many: kind === 'updateMany' })
+              : null;
+          if (!r) throw new Error(`localdb: bulk op ${kind} is not supported`);
+          out.matchedCount += r.matchedCount;
+          out.modifiedCount += r.modifiedCount;
+          if (r.upsertedCount) { out.upsertedCount++; out.upsertedIds[i] = r.upsertedId; }
+        } catch (e) {
+          if (ordered) throw e;
+          failed ||= e;
+        }
+      }
+      if (failed) throw failed;
+      return out;
+    },
+
+    aggregate() {
+      throw new Error('aggregation needs MongoDB (set MONGODB_URI)');
+    }
+  };
+  return col;
+}
+
+// ── file persistence ──────────────────────────────────────────────────────────
+// Dates survive the round trip as { $date: iso }
+const replacer = function (k, v) { return this[k] instanceof Date ? { $date: this[k].toISOString() } : v; };
+const reviver = (_k, v) => (isPlain(v) && typeof v.$date === 'string' && Object.keys(v).length === 1 ? new Date(v.$date) : v);
+
+export const LOCALDB = { saveDelayMs: 250 };
+
+/**
+ * A database handle with `collection(name)`. With `file` the collections are loaded from
+ * that JSON file and written back (shortly after each change, and on exit).
+ */
+export function createLocalDb({ file = null } = {}) {
+  const data = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8'), reviver) : {};
+  const collections = new Map();
+  let timer = null;
+
+  const save = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!file) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, replacer));
+    fs.renameSync(`${file}.tmp`, file);
+  };
+  const changed = () => {
+    if (file && !timer) timer = setTimeout(save, LOCALDB.saveDelayMs).unref();
+  };
+  if (file) process.on('exit', () => { if (timer) save(); });
+
+  return {
+    kind: file ? 'file' : 'memory',
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, collection(name, (data[name] ||= []), changed));
+      return collections.get(name);
+    },
+    async close() { save(); }
+  };
+}
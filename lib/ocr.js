@@ -0,0 +1,242 @@
+import os from 'os';
+import { getDb } from './db.js';
+import { getAdapter, findDraw } from './adapters/index.js';
+import { SEED_CATALOG, getCatalog } from './catalog.js';
+import { resolveTarget, targetFormat } from './admin.js';
+
+// ── OCR ingestion ─────────────────────────────────────────────────────────────
+// A result sheet (screenshot or pasted text) becomes a preview: one row per line
+// that carries numbers, mapped to a catalog id through an alias table and parsed in
+// the format that id takes ('123-4567' or '12-34-56'), each with confidence scores.
+// Nothing is stored here; approved rows go through /api/admin/ocr/approve.
+//
+// An alias is a phrase whose words must all appear in the line ('new york midday',
+// 'ny eve', 'gana mas'). Defaults are built from the catalog; admins add more per id
+// in settings 'ocr_aliases' ({ 'usa/ny/Midday': ['nyc mid'] }).
+
+// How sheets name the states, besides the catalog's lottery name
+export const STATE_ALIASES = {
+  ny: ['ny', 'new york', 'nueva york', 'n y'],
+  nj: ['nj', 'new jersey', 'nueva jersey', 'n j'],
+  ct: ['ct', 'conn', 'connecticut'],
+  fl: ['fl', 'fla', 'florida'],
+  ga: ['ga', 'georgia'],
+  pa: ['pa', 'penn', 'pennsylvania', 'pensilvania'],
+  'ny-bk': ['bk', 'brooklyn', 'ny bk']
+};
+
+// How sheets name the draws, by the catalog's draw name
+export const DRAW_ALIASES = {
+  midday: ['midday', 'mid', 'day', 'dia', 'mediodia', 'noon'],
+  day: ['day', 'midday', 'mid', 'dia'],
+  evening: ['evening', 'eve', 'pm', 'noche'],
+  night: ['night', 'nite', 'noche'],
+  am: ['am', 'midday', 'mid'],
+  pm: ['pm', 'evening', 'eve'],
+  dia: ['dia', 'day', 'manana'],
+  mediodia: ['mediodia', 'midday', 'dia'],
+  tarde: ['tarde', 'pm'],
+  noche: ['noche', 'night']
+};
+
+// lower case, no accents, words separated by single spaces
+export const normalize = (s) => String(s || '')
+  .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const words = (s) => normalize(s).split(' ').filter(Boolean);
+
+/**
+ * Default alias phrases per catalog id: every lottery alias combined with every draw
+ * alias, plus the adapter's own draw name ('Gana Más' alone means Nacional Tarde).
+ * @returns {Array<{ id: string, lottery: string[], phrases: string[] }>}
+ */
+export function defaultAliases(catalog = SEED_CATALOG) {
+  return catalog.map(e => {
+    const [, slug] = e.id.split('/');
+    const lottery = new Set([normalize(e.lottery), normalize(slug), ...(STATE_ALIASES[slug] || [])]);
+    const draws = new Set([normalize(e.draw), ...(DRAW_ALIASES[normalize(e.draw)] || [])]);
+    const phrases = new Set();
+    for (const l of lottery) for (const d of draws) phrases.add(`${l} ${d}`);
+    const d = e.source && findDraw(getAdapter(e.source.state), e.source.draw);
+    if (d && e.source.state === 'rd') phrases.add(normalize(d.name));
+    return { id: e.id, lottery: [...lottery], phrases: [...phrases] };
+  });
+}
+
+// Defaults plus admin extras ({ id: [phrase, ...] }); ids no longer in the catalog are dropped
+export function aliasTable(catalog, extras = {}) {
+  return defaultAliases(catalog).map(a => ({
+    ...a, phrases: [...new Set([...a.phrases, ...(extras[a.id] || []).map(normalize).filter(Boolean)])]
+  }));
+}
+
+// The phrase words present in a line, longest phrase wins; ties are ambiguous.
+// `need`: the phrase must also use one of these words (the row's own, when the
+// lottery comes from context).
+export function matchLine(text, table, need = null) {
+  const have = new Set(words(stripNoise(text)));
+  let best = [], bestScore = 0;
+  for (const a of table) {
+    let score = 0;
+    for (const p of a.phrases) {
+      const w = p.split(' ');
+      if (w.every(x => have.has(x)) && (!need || w.some(x => need.has(x)))) score = Math.max(score, p.replace(/ /g, '').length);
+    }
+    if (!score) continue;
+    if (score > bestScore) { best = [a.id]; bestScore = score; } else if (score === bestScore) best.push(a.id);
+  }
+  return { ids: best, score: bestScore };
+}
+
+// A header line ('NEW YORK', 'Loteka') names a lottery without a draw
+const lotteryOf = (text, table) => {
+  const have = ` ${normalize(text)} `;
+  return table.some(a => a.lottery.some(l => have.includes(` ${l} `)));
+};
+
+// Game names, clock times and dates: numbers that aren't results
+const stripNoise = (line) => String(line)
+  .replace(/\b(pick|cash|win|play|daily|numbers)\s*[2-5]\b/gi, ' ')
+  .replace(/\b\d{1,2}:\d{2}(\s*[ap]\.?m\.?)?/gi, ' ')
+  .replace(/\b\d{4}-\d{2}-\d{2}\b|\b\d{1,2}\/\d{1,2}\/\d{2,4}\b/g, ' ');
+
+const digitGroups = (line) => stripNoise(line).match(/\d+/g) || [];
+
+/**
+ * Read a result in the given format from a line. `confidence` is 1 when the groups
+ * are exactly that shape ('992 - 0845'), 0.7 when the digits had to be split
+ * ('9 9 2 0 8 4 5'), 0 when nothing fits.
+ */
+export function parseValue(line, format = 'pair') {
+  const groups = digitGroups(line);
+  const all = groups.join('');
+  if (format === 'prizes') {
+    const two = groups.filter(g => g.length === 2);
+    if (two.length === 3 && groups.length === 3) return { value: two.join('-'), confidence: 1 };
+    if (all.length === 6) return { value: all.match(/\d{2}/g).join('-'), confidence: 0.7 };
+    return { value: '', confidence: 0 };
+  }
+  const p3 = groups.findIndex(g => g.length === 3);
+  const p4 = groups.findIndex((g, i) => i > p3 && g.length === 4);
+  if (p3 >= 0 && p4 >= 0 && groups.length === 2) return { value: `${groups[p3]}-${groups[p4]}`, confidence: 1 };
+  if (all.length === 7) return { value: `${all.slice(0, 3)}-${all.slice(3)}`, confidence: 0.7 };
+  if (p3 >= 0 && p4 >= 0) return { value: `${groups[p3]}-${groups[p4]}`, confidence: 0.7 };
+  return { value: '', confidence: 0 };
+}
+
+// First date on the sheet: 2026-10-17 or 10/17/2026
+export function findDate(text) {
+  const iso = /\b(\d{4})-(\d{2})-(\d{2})\b/.exec(text);
+  if (iso) return iso[0];
+  const us = /\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/.exec(text);
+  return us ? `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}` : null;
+}
+
+const round = (x) => Math.round(x * 100) / 100;
+
+/**
+ * Preview rows for recognized lines ({ text, confidence 0-100 }). The last lottery named
+ * (a header line like 'GEORGIA', or a fully matched row) is the context for lines that
+ * only name a draw ('Night 123 4567'). Each row: { line, id, candidates, value, confidence: { ocr, match,
+ * value, overall } }; `id` is null when no alias (or more than one) fits.
+ */
+export function previewLines(lines, { catalog = SEED_CATALOG, extras = {} } = {}) {
+  const table = aliasTable(catalog, extras);
+  const rows = [];
+  let context = '';
+  for (const { text, confidence = 100 } of lines) {
+    const line = String(text || '').trim();
+    if (!line) continue;
+    if (!digitGroups(line).length) {
+      if (lotteryOf(line, table)) context = line;
+      continue;
+    }
+    let m = matchLine(line, table), via = 'line';
+    if (m.ids.length !== 1 && context) {
+      const withContext = matchLine(`${context} ${line}`, table, new Set(words(stripNoise(line))));
+      if (withContext.ids.length) { m = withContext; via = 'context'; }
+    }
+    const id = m.ids.length === 1 ? m.ids[0] : null;
+    if (id && via === 'line') context = line; // 'NJ Mid …' then 'Evening …' is NJ too
+    const target = id && resolveTarget({ id }, catalog);
+    // unmapped lines: whichever shape the digits fit
+    const parsed = target ? parseValue(line, targetFormat(target, id))
+      : [parseValue(line, 'pair'), parseValue(line, 'prizes')].sort((a, b) => b.confidence - a.confidence)[0];
+    const match = id ? (via === 'line' ? 1 : 0.8) : (m.ids.length ? 0.4 : 0);
+    const ocr = round(Math.min(Math.max(confidence, 0), 100) / 100);
+    rows.push({
+      line, id, candidates: m.ids, value: parsed.value,
+      confidence: { ocr, match, value: parsed.confidence, overall: round(ocr * match * parsed.confidence) }
+    });
+  }
+  return rows;
+}
+
+// ── recognition ───────────────────────────────────────────────────────────────
+// Images go through tesseract.js; tests swap the engine (pass nothing to restore).
+// Language data is downloaded on first use and cached in the temp dir.
+async function tesseract(image) {
+  const { createWorker } = await import('tesseract.js');
+  const worker = await createWorker(process.env.OCR_LANGS || 'eng', 1, { cachePath: os.tmpdir() });
+  try {
+    const { data } = await worker.recognize(image);
+    if (data.lines?.length) return data.lines.map(l => ({ text: l.text, confidence: l.confidence }));
+    return String(data.text || '').split(/\r?\n/).map(text => ({ text, confidence: data.confidence }));
+  } finally {
+    await worker.terminate();
+  }
+}
+let engine = tesseract;
+export function setOcrEngine(fn) {
+  engine = fn || tesseract;
+}
+
+// 'data:image/png;base64,...' or bare base64 -> Buffer
+export function decodeImage(s) {
+  const m = /^data:image\/[\w.+-]+;base64,(.*)$/s.exec(String(s || ''));
+  const buf = Buffer.from(m ? m[1] : String(s || ''), 'base64');
+  return buf.length ? buf : null;
+}
+
+// Admin extras from settings 'ocr_aliases'
+export async function getAliasExtras() {
+  const db = await getDb();
+  return (await db.collection('settings').findOne({ _id: 'ocr_aliases' }))?.aliases || {};
+}
+
+export async function saveAliasExtras(aliases, { actor } = {}) {
+  if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases)) throw new Error('aliases must be an object of id -> [phrase]');
+  const ids = new Set((await getCatalog()).map(e => e.id));
+  for (const [id, list] of Object.entries(aliases)) {
+    if (!ids.has(id)) throw new Error(`unknown catalog id ${id}`);
+    if (!Array.isArray(list) || !list.every(x => typeof x === 'string' && normalize(x))) throw new Error(`aliases for ${id} must be non-empty strings`);
+  }
+  const db = await getDb();
+  await db.collection('settings').updateOne(
+    { _id: 'ocr_aliases' }, { $set: { aliases, updatedAt: new Date(), updatedBy: actor || null } }, { upsert: true }
+  );
+  return aliases;
+}
+
+/**
+ * Recognize images and/or pasted text and map the lines. `images` are data URLs or
+ * base64 strings. Pasted text counts as fully confident OCR.
+ * @returns {Promise<{ dateISO: string|null, lines: number, rows: object[] }>}
+ */
+export async function runOcr({ text, images = [], dateISO } = {}) {
+  const lines = [];
+  for (const img of images) {
+    const buf = decodeImage(img);
+    if (!buf) throw new Error('bad_image');
+    lines.push(...await engine(buf));
+  }
+  if (text) lines.push(...String(text).split(/\r?\n/).map(t => ({ text: t, confidence: 100 })));
+  const catalog = await getCatalog().catch(() => SEED_CATALOG);
+  const extras = await getAliasExtras().catch(() => ({}));
+  return {
+    dateISO: dateISO || findDate(lines.map(l => l.text).join('\n')),
+    lines: lines.length,
+    rows: previewLines(lines, { catalog, extras })
+  };
+}
@@ -0,0 +1,102 @@
+// ── Result documents ──────────────────────────────────────────────────────────
+// A stored draw result (schema 2) lists the games drawn for that occurrence:
+//
+//   games: [{ game: 'pick3', digits: '123', extras: { fireball: '7' } },
+//           { game: 'pick4', digits: '4567', extras: {} }]
+//
+// plus the fields older readers use: `combo` ('123-4567', or '07-41-88' for a
+// quiniela), `pick3`/`pick4` and `prizes`. A draw may carry any subset of its games
+// (Pick 2 and Pick 5 next to Pick 3/4, or only one of them while the other page lags).
+
+export const RESULT_SCHEMA = 2;
+
+// adapter game key -> stored game name
+export const GAME_NAMES = { p2: 'pick2', p3: 'pick3', p4: 'pick4', p5: 'pick5', q: 'quiniela' };
+const ORDER = ['pick2', 'pick3', 'pick4', 'pick5', 'quiniela'];
+
+// 'p3', '3', 'Pick 3' -> 'pick3'
+export function gameName(game) {
+  const g = String(game || '').toLowerCase().replace(/[\s_-]/g, '');
+  if (GAME_NAMES[g]) return GAME_NAMES[g];
+  if (/^[2-5]$/.test(g)) return `pick${g}`;
+  return Object.values(GAME_NAMES).includes(g) ? g : null;
+}
+
+const rank = (g) => (ORDER.includes(g) ? ORDER.indexOf(g) : ORDER.length);
+
+function cleanExtras(extras) {
+  const out = {};
+  for (const [k, v] of Object.entries(extras || {})) {
+    if (v != null && String(v).trim() !== '') out[k] = String(v).trim();
+  }
+  return out;
+}
+
+// Games of a row or input in any shape (schema 2, or legacy pick3/pick4/prizes)
+export function toGames({ games, pick3, pick4, prizes } = {}) {
+  if (Array.isArray(games)) {
+    return games
+      .filter(g => g && g.game && g.digits)
+      .map(g => ({ game: String(g.game), digits: String(g.digits), extras: cleanExtras(g.extras) }))
+      .sort((a, b) => rank(a.game) - rank(b.game) || a.game.localeCompare(b.game));
+  }
+  const out = [];
+  if (pick3) out.push({ game: 'pick3', digits: pick3, extras: {} });
+  if (pick4) out.push({ game: 'pick4', digits: pick4, extras: {} });
+  if (Array.isArray(prizes) && prizes.length && prizes.every(Boolean)) out.push({ game: 'quiniela', digits: prizes.join('-'), extras: {} });
+  return out;
+}
+
+/**
+ * Normalise a result into what draw_results stores: { schema, games, combo } plus
+ * pick3/pick4/prizes when those games are present. null when there is nothing to store.
+ * `combo` stays the familiar headline: 'pick3-pick4' when both exist, the quiniela
+ * prizes, otherwise every game's digits joined with '-'.
+ */
+export function resultValue(input) {
+  const games = toGames(input || {});
+  if (!games.length) return null;
+  const by = Object.fromEntries(games.map(g => [g.game, g.digits]));
+  const out = { schema: RESULT_SCHEMA, games };
+  if (by.pick3) out.pick3 = by.pick3;
+  if (by.pick4) out.pick4 = by.pick4;
+  if (by.quiniela) out.prizes = by.quiniela.split('-');
+  out.combo = by.pick3 && by.pick4 ? `${by.pick3}-${by.pick4}`
+    : by.quiniela || games.map(g => g.digits).join('-');
+  return out;
+}
+
+// The board's combo string once every game a draw is shown with is in ('p3-p4', or
+// the quiniela prizes); null while a draw is still partial
+export const completeCombo = (format, value) =>
+  value && (format === 'prizes' ? !!value.prizes : !!(value.pick3 && value.pick4)) ? value.combo : null;
+
+/**
+ * Fold incoming games into stored ones. A game or extra that is already stored with
+ * a different value is a conflict; anything new is an extension.
+ * @returns {{ games: object[], extended: boolean, conflict: boolean }}
+ */
+export function mergeGames(stored, incoming) {
+  const games = stored.map(g => ({ ...g, extras: { ...g.extras } }));
+  let extended = false, conflict = false;
+  for (const inc of incoming) {
+    const cur = games.find(g => g.game === inc.game);
+    if (!cur) { games.push(inc); extended = true; continue; }
+    if (cur.digits !== inc.digits) { conflict = true; continue; }
+    for (const [k, v] of Object.entries(inc.extras)) {
+      if (!(k in cur.extras)) { cur.extras[k] = v; extended = true; } else if (cur.extras[k] !== v) conflict = true;
+    }
+  }
+  return { games: toGames({ games }), extended, conflict };
+}
+
+// Replace the given games and keep the rest (manual corrections of one game)
+export function overlayGames(stored, incoming) {
+  const names = new Set(incoming.map(g => g.game));
+  return toGames({ games: [...stored.filter(g => !names.has(g.game)), ...incoming] });
+}
+
+// Identity of a set of games, extras included (dedupes open conflicts)
+export const gamesKey = (games) => games
+  .map(g => `${g.game}:${g.digits}${Object.entries(g.extras).map(([k, v]) => `+${k}=${v}`).join('')}`)
+  .join('|');
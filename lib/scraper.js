@@ -0,0 +1,137 @@
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import { eastCoastDateISO } from './extract.js';
+import { getAdapter } from './adapters/index.js';
+import { resultValue, completeCombo } from './result.js';
+
+const HTTP = {
+  timeout: 20000,
+  headers: {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123 Safari/537.36',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
+    'Accept-Language': 'en-US,en;q=0.9',
+    'Cache-Control': 'no-cache'
+  },
+  maxRedirects: 5
+};
+
+// `bust: false` drops the cache-busting query param (APIs that treat unknown params as filters).
+export async function fetchHtml(url, { bust = true } = {}) {
+  const { data } = await axios.get(url, { ...HTTP, params: bust ? { t: Date.now() } : undefined });
+  return data;
+}
+
+// The page loader tryUrls uses. Tests swap it for saved fixtures; pass nothing to restore.
+let loadPage = fetchHtml;
+export function setHtmlFetcher(fn) {
+  loadPage = fn || fetchHtml;
+}
+export const getPageHtml = (url) => loadPage(url);
+
+// Observers of every source attempt (lib/health.js tracks them). Each call gets
+// { tag, url, source, rank, ok, error: null | 'http' | 'network' | 'parse', status, message, at }.
+const observers = new Set();
+export function onSourceAttempt(fn) {
+  observers.add(fn);
+  return () => observers.delete(fn);
+}
+function report(ev) {
+  for (const fn of observers) {
+    try { fn({ ...ev, at: new Date() }); } catch (e) { console.log(`[WARN] source observer -> ${e.message}`); }
+  }
+}
+
+// ── try a list of sources; return {digits,date} without throwing ──────────────
+// Each source carries its own extraction strategy (see adapters/registry.js).
+// JSON feeds come back already parsed; strategies get them as `raw`.
+export async function tryUrls(sources, { label, n, count = 1, aliases }, tag) {
+  for (const [rank, { url, name, bust, strategy }] of sources.entries()) {
+    const attempt = { tag, url, source: name, rank };
+    let raw;
+    try {
+      raw = await loadPage(url, { bust });
+    } catch (e) {
+      const status = e?.response?.status || null;
+      console.log(`[WARN] ${tag} ${url} -> ${status || e.message}`);
+      report({ ...attempt, ok: false, error: status ? 'http' : 'network', status, message: e.message });
+      continue;
+    }
+    try {
+      const $ = cheerio.load(typeof raw === 'string' ? raw : '');
+      const { digits, date, extras } = strategy($, { label, n, count, aliases, raw });
+      if (digits) {
+        report({ ...attempt, ok: true, error: null, status: null, message: null });
+        return { digits, date: date || null, extras: extras || {}, url, source: name };
+      }
+      report({ ...attempt, ok: false, error: 'parse', status: null, message: 'no digits matched' });
+    } catch (e) {
+      console.log(`[WARN] ${tag} ${url} -> ${e.message}`);
+      report({ ...attempt, ok: false, error: 'parse', status: null, message: e.message });
+    }
+  }
+  return { digits: null, date: null };
+}
+
+// The latest of some page dates (dayjs days) as 'YYYY-MM-DD'. Whether that day is
+// believable is decided against the catalog schedule (screenPairs), not here.
+export function maxISO(...djs) {
+  const arr = djs.filter(Boolean);
+  if (!arr.length) return null;
+  return arr.sort((a, b) => a.valueOf() - b.valueOf()).pop().format('YYYY-MM-DD');
+}
+
+const ok = (s, n) => typeof s === 'string' && /^\d+$/.test(s) && s.length === n;
+const okGame = (s, { digits: n, count }) => count > 1
+  ? typeof s === 'string' && new RegExp(`^\\d{${n}}(-\\d{${n}}){${count - 1}}$`).test(s)
+  : ok(s, n);
+
+// midday/evening/night are always present for old clients, even when a state has no such draw
+export const emptyLatest = (dateISO = null) => ({
+  dateISO, dates: { midday: null, evening: null, night: null }, midday: null, evening: null, night: null, draws: {}, sources: {}
+});
+
+// ── read every game of every draw ─────────────────────────────────────────────
+// Per draw key the result carries:
+//   draws[key]  { dateISO, schema, games: [{ game, digits, extras }], combo, pick3?, pick4?, prizes? }
+//               with whatever games were found (null when none)
+//   [key]       the legacy combo string, only when the draw is complete
+//               ("p3-p4", or "12-34-56" for a quiniela)
+//   dates[key]  the legacy per-draw date, alongside [key]
+export async function combinedPair(stateKey) {
+  const adapter = getAdapter(stateKey);
+  if (!adapter) throw new Error(`No adapter for state "${stateKey}"`);
+
+  const draws = Object.values(adapter.draws);
+  const found = await Promise.all(draws.map(async (d) => {
+    const games = Object.keys(d.games);
+    const reads = await Promise.all(games.map(game => {
+      const g = d.games[game];
+      return tryUrls(g.sources, { label: g.label, n: g.digits, count: g.count, aliases: adapter.labels }, `${stateKey}.${game}.${d.key}`);
+    }));
+    return { draw: d, reads: Object.fromEntries(games.map((game, i) => [game, reads[i]])) };
+  }));
+
+  const out = emptyLatest();
+  const allDates = [];
+  for (const { draw, reads } of found) {
+    const games = [], dates = [];
+    for (const [key, r] of Object.entries(reads)) {
+      allDates.push(r.date);
+      if (!okGame(r.digits, draw.games[key])) continue;
+      games.push({ game: draw.games[key].name, digits: r.digits, extras: r.extras });
+      dates.push(r.date);
+    }
+    const value = resultValue({ games });
+    const dateISO = value ? maxISO(...dates) : null;
+    const combo = completeCombo(draw.format, value);
+    out.draws[draw.key] = value ? { dateISO, ...value } : null;
+    out[draw.key] = combo;
+    out.dates[draw.key] = combo ? dateISO : null;
+    // which fallback URL answered, per game
+    out.sources[draw.key] = Object.fromEntries(Object.entries(reads).map(([game, r]) => [game, r.url || null]));
+  }
+
+  // Back-compat: overall latest across any draws we found
+  out.dateISO = maxISO(...allDates) || eastCoastDateISO(); // overall is only used by old clients
+  return out;
+}
@@ -0,0 +1,184 @@
+import dayjs from 'dayjs';
+import { getDb } from './db.js';
+import { getAdapter, findDraw } from './adapters/index.js';
+import { gameName } from './result.js';
+import { eastCoastDateISO } from './extract.js';
+
+// ── Number statistics ─────────────────────────────────────────────────────────
+// Frequency analytics for one game of a state's draws (or all its draws) over a date
+// window, computed by one aggregation over draw_results (in JS on the local store). A
+// result's "units" are its digits ('123' -> 1, 2, 3), or its prize numbers for a quiniela
+// ('07-41-88' -> 07, 41, 88).
+//
+//   positions  hits per unit at each position, with the hot and cold units there
+//   units      hits per unit over all positions and days since each last came out
+//   numbers    every whole number drawn: hits and days since its last hit
+//   pairs      front and back pairs (first and last two digits), Pick games only
+//   repeats    draws by their most repeated unit: none, pair (112), triple (111), ...
+//   sums       draws by the sum of their units
+export const STATS = {
+  windowDays: 180, // default window when `from` is not given
+  hotCount: 3,     // units listed as hot / cold
+  topPairs: 10
+};
+
+const REPEATS = [null, 'none', 'pair', 'triple', 'quad', 'quint'];
+
+// The games a state's draw (or any of its draws) is scraped for; the first is the default
+export function gamesOf(state, draw) {
+  const adapter = getAdapter(state);
+  const draws = draw ? [findDraw(adapter, draw)].filter(Boolean) : Object.values(adapter?.draws || {});
+  const names = [...new Set(draws.flatMap(d => Object.values(d.games).map(g => g.name)))];
+  return names.length ? names : ['pick3'];
+}
+
+const unitsOf = (game) => (game === 'quiniela'
+  ? { $split: ['$games.digits', '-'] }
+  : { $map: { input: { $range: [0, { $strLenCP: '$games.digits' }] }, as: 'i', in: { $substrCP: ['$games.digits', '$$i', 1] } } });
+
+/**
+ * The aggregation for statsFor: one $facet document. Served by the
+ * { state, draw, dateISO } and { state, games.game, dateISO } indexes.
+ */
+export function statsPipeline({ state, draw, game, from, to }) {
+  const match = { state, dateISO: { $gte: from, $lte: to }, 'games.game': game };
+  if (draw) match.draw = draw;
+  const pick = game !== 'quiniela';
+  return [
+    { $match: match },
+    { $unwind: '$games' },
+    { $match: { 'games.game': game } },
+    { $project: { _id: 0, dateISO: 1, number: '$games.digits', units: unitsOf(game) } },
+    {
+      $addFields: {
+        sum: { $sum: { $map: { input: '$units', as: 'u', in: { $toInt: '$$u' } } } },
+        repeat: { $max: { $map: { input: '$units', as: 'u', in: { $size: { $filter: { input: '$units', as: 'v', cond: { $eq: ['$$v', '$$u'] } } } } } } }
+      }
+    },
+    {
+      $facet: {
+        summary: [{ $group: { _id: null, draws: { $sum: 1 }, first: { $min: '$dateISO' }, last: { $max: '$dateISO' } } }],
+        positions: [
+          { $unwind: { path: '$units', includeArrayIndex: 'pos' } },
+          { $group: { _id: { pos: '$pos', unit: '$units' }, hits: { $sum: 1 }, last: { $max: '$dateISO' } } }
+        ],
+        numbers: [{ $group: { _id: '$number', hits: { $sum: 1 }, last: { $max: '$dateISO' } } }],
+        pairs: pick ? [
+          { $project: { pair: [{ k: 'front', v: { $substrCP: ['$number', 0, 2] } }, { k: 'back', v: { $substrCP: ['$number', { $subtract: [{ $strLenCP: '$number' }, 2] }, 2] } }] } },
+          { $unwind: '$pair' },
+          { $group: { _id: '$pair', hits: { $sum: 1 } } }
+        ] : [{ $limit: 0 }],
+        repeats: [{ $group: { _id: '$repeat', hits: { $sum: 1 } } }],
+        sums: [{ $group: { _id: '$sum', hits: { $sum: 1 } } }]
+      }
+    }
+  ];
+}
+
+/**
+ * The same $facet document computed in JS, for the local store (lib/localdb.js), which has
+ * no aggregation. `rows` are draw_results documents already matched by window and game.
+ */
+export function statsFacet(rows, { game }) {
+  const draws = rows.flatMap(r => (r.games || []).filter(g => g.game === game && g.digits)
+    .map(g => ({ dateISO: r.dateISO, number: g.digits, units: game === 'quiniela' ? g.digits.split('-') : [...g.digits] })));
+  const groups = () => new Map();
+  const count = (map, id, dateISO) => {
+    const k = JSON.stringify(id);
+    const g = map.get(k) || { _id: id, hits: 0 };
+    g.hits++;
+    if (dateISO !== undefined && !(g.last >= dateISO)) g.last = dateISO;
+    map.set(k, g);
+  };
+  const [positions, numbers, pairs, repeats, sums] = [groups(), groups(), groups(), groups(), groups()];
+  for (const d of draws) {
+    d.units.forEach((unit, pos) => count(positions, { pos, unit }, d.dateISO));
+    count(numbers, d.number, d.dateISO);
+    if (game !== 'quiniela') {
+      count(pairs, { k: 'front', v: d.number.slice(0, 2) });
+      count(pairs, { k: 'back', v: d.number.slice(-2) });
+    }
+    count(repeats, Math.max(...d.units.map(u => d.units.filter(v => v === u).length)));
+    count(sums, d.units.reduce((n, u) => n + parseInt(u, 10), 0));
+  }
+  const dates = draws.map(d => d.dateISO).sort();
+  return {
+    summary: draws.length ? [{ _id: null, draws: draws.length, first: dates[0], last: dates.at(-1) }] : [],
+    positions: [...positions.values()],
+    numbers: [...numbers.values()],
+    pairs: [...pairs.values()],
+    repeats: [...repeats.values()],
+    sums: [...sums.values()]
+  };
+}
+
+const daysBetween = (a, b) => dayjs(b).diff(dayjs(a), 'day');
+const byHits = (a, b) => b.hits - a.hits || (b.last || '').localeCompare(a.last || '');
+
+/** Turn the $facet document into the response; `asOf` is the day "days since" counts to. */
+export function shapeStats(doc, { game, asOf }) {
+  const domain = game === 'quiniela'
+    ? Array.from({ length: 100 }, (_, i) => String(i).padStart(2, '0'))
+    : Array.from({ length: 10 }, (_, i) => String(i));
+  const since = (last) => (last ? daysBetween(last, asOf) : null);
+  const summary = doc.summary?.[0] || { draws: 0, first: null, last: null };
+
+  const perPos = new Map();
+  const total = new Map(domain.map(u => [u, { unit: u, hits: 0, last: null }]));
+  for (const p of doc.positions || []) {
+    const { pos, unit } = p._id;
+    if (!perPos.has(pos)) perPos.set(pos, new Map(domain.map(u => [u, 0])));
+    perPos.get(pos).set(unit, p.hits);
+    const t = total.get(unit) || { unit, hits: 0, last: null };
+    t.hits += p.hits;
+    if (!t.last || p.last > t.last) t.last = p.last;
+    total.set(unit, t);
+  }
+  const hotCold = (list) => ({
+    hot: list.slice(0, STATS.hotCount).map(x => x.unit),
+    cold: list.slice(-STATS.hotCount).reverse().map(x => x.unit)
+  });
+
+  const positions = [...perPos.keys()].sort((a, b) => a - b).map(pos => {
+    const counts = [...perPos.get(pos)].map(([unit, hits]) => ({ unit, hits })).sort((a, b) => b.hits - a.hits || a.unit.localeCompare(b.unit));
+    return { position: pos + 1, counts: Object.fromEntries(domain.map(u => [u, perPos.get(pos).get(u)])), ...hotCold(counts) };
+  });
+  const units = [...total.values()].map(t => ({ ...t, daysSince: since(t.last) }))
+    .sort((a, b) => byHits(a, b) || a.unit.localeCompare(b.unit));
+
+  const pairs = { front: [], back: [] };
+  for (const p of doc.pairs || []) pairs[p._id.k]?.push({ pair: p._id.v, hits: p.hits });
+  for (const k of Object.keys(pairs)) pairs[k] = pairs[k].sort((a, b) => b.hits - a.hits || a.pair.localeCompare(b.pair)).slice(0, STATS.topPairs);
+
+  return {
+    draws: summary.draws, first: summary.first, last: summary.last,
+    ...hotCold(units),
+    positions,
+    units,
+    numbers: (doc.numbers || []).map(n => ({ number: n._id, hits: n.hits, last: n.last, daysSince: since(n.last) })).sort(byHits),
+    pairs: game === 'quiniela' ? null : pairs,
+    repeats: Object.fromEntries((doc.repeats || []).sort((a, b) => a._id - b._id).map(r => [REPEATS[r._id] || `x${r._id}`, r.hits])),
+    sums: (doc.sums || []).map(s => ({ sum: s._id, hits: s.hits })).sort((a, b) => a.sum - b.sum)
+  };
+}
+
+/**
+ * Stats for GET /api/:state/stats. `draw` is optional (all draws of the state); `game`
+ * defaults to the draw's first game; the window defaults to STATS.windowDays up to today.
+ */
+export async function statsFor(state, { draw, game, from, to, now = new Date() } = {}) {
+  const today = eastCoastDateISO(now);
+  const name = draw ? (findDraw(getAdapter(state), draw)?.name || draw) : null;
+  const games = gamesOf(state, draw);
+  const g = game ? gameName(game) : games[0];
+  if (!g) throw new Error(`unknown game ${game}`);
+  to = to && to < today ? to : today;
+  from = from || dayjs(to).subtract(STATS.windowDays, 'day').format('YYYY-MM-DD');
+  const db = await getDb();
+  const col = db.collection('draw_results');
+  const pipeline = statsPipeline({ state, draw: name, game: g, from, to });
+  const [doc] = db.kind // the local store can't aggregate: same $match, the rest in JS
+    ? [statsFacet(await col.find(pipeline[0].$match).toArray(), { game: g })]
+    : await col.aggregate(pipeline).toArray();
+  return { state, draw: name, game: g, games, from, to, ...shapeStats(doc || {}, { game: g, asOf: to }) };
+}
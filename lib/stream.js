@@ -0,0 +1,111 @@
+import { getDb } from './db.js';
+import { resultValue, completeCombo } from './result.js';
+import { getAdapter, findDraw } from './adapters/index.js';
+
+// ── Result stream ─────────────────────────────────────────────────────────────
+// Every write to draw_results leaves a row in draw_result_revisions (append-only,
+// stamped with `at`), so that collection read forward from a cursor is the change
+// feed. It sees the worker, cron, scrapes triggered by /latest and admin saves alike,
+// whichever process made them, and needs no replica set (unlike change streams).
+// One poll per server instance feeds every connected board.
+export const STREAM = {
+  pollMs: 2000,            // how often the shared poller reads new revisions
+  keepAliveMs: 25 * 1000,  // comment line so proxies don't drop an idle connection
+  maxMs: 5 * 60 * 1000,    // end the response before serverless limits do; EventSource reconnects
+  retryMs: 3000,           // reconnect delay suggested to the browser
+  batch: 200               // revisions per read (and the most a reconnect replays)
+};
+
+// Backfill writes years of history at once; boards only care about live results
+const LIVE = { source: { $ne: 'backfill' } };
+
+/**
+ * Board message for one revision. `combo` is the string the card shows, set only
+ * once the draw is complete; `result` is the full stored value (null after a delete).
+ * `id` (at-ms:revisionId) is the SSE event id a reconnect resumes from.
+ */
+export function toMessage(rev) {
+  const d = findDraw(getAdapter(rev.state), rev.draw);
+  const result = rev.next ? resultValue(rev.next) : null;
+  return {
+    id: `${rev.at.getTime()}:${rev._id}`,
+    state: rev.state,
+    key: d?.key || null,
+    draw: rev.draw,
+    dateISO: rev.dateISO,
+    action: rev.action,
+    status: rev.next?.status || null,
+    combo: d ? completeCombo(d.format, result) : null,
+    result,
+    at: rev.at.toISOString()
+  };
+}
+
+// Cursor from a Last-Event-ID header; null when absent or unreadable
+export function parseEventId(id) {
+  const m = /^(\d+):(\w+)$/.exec(String(id || ''));
+  return m ? { at: new Date(Number(m[1])), ids: new Set([m[2]]) } : null;
+}
+
+/**
+ * Revisions at or after `cursor.at` that the cursor hasn't seen. Revisions written
+ * in the same millisecond are told apart by the ids already sent at that instant.
+ * @returns {Promise<{ messages: object[], cursor: { at: Date, ids: Set<string> } }>}
+ */
+export async function readChanges(cursor, { limit = STREAM.batch } = {}) {
+  const db = await getDb();
+  const revs = await db.collection('draw_result_revisions')
+    .find({ ...LIVE, at: { $gte: cursor.at } }).sort({ at: 1, _id: 1 }).limit(limit).toArray();
+  const fresh = revs.filter(r => !(r.at.getTime() === cursor.at.getTime() && cursor.ids.has(String(r._id))));
+  return { messages: fresh.map(toMessage), cursor: advanceCursor(cursor, fresh) };
+}
+
+export function advanceCursor(cursor, revs) {
+  if (!revs.length) return cursor;
+  const at = revs[revs.length - 1].at;
+  const ids = new Set(at.getTime() === cursor.at.getTime() ? cursor.ids : []);
+  for (const r of revs) if (r.at.getTime() === at.getTime()) ids.add(String(r._id));
+  return { at, ids };
+}
+
+// ── Shared poller ─────────────────────────────────────────────────────────────
+const listeners = new Set();
+let timer = null;
+let polling = false;
+let cursor = null;
+
+async function poll() {
+  polling = true;
+  try {
+    let out;
+    do {
+      out = await readChanges(cursor);
+      cursor = out.cursor;
+      for (const msg of out.messages) for (const fn of listeners) fn(msg);
+    } while (out.messages.length >= STREAM.batch);
+  } catch (e) {
+    console.warn('[stream] poll failed:', e.message);
+  }
+  polling = false;
+  timer = listeners.size ? setTimeout(poll, STREAM.pollMs) : null;
+}
+
+/**
+ * Call `fn(message)` for every result change from now on. The poller runs only while
+ * someone is subscribed. Returns the unsubscribe function.
+ */
+export function subscribe(fn) {
+  listeners.add(fn);
+  if (!timer && !polling) {
+    cursor = { at: new Date(), ids: new Set() };
+    timer = setTimeout(poll, STREAM.pollMs);
+  }
+  return () => {
+    listeners.delete(fn);
+    if (!listeners.size && timer) { clearTimeout(timer); timer = null; }
+  };
+}
+
+// One SSE frame
+export const sseFrame = (event, data, id) =>
+  `${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
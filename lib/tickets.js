@@ -0,0 +1,194 @@
+import { getDb } from './db.js';
+import { toGames, gameName } from './result.js';
+import { resolveTarget } from './admin.js';
+import { SEED_CATALOG, getCatalog } from './catalog.js';
+import { csvCell, parseCsv } from './export.js';
+
+// ── Ticket checking ───────────────────────────────────────────────────────────
+// A ticket names a draw occurrence (catalog id, or state + draw), a game, the number
+// played and the bet; it is settled against the stored result:
+//
+//   { state: 'ny', draw: 'Evening', dateISO: '2026-10-17', game: 'pick3', number: '123',
+//     bet: 'box', amount: 1 }
+//
+// Bets on Pick 2-5: straight (exact order), box (any order), combo (every order as its
+// own straight), front-pair / back-pair (first or last two digits), pulito (digits at
+// chosen 1-based positions, `positions: [3]`). On quinielas: quiniela ('41' on any
+// prize), pale ('07-88', two prizes), tripleta ('07-41-88').
+//
+// The multiplier comes from the payout table: '<game>.<bet key>' first, then '<bet key>'.
+// Settings 'payouts' overrides the defaults below.
+
+export const DEFAULT_PAYOUTS = {
+  'pick2.straight': 90, 'pick2.box-2': 45,
+  'pick3.straight': 500, 'pick3.box-3': 160, 'pick3.box-6': 80,
+  'pick4.straight': 5000, 'pick4.box-4': 1200, 'pick4.box-6': 800, 'pick4.box-12': 400, 'pick4.box-24': 200,
+  'pick5.straight': 50000, 'pick5.box-5': 10000, 'pick5.box-10': 5000, 'pick5.box-20': 2500,
+  'pick5.box-30': 1600, 'pick5.box-60': 800, 'pick5.box-120': 400,
+  'front-pair': 50, 'back-pair': 50,
+  'pulito-1': 8, 'pulito-2': 50, 'pulito-3': 500,
+  'quiniela-1': 60, 'quiniela-2': 8, 'quiniela-3': 4,
+  'pale-12': 1000, 'pale-13': 1000, 'pale-23': 100,
+  tripleta: 20000, 'tripleta-2': 100
+};
+
+export const BETS = ['straight', 'box', 'combo', 'front-pair', 'back-pair', 'pulito', 'quiniela', 'pale', 'tripleta'];
+const PICK_BETS = new Set(['straight', 'box', 'combo', 'front-pair', 'back-pair', 'pulito']);
+const QUINIELA_BETS = new Set(['quiniela', 'pale', 'tripleta']);
+const DIGITS = { pick2: 2, pick3: 3, pick4: 4, pick5: 5 };
+
+const fact = (n) => (n <= 1 ? 1 : n * fact(n - 1));
+// distinct orderings of a number's digits: 6 for 123, 3 for 112, 1 for 111
+export function boxWays(number) {
+  const counts = {};
+  for (const c of number) counts[c] = (counts[c] || 0) + 1;
+  return Object.values(counts).reduce((w, k) => w / fact(k), fact(number.length));
+}
+
+const sorted = (s) => [...s].sort().join('');
+// '<game>.<key>' beats '<key>'; null when the table has neither
+export function payoutFor(table, game, key) {
+  return table[`${game}.${key}`] ?? table[key] ?? null;
+}
+
+/**
+ * Settle one ticket against the drawn digits of its game. Returns { status: 'hit' | 'miss',
+ * key, matched: [1-based positions or prize numbers], ways? } or { status: 'invalid', error }.
+ */
+export function settle({ game, number, bet, positions }, drawn) {
+  number = String(number ?? '').trim();
+  if (game === 'quiniela') {
+    if (!QUINIELA_BETS.has(bet)) return { status: 'invalid', error: 'bad_bet' };
+    const prizes = drawn.split('-');
+    const played = number.split(/\s*-\s*/);
+    const want = { quiniela: 1, pale: 2, tripleta: 3 }[bet];
+    if (played.length !== want || !played.every(p => /^\d{2}$/.test(p))) return { status: 'invalid', error: 'bad_number' };
+    // which prize (1-3) each played number took; each prize counts once
+    const left = [...prizes];
+    const hits = played.map(p => {
+      const i = left.indexOf(p);
+      if (i < 0) return null;
+      left[i] = null;
+      return i + 1;
+    }).filter(Boolean).sort();
+    if (bet === 'quiniela') return hits.length ? { status: 'hit', key: `quiniela-${hits[0]}`, matched: hits } : { status: 'miss', matched: [] };
+    if (bet === 'pale') return hits.length === 2 ? { status: 'hit', key: `pale-${hits.join('')}`, matched: hits } : { status: 'miss', matched: hits };
+    if (hits.length === 3) return { status: 'hit', key: 'tripleta', matched: hits };
+    return hits.length === 2 ? { status: 'hit', key: 'tripleta-2', matched: hits } : { status: 'miss', matched: hits };
+  }
+
+  const n = DIGITS[game];
+  if (!PICK_BETS.has(bet)) return { status: 'invalid', error: 'bad_bet' };
+  const all = Array.from({ length: n }, (_, i) => i + 1);
+
+  if (bet === 'front-pair' || bet === 'back-pair') {
+    if (n < 3 || !/^\d{2}$/.test(number)) return { status: 'invalid', error: 'bad_number' };
+    const at = bet === 'front-pair' ? [1, 2] : [n - 1, n];
+    const hit = at.every((p, i) => drawn[p - 1] === number[i]);
+    return { status: hit ? 'hit' : 'miss', key: bet, matched: hit ? at : [] };
+  }
+  if (bet === 'pulito') {
+    const at = (positions || []).map(Number);
+    if (!at.length || at.length !== number.length || !/^\d+$/.test(number) || new Set(at).size !== at.length ||
+      !at.every(p => Number.isInteger(p) && p >= 1 && p <= n)) return { status: 'invalid', error: 'bad_positions' };
+    const hit = at.every((p, i) => drawn[p - 1] === number[i]);
+    return { status: hit ? 'hit' : 'miss', key: `pulito-${at.length}`, matched: hit ? at : [] };
+  }
+
+  if (!new RegExp(`^\\d{${n}}$`).test(number)) return { status: 'invalid', error: 'bad_number' };
+  const ways = boxWays(number);
+  if (bet === 'straight') {
+    const hit = number === drawn;
+    return { status: hit ? 'hit' : 'miss', key: 'straight', matched: hit ? all : [] };
+  }
+  if (ways === 1) return { status: 'invalid', error: 'box_needs_two_digits' };
+  const hit = sorted(number) === sorted(drawn);
+  // combo = every ordering bought as a straight; one of them wins at the straight rate
+  return { status: hit ? 'hit' : 'miss', key: bet === 'combo' ? 'straight' : `box-${ways}`, matched: hit ? all : [], ways };
+}
+
+export async function getPayouts() {
+  const db = await getDb();
+  const doc = await db.collection('settings').findOne({ _id: 'payouts' });
+  return { ...DEFAULT_PAYOUTS, ...(doc?.payouts || {}) };
+}
+
+export async function savePayouts(payouts, { actor } = {}) {
+  if (!payouts || typeof payouts !== 'object' || Array.isArray(payouts)) throw new Error('payouts must be an object of key -> multiplier');
+  for (const [k, v] of Object.entries(payouts)) {
+    if (typeof v !== 'number' || !(v >= 0)) throw new Error(`payout ${k} must be a number >= 0`);
+  }
+  const db = await getDb();
+  await db.collection('settings').updateOne(
+    { _id: 'payouts' }, { $set: { payouts, updatedAt: new Date(), updatedBy: actor || null } }, { upsert: true }
+  );
+  return { ...DEFAULT_PAYOUTS, ...payouts };
+}
+
+/**
+ * Check a batch of tickets. One entry per ticket, in order:
+ *   { ticket, status: 'hit' | 'miss' | 'pending' | 'invalid', result, resultStatus,
+ *     matched, multiplier, payout, ways?, error? }
+ * 'pending' means no result is stored for that game yet; `resultStatus` is the row's
+ * status ('unverified' / 'verified' / 'conflict') so settlement can hold disputed draws.
+ * `payout` is amount x multiplier when the ticket has an amount.
+ */
+export async function checkTickets(tickets, { payouts, catalog } = {}) {
+  catalog = catalog || await getCatalog().catch(() => SEED_CATALOG);
+  payouts = payouts || await getPayouts();
+  const prepared = (tickets || []).map(t => {
+    const target = resolveTarget({ id: t.id, state: t.state, draw: t.draw }, catalog);
+    const dateISO = t.dateISO || t.date;
+    const game = gameName(t.game);
+    const bet = String(t.bet || 'straight').toLowerCase().replace(/[\s_]/g, '-');
+    let error = null;
+    if (!target) error = 'unknown_draw';
+    else if (!/^\d{4}-\d{2}-\d{2}$/.test(dateISO || '')) error = 'bad_date';
+    else if (!game) error = 'bad_game';
+    else if (!BETS.includes(bet)) error = 'bad_bet';
+    return { t, target, dateISO, game, bet, error };
+  });
+
+  const want = prepared.filter(p => !p.error).map(p => ({ ...p.target, dateISO: p.dateISO }));
+  const rows = want.length
+    ? await (await getDb()).collection('draw_results').find({ $or: want }).project({ _id: 0 }).toArray()
+    : [];
+
+  return prepared.map(({ t, target, dateISO, game, bet, error }) => {
+    const base = { ticket: t, status: 'invalid', result: null, resultStatus: null, matched: [], multiplier: null, payout: null };
+    if (error) return { ...base, error };
+    const row = rows.find(r => r.state === target.state && r.draw === target.draw && r.dateISO === dateISO);
+    const drawn = row && toGames(row).find(g => g.game === game)?.digits;
+    if (!drawn) return { ...base, status: 'pending', resultStatus: row?.status || null };
+    const s = settle({ game, number: t.number, bet, positions: t.positions }, drawn);
+    const out = { ...base, result: drawn, resultStatus: row.status || 'unverified', status: s.status, matched: s.matched || [] };
+    if (s.ways) out.ways = s.ways;
+    if (s.status === 'invalid') return { ...out, error: s.error };
+    if (s.status === 'hit') {
+      out.multiplier = payoutFor(payouts, game, s.key);
+      const amount = Number(t.amount);
+      if (out.multiplier != null && amount > 0) out.payout = Math.round(amount * out.multiplier * 100) / 100;
+    } else if (Number(t.amount) > 0) out.payout = 0;
+    return out;
+  });
+}
+
+// ── CSV batch ─────────────────────────────────────────────────────────────────
+// Header row required; columns: id or state+draw, date (or dateISO), game, number, bet,
+// positions ('3' or '3 4'), amount. Output repeats the input columns and adds the result.
+export const CSV_OUT = ['status', 'result', 'result_status', 'matched', 'multiplier', 'payout', 'error'];
+
+export function parseTicketsCsv(text) {
+  const { header, records } = parseCsv(text);
+  const tickets = records.map(t => (t.positions ? { ...t, positions: t.positions.split(/[\s;|]+/).filter(Boolean).map(Number) } : t));
+  return { header, tickets };
+}
+
+export function checksToCsv(header, checks) {
+  const lines = [[...header, ...CSV_OUT].map(csvCell).join(',')];
+  for (const c of checks) {
+    const input = header.map(h => (h === 'positions' ? (c.ticket.positions || []).join(' ') : c.ticket[h]));
+    lines.push([...input, c.status, c.result, c.resultStatus, c.matched.join(' '), c.multiplier, c.payout, c.error].map(csvCell).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
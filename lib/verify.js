@@ -0,0 +1,122 @@
+import { ObjectId } from 'mongodb';
+import { getAdapter, findDraw } from './adapters/index.js';
+import { tryUrls, maxISO } from './scraper.js';
+import { getDb, recordConflict, recordRevision, revisionValue, setResultUpdate } from './db.js';
+import { resultValue, toGames, overlayGames, mergeGames } from './result.js';
+
+// ── Cross-source verification ─────────────────────────────────────────────────
+// The primary scrape stores a row as 'unverified'. A row becomes 'verified' only
+// when an independent source (adapter `verify`) reports the same pair for the same
+// date; a different pair opens a conflict instead of touching the stored numbers.
+
+const ok = (s, n) => typeof s === 'string' && /^\d+$/.test(s) && s.length === n;
+
+// Read one draw from the adapter's second source. null when none is declared.
+export async function readSecondSource(stateKey, drawKey) {
+  const adapter = getAdapter(stateKey);
+  const d = adapter?.draws[drawKey];
+  if (!d || !d.games.p3?.verify.length || !d.games.p4?.verify.length) return null;
+
+  const [p3, p4] = await Promise.all(['p3', 'p4'].map(game => {
+    const g = d.games[game];
+    return tryUrls(g.verify, { label: g.label, n: g.digits, aliases: adapter.labels }, `${stateKey}.${game}.${drawKey}.verify`);
+  }));
+  const pick3 = ok(p3.digits, 3) ? p3.digits : null;
+  const pick4 = ok(p4.digits, 4) ? p4.digits : null;
+  return {
+    pick3, pick4,
+    combo: pick3 && pick4 ? `${pick3}-${pick4}` : null,
+    dateISO: pick3 && pick4 ? maxISO(p3.date, p4.date) : null,
+    source: p3.source || p4.source || null,
+    urls: [p3.url, p4.url].filter(Boolean)
+  };
+}
+
+/**
+ * Check a stored row against the second source.
+ * @returns {Promise<'verified'|'conflict'|'pending'|'no_verifier'|'missing'>}
+ *   'pending' means the second source doesn't show this occurrence (yet).
+ */
+export async function verifyStored({ state, draw, dateISO }) {
+  const d = findDraw(getAdapter(state), draw);
+  if (!d) return 'no_verifier';
+
+  const second = await readSecondSource(state, d.key);
+  if (!second) return 'no_verifier';
+  if (!second.combo || second.dateISO !== dateISO) return 'pending';
+
+  const db = await getDb();
+  const col = db.collection('draw_results');
+  const row = await col.findOne({ state, draw, dateISO });
+  if (!row) return 'missing';
+
+  if (mergeGames(toGames(row), toGames(second)).conflict) {
+    await recordConflict(row, { ...second, meta: { urls: second.urls } });
+    return 'conflict';
+  }
+  // the row still lacks a game the second source has; the next scrape extends it
+  if (row.combo !== second.combo) return 'pending';
+  const verifiedBy = [row.source || 'official', second.source];
+  const res = await col.updateOne(
+    { state, draw, dateISO, combo: row.combo, status: { $nin: ['conflict', 'verified'] } },
+    { $set: { status: 'verified', verified: true, verifiedAt: new Date(), verifiedBy } }
+  );
+  if (!res.modifiedCount) {
+    // the row changed since it was read (conflict, correction, or verified meanwhile)
+    const now = await col.findOne({ state, draw, dateISO }, { projection: { status: 1 } });
+    if (!now) return 'missing';
+    return now.status === 'verified' || now.status === 'conflict' ? now.status : 'pending';
+  }
+  await recordRevision({
+    state, draw, dateISO, action: 'verify',
+    prev: revisionValue(row), next: { ...revisionValue(row), status: 'verified' },
+    source: second.source, actor: 'verifier', meta: { urls: second.urls, verifiedBy }
+  });
+  return 'verified';
+}
+
+export async function listConflicts({ resolved = false, state } = {}) {
+  const db = await getDb();
+  const q = { resolved };
+  if (state) q.state = state;
+  return db.collection('draw_conflicts').find(q).sort({ dateISO: -1, createdAt: -1 }).limit(200).toArray();
+}
+
+/**
+ * Settle a conflict by hand. `keep: 'stored'` leaves the row as it is,
+ * `keep: 'incoming'` replaces its numbers with the disputed value. Either way the
+ * row counts as verified afterwards – an admin looked at it.
+ */
+export async function resolveConflict(id, { keep, by = 'admin' }) {
+  if (!['stored', 'incoming'].includes(keep)) throw new Error("keep must be 'stored' or 'incoming'");
+  const db = await getDb();
+  const conflicts = db.collection('draw_conflicts');
+  const c = await conflicts.findOne({ _id: new ObjectId(String(id)) });
+  if (!c) throw new Error('conflict not found');
+  if (c.resolved) throw new Error('conflict already resolved');
+
+  const { state, draw, dateISO } = c;
+  const chosen = keep === 'incoming' ? c.incoming : c.stored;
+  const col = db.collection('draw_results');
+  const before = await col.findOne({ state, draw, dateISO });
+  // the disputed games replace the stored ones; games the dispute didn't cover stay
+  const value = keep === 'incoming'
+    ? resultValue({ games: overlayGames(toGames(before || {}), toGames(chosen)) })
+    : resultValue(before || chosen);
+  const settled = { status: 'verified', verified: true, verifiedAt: new Date(), verifiedBy: [by] };
+  if (keep === 'incoming') await col.updateOne({ state, draw, dateISO }, setResultUpdate(value, { ...settled, source: chosen.source }));
+  else await col.updateOne({ state, draw, dateISO }, { $set: settled });
+  await recordRevision({
+    state, draw, dateISO, action: 'resolve',
+    prev: revisionValue(before),
+    next: { ...value, status: 'verified' },
+    source: chosen.source, actor: by, meta: { conflict: String(c._id), keep }
+  });
+
+  // the other open disputes for this occurrence are settled by the same decision
+  await conflicts.updateMany(
+    { state, draw, dateISO, resolved: false },
+    { $set: { resolved: true, resolvedAt: new Date(), resolvedBy: by, kept: value.combo } }
+  );
+  return { state, draw, dateISO, combo: value.combo };
+}
@@ -0,0 +1,68 @@
+// ── Offline support ───────────────────────────────────────────────────────────
+// Keeps the board usable when the shop's internet drops: the app shell is cached on
+// install, and the read-only /api answers the board needs are fetched network-first,
+// with the last good response kept as the fallback. Responses served from the cache
+// carry `X-SW-Cache: hit` so the board can say it is showing the last known results.
+const VERSION = 'br-v1';
+const SHELL = ['/', '/index.html'];
+
+// GET endpoints worth replaying offline (path only; the query is part of the cache key)
+const API_CACHED = [
+  /\/api\/latest$/,
+  /\/api\/catalog$/,
+  /\/api\/drawdate\.js$/,
+  /\/api\/[^/]+\/(latest|history|stats|by-date\/[\d-]+)$/
+];
+const FONTS = /^https:\/\/fonts\.(googleapis|gstatic)\.com\//;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(VERSION).then(c => c.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== VERSION).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function networkFirst(request, fallbackKey) {
+  const cache = await caches.open(VERSION);
+  try {
+    const res = await fetch(request);
+    if (res.ok) await cache.put(fallbackKey || request, res.clone());
+    return res;
+  } catch (e) {
+    const hit = await cache.match(fallbackKey || request);
+    if (!hit) throw e;
+    const headers = new Headers(hit.headers);
+    headers.set('X-SW-Cache', 'hit');
+    return new Response(hit.body, { status: hit.status, statusText: hit.statusText, headers });
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(VERSION);
+  const hit = await cache.match(request);
+  if (hit) return hit;
+  const res = await fetch(request);
+  if (res.ok || res.type === 'opaque') await cache.put(request, res.clone());
+  return res;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  // every page of the app is index.html (vercel.json), whatever the query (?display=tv)
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, '/index.html'));
+  } else if (API_CACHED.some(re => re.test(url.pathname))) {
+    event.respondWith(networkFirst(request));
+  } else if (FONTS.test(request.url)) {
+    event.respondWith(cacheFirst(request));
+  }
+  // everything else (the live stream, admin calls) goes straight to the network
+});
@@ -0,0 +1,88 @@
+// ── Results widget ────────────────────────────────────────────────────────────
+// Embeds chosen lotteries on a partner's page, read through the keyed public API:
+//
+//   <script src="https://<host>/widget.js" data-key="br_…"
+//           data-ids="usa/ny/Midday,usa/ny/Evening" data-theme="light"></script>
+//
+// The cards render in a shadow root right after the script tag (or inside the element
+// named by data-target), in the board's colours and style. The page's origin must be
+// listed on the key. Without data-ids every visible catalog entry is shown.
+(function () {
+  const script = document.currentScript;
+  if (!script) return;
+  const opts = script.dataset;
+  const base = new URL(script.src, location.href).origin;
+  const REFRESH_MS = 5 * 60 * 1000; // every visitor's page counts against the key's limits
+
+  const THEMES = {
+    dark: '--bg:#0b2a24;--card:#123a32;--card-2:#0f332c;--text:#e9f7f4;--muted:#9ed7cb;--accent:#51ffc6;--accent-2:#99ffea;--ok:#2ee59d',
+    light: '--bg:#efe7da;--card:#f6efe4;--card-2:#f0e7d9;--text:#2a2a2a;--muted:#4b5a55;--accent:#1fbf8a;--accent-2:#0aa39b;--ok:#157a57'
+  };
+  const CSS = `
+    :host { all:initial; display:block; font-family:Inter, system-ui, -apple-system, Segoe UI, Roboto, sans-serif; }
+    .box { background:var(--bg); color:var(--text); border-radius:16px; padding:12px; }
+    .head { display:flex; align-items:center; gap:8px; font-weight:800; margin-bottom:10px; }
+    .logo { width:28px; height:28px; border-radius:8px; display:grid; place-items:center; font-size:12px; font-weight:900; color:#0b2a24;
+            background:radial-gradient(60px 60px at 20% 20%, #00ffd5 0%, #2af4a6 40%, #0aa39b 100%); }
+    .grid { display:grid; gap:10px; grid-template-columns:repeat(auto-fill, minmax(170px, 1fr)); }
+    .card { background:var(--card); border-radius:12px; padding:10px 12px; display:grid; gap:4px; }
+    .top { display:flex; align-items:center; gap:8px; }
+    .badge { width:26px; height:26px; border-radius:8px; display:grid; place-items:center; font-size:11px; font-weight:900; color:#09231e;
+             background:radial-gradient(50px 50px at 10% 10%, var(--accent-2) 0%, var(--accent) 65%, #1f9d76 100%); }
+    .title { font-weight:800; font-size:13px; } .sub { font-size:11px; color:var(--muted); }
+    .num { font-size:22px; font-weight:800; letter-spacing:2px; }
+    .meta { font-size:11px; color:var(--muted); display:flex; justify-content:space-between; }
+    .ok { color:var(--ok); font-weight:700; }
+    .err { font-size:12px; color:var(--muted); }
+    a { color:var(--muted); font-size:11px; }`;
+
+  const host = document.createElement('div');
+  const target = opts.target && document.querySelector(opts.target);
+  if (target) target.appendChild(host); else script.after(host);
+  const root = host.attachShadow({ mode: 'open' });
+
+  const esc = (x) => String(x ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;');
+  const initials = (name) => (name[0] || '?') + (name.split(' ')[1]?.[0] || '');
+  const fmtDate = (d) => new Date(d + 'T12:00:00').toLocaleDateString('es-DO', { weekday: 'short', month: 'short', day: 'numeric' });
+
+  async function get(path) {
+    const r = await fetch(base + path, { headers: { 'X-API-Key': opts.key || '' } });
+    if (!r.ok) throw new Error((await r.json().catch(() => ({}))).error || 'HTTP ' + r.status);
+    return r.json();
+  }
+
+  function render(entries, results, error) {
+    const theme = THEMES[opts.theme] ? opts.theme : 'dark';
+    const cards = entries.map(e => {
+      const r = results[e.id];
+      return `<div class="card">
+        <div class="top"><div class="badge">${esc(initials(e.lottery))}</div>
+          <div><div class="title">${esc(e.lottery)}</div><div class="sub">${esc(e.draw)}</div></div></div>
+        <div class="num">${esc(r?.combo || '—')}</div>
+        <div class="meta"><span>${r?.dateISO ? esc(fmtDate(r.dateISO)) : 'Sorteo ' + esc(e.drawTime)}</span>${r?.status === 'verified' ? '<span class="ok">✓ Verificado</span>' : ''}</div>
+      </div>`;
+    }).join('');
+    root.innerHTML = `<style>${CSS}</style><div class="box" style="${THEMES[theme]}">
+      <div class="head"><div class="logo">BR</div>Beast Reader</div>
+      ${error ? `<div class="err">Resultados no disponibles (${esc(error)}).</div>` : `<div class="grid">${cards}</div>`}
+    </div>`;
+  }
+
+  let entries = null;
+  async function refresh() {
+    try {
+      if (!entries) {
+        const ids = (opts.ids || '').split(',').map(s => s.trim()).filter(Boolean);
+        const { catalog } = await get('/api/v1/catalog');
+        entries = ids.length ? ids.map(id => catalog.find(e => e.id === id)).filter(Boolean) : catalog;
+      }
+      const states = [...new Set(entries.map(e => e.state).filter(Boolean))];
+      const data = states.length ? await get('/api/v1/latest?states=' + states.join(',')) : { results: {} };
+      render(entries, data.results || {});
+    } catch (e) {
+      render(entries || [], {}, e.message);
+    }
+    setTimeout(refresh, REFRESH_MS);
+  }
+  refresh();
+})();
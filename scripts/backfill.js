@@ -0,0 +1,42 @@
+// Backfill draw_results from the yearly past-results pages.
+//
+//   npm run backfill -- --state ny --from 2025-01-01 --to 2025-12-31
+//   npm run backfill -- --state ga --draw Night --from 2024-06-01 --to 2024-06-30 --dry-run
+//
+// Re-running the same command resumes after the last finished draw-year; --restart starts over.
+import { getDb, closeDb } from '../lib/db.js';
+import { runBackfill } from '../lib/backfill.js';
+
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith('--')) continue;
+    const key = a.slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) out[key] = true;
+    else { out[key] = next; i++; }
+  }
+  return out;
+}
+
+const args = parseArgs(process.argv.slice(2));
+if (!args.state || !args.from || !args.to) {
+  console.error('usage: backfill.js --state <key> --from YYYY-MM-DD --to YYYY-MM-DD [--draw <name>] [--dry-run] [--restart]');
+  process.exit(1);
+}
+
+try {
+  await getDb();
+  const report = await runBackfill({
+    state: args.state, draw: args.draw, from: args.from, to: args.to,
+    dryRun: !!args.dryRun, restart: !!args.restart
+  });
+  console.log(JSON.stringify(report, null, 2));
+  process.exitCode = report.errors.length ? 2 : 0;
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 1;
+} finally {
+  await closeDb();
+}
@@ -0,0 +1,31 @@
+// Create an admin user, or reset the password of an existing one.
+//
+//   npm run admin:create -- <username>          # asks for the password
+//   ADMIN_PASSWORD=... npm run admin:create -- <username>
+import readline from 'readline/promises';
+import { getDb, closeDb } from '../lib/db.js';
+import { createAdminUser } from '../lib/auth.js';
+
+const username = process.argv[2];
+if (!username) {
+  console.error('usage: create-admin.js <username>');
+  process.exit(1);
+}
+
+let password = process.env.ADMIN_PASSWORD;
+if (!password) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  password = await rl.question(`Password for ${username}: `);
+  rl.close();
+}
+
+try {
+  await getDb();
+  await createAdminUser(username, password);
+  console.log(`admin "${username.toLowerCase()}" saved`);
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 1;
+} finally {
+  await closeDb();
+}
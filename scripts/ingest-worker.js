@@ -0,0 +1,31 @@
+// Standalone ingestion worker: keeps draw_results filled without any board open.
+//
+//   npm run worker                 # all states
+//   npm run worker -- ny,ga        # only some states
+import { getDb, closeDb } from '../lib/db.js';
+import { startIngestWorker } from '../lib/ingest.js';
+import { trackSourceHealth, runHealthChecks } from '../lib/health.js';
+
+const HEALTH_EVERY_MS = 5 * 60 * 1000;
+
+const states = process.argv[2] ? process.argv[2].split(',') : undefined;
+
+await getDb();
+console.log('Ingest worker up', states ? `(${states.join(', ')})` : '(all states)');
+trackSourceHealth();
+const worker = startIngestWorker({ states });
+// overdue draws / broken selectors -> ALERT_WEBHOOK_URL
+const health = setInterval(() => {
+  runHealthChecks()
+    .then(r => r.raised.length && console.log('[HEALTH] raised', r.raised.join(', ')))
+    .catch(e => console.error('[HEALTH] check failed:', e.message));
+}, HEALTH_EVERY_MS);
+
+for (const sig of ['SIGINT', 'SIGTERM']) {
+  process.on(sig, async () => {
+    worker.stop();
+    clearInterval(health);
+    await closeDb();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,21 @@
+// Convert draw_results rows written before the games list (schema 2).
+//
+//   npm run migrate:results              # migrate
+//   npm run migrate:results -- --dry-run # count only
+//
+// Re-running is harmless: migrated rows are skipped.
+import { getDb, closeDb, migrateDrawResults } from '../lib/db.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+try {
+  await getDb();
+  const report = await migrateDrawResults({ dryRun });
+  console.log(`${dryRun ? '[dry run] ' : ''}scanned ${report.scanned}, migrated ${report.migrated}, skipped ${report.skipped.length}`);
+  for (const s of report.skipped) console.log(`  no numbers: ${s.state}/${s.draw}/${s.dateISO}`);
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 1;
+} finally {
+  await closeDb();
+}
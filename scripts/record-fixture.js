@@ -0,0 +1,74 @@
+// Capture live lotteryusa.com pages as test fixtures.
+//
+//   npm run fixtures:record -- ny              # every source URL of the NY adapter
+//   npm run fixtures:record -- <url> [name]    # one page
+//   npm run fixtures:record -- ga --expect     # also store today's combinedPair output as the expectation
+//
+// Snapshots land in test/fixtures/lotteryusa/ and are registered in manifest.json.
+// --expect records whatever the extractors return *now*: check the digits by hand
+// against the official site before committing, otherwise a broken parse becomes the baseline.
+import fs from 'fs';
+import path from 'path';
+import { fetchHtml, combinedPair, setHtmlFetcher } from '../lib/scraper.js';
+import { getAdapter, listAdapters } from '../lib/adapters/index.js';
+import { FIXTURE_DIR, readManifest, writeManifest, fixtureFetcher } from '../test/fixtures.js';
+
+function adapterUrls(adapter) {
+  const urls = new Set();
+  for (const d of Object.values(adapter.draws)) {
+    for (const g of Object.values(d.games)) g.sources.forEach(s => urls.add(s.url));
+  }
+  return [...urls];
+}
+
+// "https://www.lotteryusa.com/georgia/cash-3-evening/" -> "ga-cash-3-evening", state landing page -> "ga-landing"
+function fixtureName(url) {
+  const owner = listAdapters().find(a => adapterUrls(a).includes(url));
+  const parts = new URL(url).pathname.split('/').filter(Boolean);
+  const slug = parts.length > 1 ? parts.slice(1).join('-') : 'landing';
+  return owner ? `${owner.state}-${slug}` : parts.join('-') || 'index';
+}
+
+async function record(url, name) {
+  const html = await fetchHtml(url);
+  fs.writeFileSync(path.join(FIXTURE_DIR, `${name}.html`), html);
+  console.log(`saved ${name}.html  <- ${url}`);
+  return name;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const expect = args.includes('--expect');
+  const [target, explicitName] = args.filter(a => !a.startsWith('--'));
+  if (!target) {
+    console.error('usage: record-fixture.js <state|url> [name] [--expect]');
+    process.exit(1);
+  }
+
+  fs.mkdirSync(FIXTURE_DIR, { recursive: true });
+  const manifest = readManifest();
+  const adapter = getAdapter(target);
+  const urls = adapter ? adapterUrls(adapter) : [target];
+
+  for (const url of urls) {
+    try {
+      manifest.pages[url] = await record(url, (!adapter && explicitName) || fixtureName(url));
+    } catch (e) {
+      console.warn(`[WARN] ${url} -> ${e?.response?.status || e.message}`);
+    }
+  }
+
+  if (expect && adapter) {
+    setHtmlFetcher(fixtureFetcher(manifest));
+    const got = await combinedPair(adapter.state);
+    manifest.states[adapter.state] = { midday: got.midday, evening: got.evening, night: got.night, dates: got.dates };
+    console.log(`expected ${adapter.state}:`, manifest.states[adapter.state]);
+  }
+
+  writeManifest(manifest);
+}
+
+main().catch(e => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,16 @@
+// Local stand-in for ALERT_WEBHOOK_URL: prints every alert it receives.
+//
+//   npm run alerts:stub                 # listens on :4545
+//   ALERT_WEBHOOK_URL=http://localhost:4545/ npm run worker
+import http from 'http';
+
+const port = Number(process.argv[2]) || 4545;
+
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    console.log(`[ALERT] ${new Date().toISOString()} ${req.method} ${req.url}`, body);
+    res.writeHead(204).end();
+  });
+}).listen(port, () => console.log(`Webhook stub on :${port}`));
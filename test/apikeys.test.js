@@ -0,0 +1,73 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { API_KEYS, normalizeOrigins, originAllowed, takeMinute, createApiKey, checkApiKey, revokeApiKey, updateApiKey, listApiKeys, usageFor } from '../lib/apikeys.js';
+import { setDb } from '../lib/db.js';
+import { createLocalDb } from '../lib/localdb.js';
+
+after(() => setDb(null));
+
+test('origins are scheme + host, compared exactly', () => {
+  assert.deepEqual(normalizeOrigins('https://Agencia.do/, http://localhost:8080'), ['https://agencia.do', 'http://localhost:8080']);
+  assert.throws(() => normalizeOrigins(['agencia.do']), /bad origin/);
+  const key = { origins: ['https://agencia.do'] };
+  assert.equal(originAllowed(key, 'https://agencia.do'), true);
+  assert.equal(originAllowed(key, 'https://agencia.do.evil.com'), false);
+  assert.equal(originAllowed(key, undefined), true); // server to server
+  assert.equal(originAllowed({ origins: ['*'] }, 'https://any.site'), true);
+});
+
+test('takeMinute allows `limit` calls per clock minute', () => {
+  const state = new Map(), t = Date.parse('2026-10-17T18:40:10Z');
+  assert.deepEqual(takeMinute('k', 2, t, state), { ok: true, remaining: 1, retryAfter: 50 });
+  assert.equal(takeMinute('k', 2, t + 1000, state).ok, true);
+  assert.deepEqual(takeMinute('k', 2, t + 2000, state), { ok: false, remaining: 0, retryAfter: 48 });
+  assert.equal(takeMinute('k', 2, t + 50000, state).ok, true); // next minute
+});
+
+test('a key is checked, counted per day and can be revoked', async () => {
+  const db = createLocalDb();
+  await db.collection('api_usage').createIndex({ keyId: 1, day: 1 }, { unique: true }); // as getDb does
+  setDb(db);
+  const now = new Date('2026-10-17T18:40:00Z');
+  const k = await createApiKey({ name: 'Agencia', origins: ['https://agencia.do'], perDay: 2 }, { actor: 'admin' });
+  assert.match(k.key, /^br_/);
+  assert.equal(k.keyHash, undefined);
+
+  assert.equal((await checkApiKey(null)).error, 'api_key_required');
+  assert.equal((await checkApiKey('br_nope')).status, 401);
+  assert.equal((await checkApiKey(k.key, { origin: 'https://evil.com', now })).error, 'origin_not_allowed');
+  assert.equal((await checkApiKey(k.key, { origin: 'https://agencia.do', route: 'latest', now })).ok, true);
+  assert.equal((await checkApiKey(k.key, { route: 'history', now })).ok, true);
+  const over = await checkApiKey(k.key, { route: 'latest', now });
+  assert.deepEqual([over.status, over.error, over.retryAfter, over.limit, over.remaining], [429, 'daily_quota_exceeded', (1440 - 14 * 60 - 40) * 60, 2, 0]);
+
+  assert.deepEqual(await usageFor(k.id), [{ day: '2026-10-17', count: 2, routes: { latest: 1, history: 1 }, lastAt: now }]);
+  assert.equal((await listApiKeys({ now }))[0].today, 2);
+
+  // concurrent calls can't overshoot the quota
+  await updateApiKey(k.id, { perDay: 4 });
+  const burst = await Promise.all([1, 2, 3, 4].map(() => checkApiKey(k.key, { now })));
+  assert.deepEqual(burst.map(r => r.ok), [true, true, false, false]);
+  assert.equal((await usageFor(k.id))[0].count, 4);
+
+  await updateApiKey(k.id, { perDay: 5 });
+  assert.equal((await checkApiKey(k.key, { now })).ok, true);
+  assert.equal(await revokeApiKey(k.id), true);
+  assert.equal((await checkApiKey(k.key, { now })).error, 'invalid_api_key');
+});
+
+test('with the database down only keys seen before pass, uncounted', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  setDb(createLocalDb());
+  const now = new Date('2026-10-17T18:40:00Z');
+  const k = await createApiKey({ name: 'Agencia' });
+  const other = await createApiKey({ name: 'Otra' });
+  assert.equal((await checkApiKey(k.key, { now })).ok, true);
+
+  setDb({ collection() { throw new Error('mongo_unavailable'); } });
+  const { cacheMs } = API_KEYS;
+  API_KEYS.cacheMs = 0; // the cached copy is stale, but it is all there is
+  t.after(() => { API_KEYS.cacheMs = cacheMs; });
+  assert.equal((await checkApiKey(k.key, { now })).ok, true);
+  assert.deepEqual(await checkApiKey(other.key, { now }), { ok: false, status: 503, error: 'mongo_unavailable' });
+});
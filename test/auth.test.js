@@ -0,0 +1,70 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { hashPassword, verifyPassword, authenticate, LOGIN_LIMIT, loginKeys, loginWait, noteLoginFailure, clearLoginFailures } from '../lib/auth.js';
+import { parsePair, resolveTarget, saveManualResults } from '../lib/admin.js';
+import { setDb } from '../lib/db.js';
+import { createLocalDb } from '../lib/localdb.js';
+
+after(() => setDb(null));
+
+test('passwords are salted scrypt hashes', () => {
+  const a = hashPassword('correct horse'), b = hashPassword('correct horse');
+  assert.notEqual(a, b);
+  assert.ok(a.startsWith('scrypt$'));
+  assert.equal(verifyPassword('correct horse', a), true);
+  assert.equal(verifyPassword('1983', a), false);
+  assert.equal(verifyPassword('anything', 'not-a-hash'), false);
+});
+
+test('catalog ids map onto adapter draw names', () => {
+  assert.deepEqual(resolveTarget({ id: 'usa/ct/Day' }), { state: 'ct', draw: 'Midday' });
+  assert.deepEqual(resolveTarget({ id: 'usa/pa/Evening' }), { state: 'pa', draw: 'Evening' });
+  assert.deepEqual(resolveTarget({ id: 'special/ny-bk/AM' }), { state: 'ny-bk', draw: 'AM' });
+  assert.equal(resolveTarget({ id: 'usa' }), null);
+});
+
+test('manual values must be a P3-P4 pair', () => {
+  assert.deepEqual(parsePair({ value: ' 123 - 4567 ' }), { pick3: '123', pick4: '4567' });
+  assert.equal(parsePair({ value: '12-4567' }), null);
+  assert.deepEqual(parsePair({ pick3: '009', pick4: '0000' }), { pick3: '009', pick4: '0000' });
+});
+
+test('manual rows that are not objects are reported, not thrown on', async () => {
+  setDb(createLocalDb());
+  const out = await saveManualResults([null, 'usa/ny/Midday', { id: 'usa/ny/Midday', dateISO: '2026-10-17', value: '641-0270' }], { actor: 'ana' });
+  assert.deepEqual(out.map(r => r.ok ? r.outcome : r.error), ['bad_row', 'bad_row', 'inserted']);
+});
+
+test('the service token is matched whatever the bearer holds', async () => {
+  setDb(createLocalDb());
+  const saved = process.env.ADMIN_TOKEN;
+  process.env.ADMIN_TOKEN = 'svc-token-1234';
+  try {
+    assert.equal(await authenticate('svc-token-1234'), 'service');
+    // same length in characters, more bytes: a miss, not a RangeError
+    assert.equal(await authenticate('é'.repeat(14)), null);
+    assert.equal(await authenticate('svc'), null);
+  } finally {
+    if (saved === undefined) delete process.env.ADMIN_TOKEN;
+    else process.env.ADMIN_TOKEN = saved;
+  }
+});
+
+test('failed logins back off per IP and per username', () => {
+  const state = new Map(), t = Date.parse('2026-10-17T18:40:00Z');
+  const keys = loginKeys('10.0.0.1', ' Ana ');
+  assert.deepEqual(keys, ['ip:10.0.0.1', 'user:ana']);
+  for (let i = 0; i < LOGIN_LIMIT.free; i++) noteLoginFailure(keys, t, state);
+  assert.equal(loginWait(keys, t, state), 0);
+  noteLoginFailure(keys, t, state);
+  assert.equal(loginWait(keys, t, state), 1);
+  noteLoginFailure(keys, t, state);
+  assert.equal(loginWait(keys, t, state), 2); // doubles
+  // the username stays blocked from another IP, and the IP for another username
+  assert.equal(loginWait(loginKeys('10.0.0.2', 'ana'), t, state), 2);
+  assert.equal(loginWait(loginKeys('10.0.0.1', 'luis'), t, state), 2);
+  assert.equal(loginWait(keys, t + 2000, state), 0);
+  assert.equal(loginWait(keys, t + LOGIN_LIMIT.forgetMs, state), 0);
+  clearLoginFailures(keys, state);
+  assert.equal(state.size, 0);
+});
@@ -0,0 +1,82 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseArchivePage, runBackfill, listBackfillJobs } from '../lib/backfill.js';
+import { setHtmlFetcher } from '../lib/scraper.js';
+import { setDb, upsertDrawResult, findResult, listRevisions } from '../lib/db.js';
+import { createLocalDb } from '../lib/localdb.js';
+import { readPage } from './fixtures.js';
+
+after(() => { setHtmlFetcher(); setDb(null); });
+
+test('parseArchivePage reads one date/digits pair per table row', () => {
+  const rows = parseArchivePage(readPage('ny-midday-numbers-year-2025'), { n: 3 });
+  assert.deepEqual([...rows], [
+    ['2025-12-31', '074'],
+    ['2025-12-30', '913'],
+    ['2025-12-29', '228']
+  ]);
+});
+
+test('parseArchivePage keeps only rows for the requested label', () => {
+  const html = `<table>
+    <tr><td>Midday</td><td>Oct 16, 2026</td><td><span>1</span><span>1</span><span>2</span></td></tr>
+    <tr><td>Night</td><td>Oct 16, 2026</td><td><span>4</span><span>8</span><span>3</span></td></tr>
+  </table>`;
+  assert.deepEqual([...parseArchivePage(html, { n: 3, label: 'Night' })], [['2026-10-16', '483']]);
+});
+
+// FL Evening archive: one page per game and year
+const ARCHIVE = {
+  2024: { p3: { 'Dec 31, 2024': '111' }, p4: { 'Dec 31, 2024': '1111' } },
+  2025: { p3: { 'Jun 1, 2025': '222', 'Jun 2, 2025': '333', 'Jun 3, 2025': '444' }, p4: { 'Jun 1, 2025': '2222', 'Jun 2, 2025': '3333' } }
+};
+const archivePage = (url) => {
+  const [, game, year] = /(pick-[34])\/year\?year=(\d+)/.exec(url);
+  const rows = ARCHIVE[year]?.[game === 'pick-3' ? 'p3' : 'p4'] || {};
+  return `<table>${Object.entries(rows).map(([d, n]) => `<tr><td>${d}</td><td>${n}</td></tr>`).join('')}</table>`;
+};
+const fl = { state: 'fl', draw: 'Evening', from: '2024-01-01', to: '2025-12-31' };
+const stored = (dateISO, p3, p4) => upsertDrawResult({ state: 'fl', draw: 'Evening', dateISO, games: [{ game: 'pick3', digits: p3, extras: {} }, { game: 'pick4', digits: p4, extras: {} }] });
+
+test('runBackfill inserts missing rows, reports conflicts and resumes by draw-year', async () => {
+  setDb(createLocalDb());
+  await stored('2025-06-01', '222', '2222'); // same as the archive
+  await stored('2025-06-02', '999', '9999'); // differs: a conflict, left as is
+  let fail2025 = true;
+  setHtmlFetcher(async (url) => {
+    if (fail2025 && url.endsWith('2025')) throw new Error('timeout');
+    return archivePage(url);
+  });
+
+  const first = await runBackfill({ ...fl });
+  assert.deepEqual([first.units, first.inserted, first.complete], [{ total: 2, done: 1, ran: 2 }, 1, false]);
+  assert.deepEqual(first.errors, [{ unit: 'Evening/2025', error: 'timeout' }]);
+  assert.equal((await findResult({ state: 'fl', draw: 'Evening', dateISO: '2024-12-31' })).source, 'backfill');
+
+  fail2025 = false;
+  const second = await runBackfill({ ...fl }); // resumes with the failed year only
+  assert.deepEqual([second.units.ran, second.inserted, second.unchanged, second.complete], [1, 0, 1, true]);
+  assert.deepEqual(second.conflicts, [{ draw: 'Evening', dateISO: '2025-06-02', stored: '999-9999', archive: '333-3333', storedSource: 'official' }]);
+  assert.deepEqual(second.incomplete, [{ draw: 'Evening', dateISO: '2025-06-03', pick3: '444', pick4: null }]);
+  assert.deepEqual(second.totals, { inserted: 1, unchanged: 1, conflicts: 1, incomplete: 1 });
+  assert.equal((await findResult({ state: 'fl', draw: 'Evening', dateISO: '2025-06-02' })).combo, '999-9999');
+  assert.deepEqual((await listRevisions({ state: 'fl', draw: 'Evening', dateISO: '2024-12-31' })).map(r => r.actor), ['backfill']);
+
+  assert.equal((await runBackfill({ ...fl })).units.ran, 0);
+});
+
+test('a dry run writes nothing and pages through the units over several calls', async () => {
+  setDb(createLocalDb());
+  setHtmlFetcher(async (url) => archivePage(url));
+  const a = await runBackfill({ ...fl, dryRun: true, maxUnits: 1 });
+  const b = await runBackfill({ ...fl, dryRun: true, maxUnits: 1 });
+  assert.deepEqual([a.rows, a.complete], [[{ draw: 'Evening', dateISO: '2024-12-31', combo: '111-1111' }], false]);
+  assert.deepEqual([b.rows.map(r => r.dateISO), b.complete, b.totals.inserted], [['2025-06-01', '2025-06-02'], true, 3]);
+  assert.equal(await findResult({ state: 'fl', draw: 'Evening', dateISO: '2024-12-31' }), null);
+  assert.deepEqual(await listBackfillJobs(), []); // a finished dry run leaves no progress behind
+
+  // the next dry run starts over, skipping what a real run has already done
+  await runBackfill({ ...fl, maxUnits: 1 });
+  const c = await runBackfill({ ...fl, dryRun: true });
+  assert.deepEqual([c.units.ran, c.rows.length, c.complete], [1, 2, true]);
+});
@@ -0,0 +1,61 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { SEED_CATALOG, validateEntry, timesOn, replaceCatalog, getCatalog } from '../lib/catalog.js';
+import { setDb } from '../lib/db.js';
+import { createLocalDb } from '../lib/localdb.js';
+import { dueDraws } from '../lib/ingest.js';
+import { resolveTarget } from '../lib/admin.js';
+
+const entry = (over = {}) => ({
+  id: 'usa/ny/Midday', lottery: 'New York', tz: 'America/New_York',
+  drawTime: '14:30', closeTime: '14:10', source: { state: 'ny', draw: 'Midday' }, ...over
+});
+
+test('every seed entry validates and maps to a scraper draw or to nothing', () => {
+  SEED_CATALOG.forEach((e, i) => assert.deepEqual(validateEntry(e, i), e));
+  assert.deepEqual(SEED_CATALOG.find(e => e.id === 'usa/ct/Day').source, { state: 'ct', draw: 'midday' });
+});
+
+test('validateEntry normalises the source and rejects bad fields', () => {
+  assert.deepEqual(validateEntry(entry({ source: { state: 'ct', draw: 'Night' } })).source, { state: 'ct', draw: 'evening' });
+  assert.throws(() => validateEntry(entry({ id: 'ny/Midday' })), /id must look like/);
+  assert.throws(() => validateEntry(entry({ drawTime: '2:30pm' })), /drawTime/);
+  assert.throws(() => validateEntry(entry({ tz: 'Mars/Olympus' })), /time zone/);
+  assert.throws(() => validateEntry(entry({ source: { state: 'zz', draw: 'midday' } })), /no scraper/);
+  assert.throws(() => validateEntry(entry({ skipDates: ['25/12/2026'] })), /skipDates/);
+  assert.throws(() => validateEntry(entry({ schedule: { 0: null } })), /schedule\.0 times must be HH:mm/);
+});
+
+test('timesOn applies weekday overrides, off days and holiday skips', () => {
+  const e = validateEntry(entry({ days: [1, 2, 3, 4, 5, 6], schedule: { 6: { drawTime: '12:30' } }, skipDates: ['2026-12-25'] }));
+  assert.deepEqual(timesOn(e, '2026-10-16', 5), { drawTime: '14:30', closeTime: '14:10' });
+  assert.deepEqual(timesOn(e, '2026-10-17', 6), { drawTime: '12:30', closeTime: '14:10' });
+  assert.equal(timesOn(e, '2026-10-18', 0), null);
+  assert.equal(timesOn(e, '2026-12-25', 5), null);
+});
+
+test('dueDraws follows the catalog schedule', () => {
+  const at = new Date('2026-10-17T18:40:00Z'); // Sat 14:40 EDT
+  const moved = [validateEntry(entry({ schedule: { 6: { drawTime: '12:30' } } }))];
+  assert.deepEqual(dueDraws(at, { catalog: moved }), []); // Saturday draw moved to 12:30, window closed at 14:30
+  const skipped = [validateEntry(entry({ skipDates: ['2026-10-17'] }))];
+  assert.deepEqual(dueDraws(at, { catalog: skipped }), []);
+  const dup = [validateEntry(entry()), validateEntry(entry({ id: 'special/ny-copy/Midday' }))];
+  assert.equal(dueDraws(at, { catalog: dup }).length, 1);
+});
+
+test('catalog ids resolve through the entry source', () => {
+  const catalog = [validateEntry(entry({ id: 'special/ny-bk/AM' }))];
+  assert.deepEqual(resolveTarget({ id: 'special/ny-bk/AM' }, catalog), { state: 'ny', draw: 'Midday' });
+});
+
+test('replaceCatalog refuses a missing or empty list instead of deleting everything', async () => {
+  after(() => setDb(null));
+  setDb(createLocalDb());
+  const before = (await getCatalog({ fresh: true })).map(e => e.id);
+  for (const bad of [undefined, null, {}, 'usa/ny/Midday', []]) {
+    await assert.rejects(replaceCatalog(bad), /non-empty array/);
+  }
+  assert.deepEqual((await getCatalog({ fresh: true })).map(e => e.id), before);
+  assert.ok(before.length > 0);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { zonedNow, zonedDateISO, inferYear, resolveOccurrence, lastOccurrence, drawPhase } from '../lib/drawdate.js';
+import { parseDateFromText, parseDayFirstDate } from '../lib/extract.js';
+import { screenPairs } from '../lib/ingest.js';
+import { SEED_CATALOG } from '../lib/catalog.js';
+
+const entry = (id) => SEED_CATALOG.find(e => e.id === id);
+const iso = (d) => (d ? d.format('YYYY-MM-DD') : null);
+
+test('zonedNow reads wall-clock time in the draw time zone', () => {
+  const z = zonedNow('America/New_York', new Date('2026-10-17T18:40:00Z')); // 14:40 EDT
+  assert.deepEqual(z, { dateISO: '2026-10-17', minutes: 14 * 60 + 40, weekday: 6 });
+  // Santo Domingo stays on AST: after New York falls back it is already tomorrow there
+  const late = new Date('2026-11-02T04:30:00Z');
+  assert.deepEqual([zonedDateISO('America/New_York', late), zonedDateISO('America/Santo_Domingo', late)], ['2026-11-01', '2026-11-02']);
+});
+
+test('dates printed without a year take the nearest year', () => {
+  assert.equal(inferYear(12, 31, '2027-01-01'), '2026-12-31');
+  assert.equal(inferYear(1, 1, '2026-12-31'), '2027-01-01');
+  assert.equal(inferYear(10, 16, '2026-10-17'), '2026-10-16');
+  assert.equal(inferYear(2, 29, '2026-10-17'), null);
+  assert.equal(iso(parseDateFromText('Evening, Dec 31', '2027-01-01')), '2026-12-31');
+  assert.equal(iso(parseDateFromText('12/31', '2027-01-01')), '2026-12-31');
+  assert.equal(iso(parseDateFromText('Sep 10, 2025', '2027-01-01')), '2025-09-10');
+  assert.equal(parseDateFromText('Feb 30', '2026-10-17'), null);
+  assert.equal(iso(parseDayFirstDate('31 de diciembre', '2027-01-01')), '2026-12-31');
+  assert.equal(iso(parseDayFirstDate('sábado 4/7/26', '2027-01-01')), '2026-07-04');
+});
+
+test('a page date resolves to the latest drawn occurrence or is rejected', () => {
+  const now = new Date('2026-10-17T18:40:00Z'); // 14:40 EDT, NY Midday drawn 10 minutes ago
+  const midday = entry('usa/ny/Midday');
+  assert.deepEqual(lastOccurrence(midday, now), { dateISO: '2026-10-17', minutesSinceDraw: 10 });
+  assert.deepEqual(resolveOccurrence(midday, '2026-10-17', now), { dateISO: '2026-10-17', status: 'current' });
+  assert.equal(resolveOccurrence(midday, '2026-10-16', now).status, 'stale');
+  assert.equal(resolveOccurrence(entry('usa/ny/Evening'), '2026-10-17', now).status, 'future');
+  assert.equal(resolveOccurrence(midday, null, now).status, 'undated');
+  assert.equal(resolveOccurrence({ ...midday, skipDates: ['2026-10-16'] }, '2026-10-16', now).status, 'unscheduled');
+  // Sunday schedule: Leidsa draws at 15:55 Santo Domingo time, not 20:55
+  const sunday = new Date('2026-10-18T20:30:00Z'); // 16:30 AST
+  assert.equal(resolveOccurrence(entry('rd/leidsa/Noche'), '2026-10-18', sunday).status, 'current');
+});
+
+test('a late draw posted under the next day keeps its own date', () => {
+  const now = new Date('2026-10-18T04:30:00Z'); // 00:30 EDT, GA Night drawn at 23:59
+  assert.deepEqual(resolveOccurrence(entry('usa/ga/Night'), '2026-10-18', now), { dateISO: '2026-10-17', status: 'current', posted: '2026-10-18' });
+  // ... but not the next afternoon
+  assert.equal(resolveOccurrence(entry('usa/ga/Night'), '2026-10-18', new Date('2026-10-18T18:00:00Z')).status, 'future');
+});
+
+test('screenPairs drops stale draws and says why', () => {
+  const draw = (dateISO, combo) => ({ dateISO, combo, games: [] });
+  const data = {
+    dateISO: '2026-10-16', midday: '111-2222', evening: '333-4444',
+    dates: { midday: '2026-10-16', evening: '2026-10-16', night: null },
+    draws: { midday: draw('2026-10-16', '111-2222'), evening: draw('2026-10-16', '333-4444') }
+  };
+  const out = screenPairs('ny', data, new Date('2026-10-17T18:40:00Z'));
+  assert.deepEqual([out.midday, out.draws.midday, out.dates.midday], [null, null, null]);
+  assert.deepEqual(out.rejected, { midday: { dateISO: '2026-10-16', reason: 'stale' } });
+  assert.deepEqual([out.evening, out.dates.evening], ['333-4444', '2026-10-16']);
+  assert.equal(data.midday, '111-2222'); // the input is left alone
+});
+
+test('drawPhase counts down to close and draw time in the lottery\'s zone', () => {
+  const now = new Date('2026-10-17T18:05:30Z'); // 14:05:30 EDT
+  const midday = entry('usa/ny/Midday'); // closes 14:10, draws 14:30
+  assert.deepEqual(drawPhase(midday, '2026-10-17', now), { phase: 'open', closeIn: 270, drawIn: 1470 });
+  assert.equal(drawPhase(midday, '2026-10-17', new Date('2026-10-17T18:20:00Z')).phase, 'closed');
+  assert.equal(drawPhase(midday, '2026-10-17', new Date('2026-10-17T18:31:00Z')).phase, 'drawn');
+  assert.equal(drawPhase(midday, '2026-10-18', now).drawIn, 1470 + 86400);
+  assert.deepEqual(drawPhase({ ...midday, skipDates: ['2026-10-17'] }, '2026-10-17', now), { phase: 'none', closeIn: null, drawIn: null });
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportTargets, exportRecord, csvLine, renderSheet, EXPORT_COLUMNS } from '../lib/export.js';
+import { SEED_CATALOG } from '../lib/catalog.js';
+
+const ids = (targets) => targets.map(t => t.entry.id);
+
+test('exports pick entries by id, or by state and draw among the visible ones', () => {
+  assert.deepEqual(ids(exportTargets(SEED_CATALOG, { ids: ['usa/ct/Day', 'rd/loteka/Noche'] })), ['usa/ct/Day', 'rd/loteka/Noche']);
+  assert.deepEqual(ids(exportTargets(SEED_CATALOG, { states: ['CT'] })), ['usa/ct/Day', 'usa/ct/Night']);
+  // the board name, the stored name and the scraper key all select CT's day draw
+  for (const d of ['Day', 'Midday', 'midday']) {
+    assert.ok(ids(exportTargets(SEED_CATALOG, { states: ['ct'], draws: [d] })).includes('usa/ct/Day'));
+  }
+  const hidden = SEED_CATALOG.map(e => (e.id === 'usa/ny/Midday' ? { ...e, visible: false } : e));
+  assert.deepEqual(ids(exportTargets(hidden, { states: ['ny'] })), ['usa/ny/Evening']);
+  assert.deepEqual(ids(exportTargets(hidden, { ids: ['usa/ny/Midday'] })), ['usa/ny/Midday']);
+  assert.deepEqual(exportTargets(SEED_CATALOG, { ids: ['special/ny-bk/AM'] })[0].target, { state: 'ny-bk', draw: 'AM' });
+});
+
+test('a record carries the entry labels and one column per game', () => {
+  const entry = SEED_CATALOG.find(e => e.id === 'usa/ct/Day');
+  const row = { state: 'ct', draw: 'Midday', dateISO: '2026-10-17', games: [{ game: 'pick3', digits: '123' }, { game: 'pick4', digits: '4567' }], status: 'verified', source: 'official' };
+  const rec = exportRecord(entry, row);
+  assert.deepEqual(EXPORT_COLUMNS.map(c => rec[c]), ['2026-10-17', 'usa/ct/Day', 'usa', 'Connecticut', 'Day', 'ct', 'Midday', '123-4567', '', '123', '4567', '', '', 'verified', 'official']);
+  assert.equal(csvLine(['a', 'b,c', 'say "hi"', null]), 'a,"b,c","say ""hi""",\n');
+});
+
+test('the printable sheet lists each section in catalog order with draw-day awareness', () => {
+  const catalog = SEED_CATALOG.map(e => (e.id === 'usa/ny/Evening' ? { ...e, skipDates: ['2026-10-17'] } : e));
+  const targets = exportTargets(catalog, { ids: ['usa/ny/Midday', 'usa/ny/Evening', 'rd/loteka/Noche'] });
+  const html = renderSheet({
+    dateISO: '2026-10-17', targets,
+    rows: [{ state: 'ny', draw: 'Midday', dateISO: '2026-10-17', games: [{ game: 'pick3', digits: '992' }, { game: 'pick4', digits: '0845' }], status: 'conflict' }]
+  });
+  assert.match(html, /<h2>USA Lotteries<\/h2>.*<h2>Santo Domingo Lotteries<\/h2>/s);
+  assert.doesNotMatch(html, /Special Lotteries/);
+  assert.match(html, /<td>Midday<\/td><td>14:30<\/td><td class="num">992-0845<\/td><td class="st">En revisión<\/td>/);
+  assert.match(html, /<td>Evening<\/td><td><\/td><td class="num">Sin sorteo<\/td>/);
+  assert.match(html, /<td>Loteka<\/td><td>Noche<\/td><td>19:55<\/td><td class="num">—<\/td>/);
+  assert.match(html, /sábado, 17 de octubre de 2026/);
+});
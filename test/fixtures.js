@@ -0,0 +1,35 @@
+// Saved lotteryusa.com pages used by the extractor tests.
+// manifest.json maps each source URL to a snapshot and holds the expected results.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'lotteryusa');
+export const MANIFEST_PATH = path.join(FIXTURE_DIR, 'manifest.json');
+
+export function readManifest() {
+  if (!fs.existsSync(MANIFEST_PATH)) return { pages: {}, cases: [], states: {} };
+  return JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+}
+
+export function writeManifest(m) {
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(m, null, 2) + '\n');
+}
+
+export function readPage(name) {
+  return fs.readFileSync(path.join(FIXTURE_DIR, `${name}.html`), 'utf8');
+}
+
+// Drop-in for fetchHtml: serves snapshots, and answers 404 for any URL
+// we have no snapshot of so tryUrls moves on to the next fallback.
+export function fixtureFetcher(manifest = readManifest()) {
+  return async (url) => {
+    const name = manifest.pages[url];
+    if (!name) {
+      const err = new Error(`no fixture for ${url}`);
+      err.response = { status: 404 };
+      throw err;
+    }
+    return readPage(name);
+  };
+}
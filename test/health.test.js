@@ -0,0 +1,84 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { tryUrls, setHtmlFetcher, onSourceAttempt } from '../lib/scraper.js';
+import { healthUpdate, overdueDraws, summarizeSources, alertsFor, postWebhook, parseTag } from '../lib/health.js';
+import { SEED_CATALOG } from '../lib/catalog.js';
+
+after(() => setHtmlFetcher());
+
+const bold = ($) => ({ digits: $('b').text() || null, date: null });
+
+test('tryUrls reports each attempt as an HTTP error, parse failure or success', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  setHtmlFetcher(async (url) => {
+    if (url === 'a') { const e = new Error('Request failed'); e.response = { status: 404 }; throw e; }
+    return url === 'b' ? '<p>redesigned</p>' : '<b>123</b>';
+  });
+  const seen = [];
+  const stop = onSourceAttempt(ev => seen.push(ev));
+  const got = await tryUrls(['a', 'b', 'c', 'd'].map(url => ({ url, name: url, strategy: bold })), { n: 3 }, 'ny.p3.midday');
+  stop();
+  assert.equal(got.digits, '123');
+  assert.deepEqual(seen.map(e => [e.url, e.rank, e.ok, e.error, e.status]), [
+    ['a', 0, false, 'http', 404],
+    ['b', 1, false, 'parse', null],
+    ['c', 2, true, null, null]
+  ]);
+  assert.ok(seen.every(e => e.tag === 'ny.p3.midday' && e.at instanceof Date));
+});
+
+test('healthUpdate counts failures by kind and a success resets the streak', () => {
+  const at = new Date('2026-10-17T18:40:00Z');
+  const fail = healthUpdate({ tag: 'ny.p3.midday.verify', url: 'u', rank: 0, ok: false, error: 'parse', message: 'no digits matched', at });
+  assert.equal(fail.filter._id, 'ny.p3.midday.verify u');
+  assert.deepEqual(fail.update.$inc, { consecutiveFailures: 1, 'counts.parse': 1 });
+  assert.equal(fail.update.$set.role, 'verify');
+  const ok = healthUpdate({ tag: 'ny.p3.midday', url: 'u', rank: 0, ok: true, at });
+  assert.equal(ok.update.$set.consecutiveFailures, 0);
+  assert.equal(ok.update.$set.lastSuccessAt, at);
+  assert.deepEqual(parseTag('rd.q.loteka'), { state: 'rd', game: 'q', draw: 'loteka', role: 'scrape' });
+});
+
+test('a draw is overdue once its time passed without a complete stored result', () => {
+  const now = new Date('2026-10-17T19:30:00Z'); // 15:30 EDT, NY Midday an hour ago
+  const ny = (rows) => overdueDraws(now, SEED_CATALOG, rows).filter(o => o.state === 'ny');
+  const evening = { state: 'ny', draw: 'Evening', dateISO: '2026-10-16', pick3: '208', pick4: '9315' };
+
+  const none = ny([evening]);
+  assert.deepEqual(none.map(o => [o.draw, o.dateISO, o.minutesLate, o.partial]), [['Midday', '2026-10-17', 60, false]]);
+  assert.deepEqual(none[0].ids, ['usa/ny/Midday']);
+
+  assert.equal(ny([evening, { state: 'ny', draw: 'Midday', dateISO: '2026-10-17', pick3: '641' }])[0].partial, true);
+  assert.deepEqual(ny([evening, { state: 'ny', draw: 'Midday', dateISO: '2026-10-17', pick3: '641', pick4: '0270' }]), []);
+});
+
+test('alerts cover overdue draws and selectors that stopped matching, once each', async () => {
+  const t0 = new Date('2026-10-16T18:40:00Z');
+  const sources = summarizeSources([
+    { tag: 'ny.p3.midday', url: 'p', rank: 0, consecutiveFailures: 3, lastError: { kind: 'parse' }, lastSuccessAt: t0 },
+    { tag: 'ny.p3.midday', url: 'f', rank: 1, consecutiveFailures: 0, lastSuccessAt: new Date(t0.getTime() + 1) },
+    { tag: 'ny.p4.midday', url: 'h', rank: 0, consecutiveFailures: 5, lastError: { kind: 'http', status: 403 } }
+  ]);
+  assert.deepEqual(sources.map(s => [s.url, s.failing, s.winner]), [['p', true, false], ['f', false, true], ['h', true, false]]);
+
+  const status = { overdue: [{ state: 'ny', draw: 'Midday', dateISO: '2026-10-17', minutesLate: 60, partial: false }], failing: sources.filter(s => s.failing) };
+  const alerts = alertsFor(status);
+  assert.deepEqual(alerts.map(a => a.key), ['overdue:ny/Midday/2026-10-17', `selector:ny.p3.midday p:${t0.toISOString()}`]);
+
+  // the webhook gets the alert as JSON
+  const got = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => { got.push(JSON.parse(body)); res.writeHead(204).end(); });
+  });
+  await new Promise(r => server.listen(0, r));
+  try {
+    assert.equal(await postWebhook(alerts[0], `http://127.0.0.1:${server.address().port}/`), true);
+    assert.equal(got[0].text, 'NY Midday 2026-10-17: no result 60 min after the draw');
+    assert.equal(await postWebhook(alerts[0], ''), false);
+  } finally {
+    server.close();
+  }
+});
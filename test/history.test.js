@@ -0,0 +1,55 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { historyFilter, encodeCursor, decodeCursor, listHistory, upsertDrawResult, setDb } from '../lib/db.js';
+import { createLocalDb } from '../lib/localdb.js';
+
+after(() => setDb(null));
+
+test('history filters by window, draw and number', () => {
+  assert.deepEqual(historyFilter({ state: 'ny' }), { state: 'ny', dateISO: { $gte: '1900-01-01', $lte: '9999-12-31' } });
+  assert.deepEqual(historyFilter({ state: 'rd', draw: 'Loteka', from: '2026-10-01', to: '2026-10-17', number: '41-88' }), {
+    state: 'rd', draw: 'Loteka', dateISO: { $gte: '2026-10-01', $lte: '2026-10-17' }, 'games.digits': { $regex: '41-88' }
+  });
+  // only digits and dashes reach the regex
+  assert.deepEqual(historyFilter({ state: 'ny', number: '1.*2' })['games.digits'], { $regex: '12' });
+  assert.equal(historyFilter({ state: 'ny', number: '.*' })['games.digits'], undefined);
+});
+
+test('cursors round-trip and garbage is rejected', () => {
+  const c = encodeCursor({ dateISO: '2026-10-17', draw: 'Evening', combo: '123-4567' });
+  assert.match(c, /^[\w-]+$/);
+  assert.deepEqual(decodeCursor(c), { dateISO: '2026-10-17', draw: 'Evening' });
+  assert.equal(decodeCursor('not a cursor'), null);
+  assert.equal(decodeCursor(Buffer.from('{"a":1}').toString('base64url')), null);
+});
+
+test('listHistory pages newest first and filters by number on the local store', async () => {
+  setDb(createLocalDb());
+  const rows = [
+    ['2026-10-17', 'Midday', '641', '0270'], ['2026-10-17', 'Evening', '208', '9315'],
+    ['2026-10-16', 'Midday', '118', '5521'], ['2026-10-16', 'Evening', '641', '1234'],
+    ['2026-10-15', 'Evening', '999', '0000']
+  ];
+  for (const [dateISO, draw, p3, p4] of rows) {
+    await upsertDrawResult({ state: 'ny', draw, dateISO, games: [{ game: 'pick3', digits: p3, extras: {} }, { game: 'pick4', digits: p4, extras: {} }] });
+  }
+  await upsertDrawResult({ state: 'nj', draw: 'Midday', dateISO: '2026-10-17', games: [{ game: 'pick3', digits: '641', extras: {} }] });
+
+  const seen = [];
+  let cursor, page;
+  do {
+    page = await listHistory({ state: 'ny' }, { limit: 2, cursor });
+    assert.equal(page.total, 5);
+    seen.push(...page.results.map(r => `${r.dateISO} ${r.draw}`));
+    cursor = page.nextCursor;
+    if (cursor) assert.deepEqual(decodeCursor(cursor), { dateISO: page.results.at(-1).dateISO, draw: page.results.at(-1).draw });
+  } while (cursor);
+  // within a day, draws sort by name
+  assert.deepEqual(seen, ['2026-10-17 Evening', '2026-10-17 Midday', '2026-10-16 Evening', '2026-10-16 Midday', '2026-10-15 Evening']);
+
+  const hits = await listHistory({ state: 'ny', number: '641' }, { limit: 1 });
+  assert.deepEqual([hits.total, hits.results.map(r => r.combo)], [2, ['641-0270']]);
+  const rest = await listHistory({ state: 'ny', number: '641' }, { limit: 1, cursor: hits.nextCursor });
+  assert.deepEqual([rest.results.map(r => r.combo), rest.nextCursor], [['641-1234'], null]);
+  assert.equal((await listHistory({ state: 'ny', draw: 'Midday', from: '2026-10-16', to: '2026-10-16' })).total, 1);
+});
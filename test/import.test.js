@@ -0,0 +1,86 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeRow, planImport, importDate, summarize, runImport } from '../lib/import.js';
+import { setDb, upsertDrawResult, findResult } from '../lib/db.js';
+import { createLocalDb } from '../lib/localdb.js';
+import { parseCsv } from '../lib/export.js';
+import { SEED_CATALOG } from '../lib/catalog.js';
+
+const opts = { catalog: SEED_CATALOG, today: '2026-10-17' };
+const norm = (raw) => normalizeRow(raw, opts);
+
+test('rows take pick pairs, single games, quinielas and special entries', () => {
+  assert.deepEqual(norm({ state: 'ny', draw: 'midday', date: '10/16/2026', value: '992 - 0845' }), {
+    target: { state: 'ny', draw: 'Midday' }, dateISO: '2026-10-16',
+    games: [{ game: 'pick3', digits: '992', extras: {} }, { game: 'pick4', digits: '0845', extras: {} }]
+  });
+  assert.deepEqual(norm({ id: 'usa/ga/Evening', dateISO: '2026-10-16', pick4: '1234', pick5: '12345' }).games.map(g => g.game), ['pick4', 'pick5']);
+  assert.equal(norm({ id: 'rd/loteka/Noche', date: '2026-10-16', value: '07 41 88' }).games[0].digits, '07-41-88');
+  assert.equal(norm({ id: 'rd/loteka/Noche', date: '2026-10-16', prize1: '07', prize2: '41', prize3: '88' }).games[0].digits, '07-41-88');
+  assert.deepEqual(norm({ id: 'special/ny-bk/PM', date: '2026-10-16', value: '111-2222' }).target, { state: 'ny-bk', draw: 'PM' });
+});
+
+test('digit lengths, dates and game kinds are validated', () => {
+  const err = (raw) => norm(raw).error;
+  assert.equal(err({ id: 'usa/ny/Midday', date: '2026-10-16', value: '99-0845' }), 'bad_digits');
+  assert.equal(err({ id: 'usa/ny/Midday', date: '2026-02-30', value: '992-0845' }), 'bad_date');
+  assert.equal(err({ id: 'usa/ny/Midday', date: '2026-10-18', value: '992-0845' }), 'future_date');
+  assert.equal(err({ id: 'usa/ny/Midday', date: '2026-10-16' }), 'no_value');
+  assert.equal(err({ id: 'usa/ny/Midday', date: '2026-10-16', quiniela: '07-41-88' }), 'wrong_game');
+  assert.equal(err({ id: 'rd/loteka/Noche', date: '2026-10-16', pick3: '123' }), 'wrong_game');
+  assert.equal(err({ draw: 'Midday', date: '2026-10-16', value: '992-0845' }), 'unknown_target');
+  assert.equal(importDate('1/2/2026'), '2026-01-02');
+});
+
+test('the plan diffs against stored rows and within the file', () => {
+  const { records } = parseCsv(`id,date,value
+usa/ny/Midday,2026-10-15,111-2222
+usa/ny/Midday,2026-10-16,992-0845
+usa/ny/Evening,2026-10-16,333-4444
+usa/ny/Midday,2026-10-15,111-2222
+usa/fl/Midday,2026-10-16,555-6666
+usa/fl/Midday,2026-10-16,555-7777
+usa/ga/Night,2026-10-16,777-8888
+usa/ga/Night,13/01/2026,777-8888`);
+  const stored = [
+    { state: 'ny', draw: 'Midday', dateISO: '2026-10-16', games: [{ game: 'pick3', digits: '992' }, { game: 'pick4', digits: '0845' }] },
+    { state: 'ny', draw: 'Evening', dateISO: '2026-10-16', games: [{ game: 'pick3', digits: '333' }], status: 'unverified' },
+    { state: 'ga', draw: 'Night', dateISO: '2026-10-16', games: [{ game: 'pick3', digits: '770' }, { game: 'pick4', digits: '8888' }], status: 'verified' }
+  ];
+  const items = planImport(records.map(norm), stored);
+  assert.deepEqual(items.map(it => it.action), ['insert', 'unchanged', 'extend', 'duplicate', 'invalid', 'invalid', 'conflict', 'invalid']);
+  assert.equal(items[3].of, 1);
+  assert.deepEqual([items[4].error, items[4].with, items[5].with], ['conflicting_rows', 6, 5]);
+  assert.deepEqual([items[6].combo, items[6].stored, items[6].storedStatus], ['777-8888', '770-8888', 'verified']);
+  assert.equal(items[7].error, 'bad_date');
+  assert.deepEqual(summarize(items), { insert: 1, unchanged: 1, extend: 1, duplicate: 1, invalid: 3, conflict: 1 });
+});
+
+test('an insert that loses a race is judged against the row that won it', async () => {
+  after(() => setDb(null));
+  const local = createLocalDb();
+  // the diff reads nothing stored; by the bulk write, another writer has stored all three
+  let stale = false;
+  setDb({
+    ...local,
+    collection(name) {
+      const col = local.collection(name);
+      if (name !== 'draw_results') return col;
+      return { ...col, find: (...a) => (stale ? (stale = false, { project: () => ({ toArray: async () => [] }) }) : col.find(...a)) };
+    }
+  });
+  const games = (p3, p4) => [{ game: 'pick3', digits: p3 }, ...(p4 ? [{ game: 'pick4', digits: p4 }] : [])];
+  await upsertDrawResult({ state: 'ny', draw: 'Midday', dateISO: '2026-10-15', games: games('111', '2222'), source: 'lotteryusa' });
+  await upsertDrawResult({ state: 'ny', draw: 'Midday', dateISO: '2026-10-16', games: games('992', '0840'), source: 'lotteryusa' });
+  await upsertDrawResult({ state: 'ny', draw: 'Evening', dateISO: '2026-10-16', games: games('333'), source: 'lotteryusa' });
+
+  stale = true;
+  const out = await runImport([
+    { id: 'usa/ny/Midday', date: '2026-10-15', value: '111-2222' },
+    { id: 'usa/ny/Midday', date: '2026-10-16', value: '992-0845' },
+    { id: 'usa/ny/Evening', date: '2026-10-16', value: '333-4444' }
+  ], { actor: 'ana', now: new Date('2026-10-17T20:00:00Z') });
+  assert.deepEqual(out.items.map(it => it.action), ['unchanged', 'conflict', 'extend']);
+  assert.deepEqual([out.items[1].stored, out.items[1].storedStatus], ['992-0840', 'unverified']);
+  assert.equal((await findResult({ state: 'ny', draw: 'Evening', dateISO: '2026-10-16' })).combo, '333-4444');
+});
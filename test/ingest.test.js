@@ -0,0 +1,84 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { dueDraws, runIngest, updateBackoff, backoffReady, BURST } from '../lib/ingest.js';
+import { setHtmlFetcher } from '../lib/scraper.js';
+import { setDb, findResult } from '../lib/db.js';
+import { createLocalDb } from '../lib/localdb.js';
+import { readManifest, fixtureFetcher } from './fixtures.js';
+
+after(() => { setHtmlFetcher(); setDb(null); });
+
+const quiet = (t) => {
+  t.mock.method(console, 'log', () => {});   // fallbacks 404 on purpose
+  t.mock.method(console, 'warn', () => {});
+};
+
+test('dueDraws opens the burst window around drawTime', () => {
+  const due = dueDraws(new Date('2026-10-17T18:40:00Z'), { states: ['ny'] });
+  assert.deepEqual(due.map(d => [d.draw, d.dateISO, d.minutesSinceDraw]), [['Midday', '2026-10-17', 10]]);
+  assert.deepEqual(dueDraws(new Date('2026-10-17T15:00:00Z'), { states: ['ny'] }), []);
+});
+
+test('a draw just before midnight stays due for its own date after midnight', () => {
+  const due = dueDraws(new Date('2026-10-18T04:30:00Z'), { states: ['ga'] }); // 00:30 EDT
+  assert.deepEqual(due.map(d => [d.draw, d.dateISO]), [['Evening', '2026-10-17'], ['Night', '2026-10-17']]);
+});
+
+test('runIngest stores, verifies and settles due draws, one state failing alone', async (t) => {
+  quiet(t);
+  setDb(createLocalDb());
+  const pages = fixtureFetcher(readManifest());
+  let openData = null; // NY's second source (data.ny.gov), not posted yet
+  setHtmlFetcher(async (url, opts) => {
+    if (/connecticut/.test(url)) throw new Error('ECONNRESET'); // CT's source is down
+    if (/data\.ny\.gov/.test(url)) { if (openData) return openData; throw Object.assign(new Error('404'), { response: { status: 404 } }); }
+    return pages(url, opts);
+  });
+  const now = new Date('2026-10-18T02:45:00Z'); // 15 minutes after both Evening draws of 10-17
+  const statuses = async (at) => (await runIngest({ now: at, states: ['ny', 'ct'] })).results.map(r => `${r.state} ${r.status}`).sort();
+
+  assert.deepEqual(await statuses(now), ['ct pending', 'ny unverified']);
+  const row = await findResult({ state: 'ny', draw: 'Evening', dateISO: '2026-10-17' });
+  assert.equal(row.meta.via, 'ingest');
+
+  const [p3, p4] = row.games.map(g => g.digits);
+  openData = [{ draw_date: '2026-10-17T00:00:00.000', evening_daily: p3, evening_win_4: p4 }];
+  assert.deepEqual(await statuses(new Date(now.getTime() + 60000)), ['ct pending', 'ny verified']);
+  assert.deepEqual(await statuses(new Date(now.getTime() + 120000)), ['ct pending', 'ny already']);
+});
+
+test('the worker backs off pending draws and forgets settled ones', () => {
+  const backoff = new Map(), t0 = Date.parse('2026-10-18T02:45:00Z');
+  const ny = { state: 'ny', draw: 'Evening', dateISO: '2026-10-17' }, ct = { state: 'ct', draw: 'Evening', dateISO: '2026-10-17' };
+  updateBackoff(backoff, [{ ...ny, status: 'pending' }, { ...ct, status: 'unverified' }], t0);
+  assert.equal(backoffReady(backoff, t0 + BURST.retryBaseMs - 1)(ny), false);
+  assert.equal(backoffReady(backoff, t0 + BURST.retryBaseMs)(ny), true);
+
+  // each miss doubles the wait, up to retryMaxMs
+  for (let i = 0; i < 6; i++) updateBackoff(backoff, [{ ...ny, status: 'pending' }, { ...ct, status: 'waiting' }], t0);
+  assert.deepEqual(backoff.get('ny/Evening/2026-10-17'), { attempts: 7, nextAt: t0 + BURST.retryMaxMs });
+  assert.equal(backoff.get('ct/Evening/2026-10-17').attempts, 1); // waiting keeps its entry as is
+
+  updateBackoff(backoff, [{ ...ny, status: 'verified' }], t0);
+  assert.equal(backoff.size, 0);
+  assert.equal(backoffReady(backoff, t0)(ny), true);
+});
+
+test('the cron endpoint runs a pass, then the health checks', async (t) => {
+  quiet(t);
+  setDb(createLocalDb());
+  setHtmlFetcher(fixtureFetcher(readManifest()));
+  process.env.VERCEL ||= '1'; // don't start the dev server on import
+  const { default: app } = await import('../api/index.js');
+  const server = app.listen(0);
+  try {
+    await new Promise(r => server.once('listening', r));
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/api/cron/ingest?states=ny`, { method: 'POST' });
+    const body = await res.json();
+    assert.equal(res.status, 200);
+    assert.ok(Array.isArray(body.results));
+    assert.deepEqual(Object.keys(body.health), ['ok', 'overdue', 'failing', 'raised', 'sent']);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,116 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { LATEST_TTL, ttlFor, getLatest, getLatestMany, latestEntries, invalidateLatest } from '../lib/latest.js';
+import { lastOccurrences } from '../lib/ingest.js';
+import { setHtmlFetcher } from '../lib/scraper.js';
+import { setDb, queuedCount, flushQueued } from '../lib/db.js';
+import { createLocalDb } from '../lib/localdb.js';
+import { readManifest, fixtureFetcher } from './fixtures.js';
+
+setDb(createLocalDb());
+after(() => { setHtmlFetcher(); setDb(null); });
+
+const quiet = (t) => {
+  t.mock.method(console, 'log', () => {});   // fallbacks 404 on purpose
+  t.mock.method(console, 'warn', () => {});
+};
+
+test('TTL is short while a due draw is missing and long once nothing is due', () => {
+  const now = new Date('2026-10-17T18:40:00Z'); // NY Midday drawn 10 minutes ago
+  const found = { midday: '641-0270', dates: { midday: '2026-10-17' } };
+  assert.equal(ttlFor('ny', {}, now), LATEST_TTL.burstMs);
+  assert.equal(ttlFor('ny', { midday: '641-0270', dates: { midday: '2026-10-16' } }, now), LATEST_TTL.burstMs);
+  assert.equal(ttlFor('ny', found, now), LATEST_TTL.dueMs);
+  assert.equal(ttlFor('ny', found, new Date('2026-10-17T15:00:00Z')), LATEST_TTL.settledMs);
+});
+
+test('lastOccurrences finds the latest drawn occurrence of each draw', () => {
+  const occ = lastOccurrences('ny', new Date('2026-10-17T18:40:00Z'));
+  assert.deepEqual([occ.midday.dateISO, occ.midday.minutesSinceDraw], ['2026-10-17', 10]);
+  assert.equal(occ.evening.dateISO, '2026-10-16');
+});
+
+test('concurrent callers share one scrape, then the cache answers', async (t) => {
+  quiet(t);
+  invalidateLatest();
+  const fixtures = fixtureFetcher(readManifest());
+  let fetches = 0;
+  setHtmlFetcher(async (url, opts) => { fetches++; return fixtures(url, opts); });
+
+  const now = new Date('2026-10-18T05:00:00Z'); // 01:00 EDT, both of the page's 10-17 draws are in
+  const [a, b] = await Promise.all([getLatest('ny', { now }), getLatest('ny', { now })]);
+  const perScrape = fetches;
+  assert.ok(perScrape > 0);
+  assert.deepEqual(a, b);
+  assert.equal(a.body.midday, '641-0270');
+  assert.equal(a.body.servedFrom, 'scrape');
+  assert.equal(a.body.stale, false);
+  assert.equal(a.maxAge, LATEST_TTL.settledMs / 1000);
+
+  const c = await getLatest('ny', { now: new Date(now.getTime() + 60 * 1000) });
+  assert.equal(fetches, perScrape);
+  assert.equal(c.body.servedFrom, 'cache');
+  assert.equal(c.etag, a.etag);
+  assert.equal(c.body.cachedAt, now.toISOString());
+});
+
+test('when every source fails the last good payload is served as stale', async (t) => {
+  quiet(t);
+  const later = new Date('2026-10-18T05:11:00Z'); // past the 10-minute TTL
+  setDb(createLocalDb()); // nothing stored to answer from either
+  setHtmlFetcher(async () => { const e = new Error('blocked'); e.response = { status: 403 }; throw e; });
+  const out = await getLatest('ny', { now: later });
+  assert.equal(out.body.stale, true);
+  assert.equal(out.body.midday, '641-0270');
+  assert.equal(out.body.cachedAt, '2026-10-18T05:00:00.000Z');
+  assert.equal(out.maxAge, LATEST_TTL.burstMs / 1000);
+  invalidateLatest();
+});
+
+test('latestEntries keys a payload by catalog id with each draw\'s date and status', () => {
+  const now = new Date('2026-10-17T18:40:00Z'); // NY Midday drawn 10 minutes ago
+  const games = [{ game: 'pick3', digits: '641', extras: {} }, { game: 'pick4', digits: '0270', extras: {} }];
+  const data = {
+    draws: { midday: { dateISO: '2026-10-17', pick3: '641', pick4: '0270', combo: '641-0270', games }, evening: null },
+    rejected: { evening: { dateISO: '2026-10-15', reason: 'stale' } }
+  };
+  const rows = [{ state: 'ny', draw: 'Midday', dateISO: '2026-10-17', status: 'verified' }];
+  const out = latestEntries('ny', data, { now, rows });
+  assert.deepEqual(Object.keys(out), ['usa/ny/Midday', 'usa/ny/Evening']);
+  assert.deepEqual(out['usa/ny/Midday'], { state: 'ny', key: 'midday', draw: 'Midday', dateISO: '2026-10-17', combo: '641-0270', games, status: 'verified' });
+  assert.deepEqual(out['usa/ny/Evening'], { state: 'ny', key: 'evening', draw: 'Evening', dateISO: '2026-10-16', combo: null, games: [], status: 'pending', reason: 'stale' });
+  const partial = latestEntries('ny', { draws: { midday: { dateISO: '2026-10-17', pick3: '641', combo: '641', games: games.slice(0, 1) } } }, { now });
+  assert.deepEqual([partial['usa/ny/Midday'].status, partial['usa/ny/Midday'].combo], ['partial', null]);
+});
+
+test('getLatestMany answers several states in one body', async (t) => {
+  quiet(t);
+  invalidateLatest();
+  setHtmlFetcher(fixtureFetcher(readManifest()));
+  const now = new Date('2026-10-18T05:00:00Z'); // 01:00 EDT
+  const { body, etag } = await getLatestMany(['ny', 'ct'], { now });
+  assert.deepEqual(body.errors, {});
+  assert.deepEqual(Object.keys(body.states), ['ny', 'ct']);
+  assert.deepEqual([body.results['usa/ny/Midday'].combo, body.results['usa/ny/Midday'].status], ['641-0270', 'unverified']);
+  // the CT night page still shows 10-16 after the 10-17 draw
+  assert.deepEqual(body.results['usa/ct/Night'], { state: 'ct', key: 'evening', draw: 'Evening', dateISO: '2026-10-17', combo: null, games: [], status: 'pending', reason: 'stale' });
+  assert.equal((await getLatestMany(['ny', 'ct'], { now })).etag, etag);
+  invalidateLatest();
+});
+
+test('a refresh still queues its results when the backlog cannot be flushed', async (t) => {
+  quiet(t);
+  invalidateLatest();
+  setHtmlFetcher(fixtureFetcher(readManifest()));
+  setDb({ collection() { throw new Error('mongo_unavailable'); } });
+  const now = new Date('2026-10-18T05:00:00Z');
+  await getLatest('ny', { now });
+  const first = queuedCount();
+  assert.ok(first > 0);
+  invalidateLatest();
+  await getLatest('ny', { now }); // the flush fails first, the new pairs are queued anyway
+  assert.equal(queuedCount(), 2 * first);
+  setDb(createLocalDb());
+  assert.equal(await flushQueued(), 2 * first);
+  invalidateLatest();
+});
@@ -0,0 +1,97 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { matches, applyUpdate, createLocalDb } from '../lib/localdb.js';
+import { setDb, storageKind, upsertDrawResult, listHistory, findResult, queuedCount, flushQueued } from '../lib/db.js';
+import { persistPairs } from '../lib/ingest.js';
+
+after(() => setDb(null));
+
+const games = (p3, p4) => [{ game: 'pick3', digits: p3, extras: {} }, { game: 'pick4', digits: p4, extras: {} }];
+
+test('storageKind is MongoDB unless a local store is asked for', () => {
+  assert.equal(storageKind({ MONGODB_URI: 'mongodb://x' }), 'mongo');
+  assert.equal(storageKind({}), 'mongo'); // a missing MONGODB_URI is an error, not a memory store
+  assert.equal(storageKind({ STORAGE_FILE: '/tmp/x.json' }), 'mongo');
+  assert.equal(storageKind({ STORAGE: 'file', STORAGE_FILE: '/tmp/x.json' }), 'file');
+  assert.equal(storageKind({ MONGODB_URI: 'mongodb://x', STORAGE: 'memory' }), 'memory');
+  assert.throws(() => storageKind({ STORAGE: 'redis' }), /STORAGE must be/);
+});
+
+test('queries follow MongoDB semantics for the operators the app uses', () => {
+  const doc = { state: 'ny', dateISO: '2026-10-17', games: [{ game: 'pick3', digits: '641' }], at: new Date('2026-10-17T00:00:00Z') };
+  assert.ok(matches(doc, { state: 'ny', 'games.game': 'pick3' }));
+  assert.ok(matches(doc, { dateISO: { $gte: '2026-10-01', $lt: '2026-11-01' }, 'games.digits': { $regex: '^64' } }));
+  assert.ok(matches(doc, { $or: [{ state: 'ga' }, { state: { $in: ['ny', 'nj'] } }] }));
+  assert.ok(matches(doc, { at: { $gt: new Date('2026-10-16T00:00:00Z') }, missing: { $exists: false } }));
+  assert.ok(!matches(doc, { 'games.game': { $nin: ['pick3'] } }));
+  assert.ok(!matches(doc, { dateISO: { $gt: 5 } })); // no cross-type comparisons
+});
+
+test('updates set, unset, increment and add to sets', () => {
+  const doc = { n: 1, tags: ['a'], old: true };
+  applyUpdate(doc, { $set: { 'meta.via': 'x' }, $unset: { old: '' }, $inc: { n: 2 }, $addToSet: { tags: { $each: ['a', 'b'] } }, $setOnInsert: { createdAt: 1 } });
+  assert.deepEqual(doc, { n: 3, tags: ['a', 'b'], meta: { via: 'x' } });
+});
+
+test('a collection upserts, sorts, pages and enforces unique indexes', async () => {
+  const col = createLocalDb().collection('draw_results');
+  await col.createIndex({ state: 1, draw: 1, dateISO: 1 }, { unique: true });
+  await col.updateOne({ state: 'ny', draw: 'Midday', dateISO: '2026-10-16' }, { $set: { combo: '1' } }, { upsert: true });
+  await col.insertOne({ state: 'ny', draw: 'Midday', dateISO: '2026-10-17', combo: '2' });
+  await assert.rejects(col.insertOne({ state: 'ny', draw: 'Midday', dateISO: '2026-10-17' }), (e) => e.code === 11000);
+  const rows = await col.find({ state: 'ny' }).sort({ dateISO: -1 }).limit(1).project({ _id: 0, combo: 1 }).toArray();
+  assert.deepEqual(rows, [{ combo: '2' }]);
+  assert.equal(await col.countDocuments({ draw: 'Midday' }), 2);
+  assert.equal((await col.findOneAndUpdate({ dateISO: '2026-10-17' }, { $set: { combo: '3' } })).combo, '2');
+  assert.equal((await col.findOneAndUpdate({ state: 'nj', draw: 'Midday', dateISO: '2026-10-17' }, { $set: { combo: '4' } }, { upsert: true, returnDocument: 'after' })).combo, '4');
+  assert.equal(await col.findOneAndUpdate({ state: 'ga' }, { $set: { combo: '5' } }), null);
+  assert.throws(() => col.aggregate([]), /needs MongoDB/);
+});
+
+test('_id is unique, as on MongoDB, for inserts and upserts alike', async () => {
+  const col = createLocalDb().collection('health_alerts');
+  await col.insertOne({ _id: 'ny:stale', at: 1 });
+  const dup = (e) => e.code === 11000 && /index: _id/.test(e.message);
+  await assert.rejects(col.insertOne({ _id: 'ny:stale', at: 2 }), dup);
+  await assert.rejects(col.replaceOne({ at: 3 }, { _id: 'ny:stale', at: 3 }, { upsert: true }), dup);
+  await assert.rejects(col.updateOne({ at: 4 }, { $setOnInsert: { _id: 'ny:stale' } }, { upsert: true }), dup);
+  await assert.rejects(col.bulkWrite([{ insertOne: { document: { _id: 'ny:stale' } } }]), dup);
+  assert.deepEqual(await col.find({}).toArray(), [{ _id: 'ny:stale', at: 1 }]);
+});
+
+test('a file-backed store survives a restart', async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'localdb-')), 'db.json');
+  const db = createLocalDb({ file });
+  await db.collection('settings').insertOne({ _id: 'payouts', at: new Date('2026-10-17T00:00:00Z') });
+  await db.close();
+  const again = await createLocalDb({ file }).collection('settings').findOne({ _id: 'payouts' });
+  assert.ok(again.at instanceof Date);
+  assert.equal(again.at.toISOString(), '2026-10-17T00:00:00.000Z');
+});
+
+test('results and history work on the local store', async () => {
+  setDb(createLocalDb());
+  assert.equal(await upsertDrawResult({ state: 'ny', draw: 'Midday', dateISO: '2026-10-17', games: games('641', '0270') }), 'inserted');
+  assert.equal(await upsertDrawResult({ state: 'ny', draw: 'Midday', dateISO: '2026-10-17', games: games('641', '0270') }), 'unchanged');
+  assert.equal(await upsertDrawResult({ state: 'ny', draw: 'Midday', dateISO: '2026-10-17', games: games('999', '0270') }), 'conflict');
+  await upsertDrawResult({ state: 'ny', draw: 'Evening', dateISO: '2026-10-16', games: games('123', '4567') });
+  const page = await listHistory({ state: 'ny' }, { limit: 1 });
+  assert.deepEqual([page.total, page.results[0].draw, !!page.nextCursor], [2, 'Midday', true]);
+  const next = await listHistory({ state: 'ny' }, { limit: 1, cursor: page.nextCursor });
+  assert.deepEqual(next.results.map(r => r.draw), ['Evening']);
+});
+
+test('writes made while the database is down are queued and flushed later', async () => {
+  const down = { collection() { throw new Error('mongo_unavailable'); } };
+  const draws = { midday: { dateISO: '2026-10-17', combo: '641-0270', games: games('641', '0270') }, evening: { dateISO: '2026-10-16', combo: '123-4567', games: games('123', '4567') } };
+  setDb(down);
+  await assert.rejects(persistPairs('ny', { draws }, { queue: true }), /mongo_unavailable/);
+  assert.equal(queuedCount(), 2);
+  setDb(createLocalDb());
+  assert.equal(await flushQueued(), 2);
+  assert.equal(queuedCount(), 0);
+  assert.equal((await findResult({ state: 'ny', draw: 'Evening', dateISO: '2026-10-16' })).combo, '123-4567');
+});
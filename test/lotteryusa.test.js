@@ -0,0 +1,55 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { STRATEGIES } from '../lib/adapters/index.js';
+import { cleanTextBlocks, pickNDigitsFromTextSafe, pickConsecutiveSingleDigitNodes } from '../lib/extract.js';
+import { combinedPair, setHtmlFetcher } from '../lib/scraper.js';
+import { readManifest, readPage, fixtureFetcher } from './fixtures.js';
+
+const manifest = readManifest();
+const iso = (d) => (d ? d.format('YYYY-MM-DD') : null);
+
+describe('digit helpers', () => {
+  test('cleanTextBlocks strips prizes, times and boilerplate', () => {
+    const t = cleanTextBlocks('Midday 6 4 1  Top prize $5,000. Draws at 12:59pm');
+    assert.equal(t.trim(), 'Midday 6 4 1');
+  });
+
+  test('pickConsecutiveSingleDigitNodes needs n adjacent one-digit nodes', () => {
+    const $ = cheerio.load('<div><span>Cash 3</span><ul><li>5</li><li>1</li><li>9</li></ul></div>');
+    assert.equal(pickConsecutiveSingleDigitNodes($, $('div'), 3), '519');
+    assert.equal(pickConsecutiveSingleDigitNodes($, $('div'), 4), null);
+  });
+
+  test('pickNDigitsFromTextSafe ignores money and clock times', () => {
+    const $ = cheerio.load('<p>Evening 9:45pm: 0 2 7 0 — win $5,000</p>');
+    assert.equal(pickNDigitsFromTextSafe($, $('p'), 4), '0270');
+  });
+});
+
+describe('extraction strategies against saved pages', () => {
+  for (const c of manifest.cases) {
+    test(`${c.page} ${c.strategy} ${c.label} p${c.n}`, () => {
+      const $ = cheerio.load(readPage(c.page));
+      const { digits, date } = STRATEGIES[c.strategy]($, { label: c.label, n: c.n });
+      assert.equal(digits, c.digits);
+      assert.equal(iso(date), c.date);
+    });
+  }
+});
+
+describe('combinedPair with fetchHtml stubbed', () => {
+  setHtmlFetcher(fixtureFetcher(manifest));
+  after(() => setHtmlFetcher());
+
+  for (const [state, expected] of Object.entries(manifest.states)) {
+    test(state, async (t) => {
+      t.mock.method(console, 'log', () => {}); // fallbacks 404 on purpose
+      const got = await combinedPair(state);
+      assert.deepEqual(
+        { midday: got.midday, evening: got.evening, night: got.night, dates: got.dates },
+        expected
+      );
+    });
+  }
+});
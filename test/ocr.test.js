@@ -0,0 +1,75 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { previewLines, parseValue, matchLine, aliasTable, findDate, runOcr, setOcrEngine } from '../lib/ocr.js';
+import { SEED_CATALOG } from '../lib/catalog.js';
+
+after(() => setOcrEngine());
+
+const lines = (text, confidence = 100) => text.split('\n').map(t => ({ text: t, confidence }));
+const mapped = (rows) => rows.map(r => [r.id, r.value]);
+
+test('lines map to catalog ids across states, RD and special lotteries', () => {
+  const rows = previewLines(lines(`New York Midday 992 - 0845
+Georgia Night 123 4567
+GA Evening 12:30 pm 321-7654
+CT Day 555-1234
+NY-BK PM 111-2222
+Gana Más 12 34 56
+Nacional 07-41-88
+La Primera Día 01 02 03`));
+  assert.deepEqual(mapped(rows), [
+    ['usa/ny/Midday', '992-0845'],
+    ['usa/ga/Night', '123-4567'],
+    ['usa/ga/Evening', '321-7654'],
+    ['usa/ct/Day', '555-1234'],
+    ['special/ny-bk/PM', '111-2222'],
+    ['rd/nacional/Tarde', '12-34-56'],
+    ['rd/nacional/Noche', '07-41-88'],
+    ['rd/primera/Dia', '01-02-03']
+  ]);
+  assert.ok(rows.every(r => r.confidence.overall === 1));
+});
+
+test('a header or previous row names the lottery for draw-only lines', () => {
+  const rows = previewLines(lines(`RESULTS 10/17/2026
+NEW JERSEY
+Midday 9 9 2 0 8 4 5
+Evening 111 2222
+Loteka 12 34 56
+Midday 555 6666`, 90));
+  assert.deepEqual(mapped(rows), [
+    ['usa/nj/Midday', '992-0845'],
+    ['usa/nj/Evening', '111-2222'],
+    ['rd/loteka/Noche', '12-34-56'],
+    [null, '555-6666'] // Loteka has no midday draw
+  ]);
+  assert.deepEqual(rows[0].confidence, { ocr: 0.9, match: 0.8, value: 0.7, overall: 0.5 });
+  assert.equal(rows[3].confidence.overall, 0);
+});
+
+test('values parse in the format of the target, game names and times are not results', () => {
+  assert.deepEqual(parseValue('Pick 3 992 Win 4 0845'), { value: '992-0845', confidence: 1 });
+  assert.deepEqual(parseValue('12 34 56', 'prizes'), { value: '12-34-56', confidence: 1 });
+  assert.deepEqual(parseValue('123456', 'prizes'), { value: '12-34-56', confidence: 0.7 });
+  assert.deepEqual(parseValue('99 08', 'pair'), { value: '', confidence: 0 });
+  assert.equal(findDate('Results for 10/7/2026'), '2026-10-07');
+});
+
+test('admin alias extras extend the table', () => {
+  const table = aliasTable(SEED_CATALOG, { 'usa/ny/Evening': ['big apple night'] });
+  assert.deepEqual(matchLine('BIG APPLE NIGHT 123 4567', table).ids, ['usa/ny/Evening']);
+  assert.deepEqual(matchLine('BIG APPLE NIGHT 123 4567', aliasTable(SEED_CATALOG)).ids, []);
+});
+
+test('runOcr feeds recognized image lines through the same mapping', async () => {
+  const seen = [];
+  setOcrEngine(async (buf) => {
+    seen.push(buf.toString());
+    return [{ text: 'Florida 2026-10-17', confidence: 95 }, { text: 'Evening 4 4 1 - 2 0 9 8', confidence: 80 }];
+  });
+  const out = await runOcr({ images: ['data:image/png;base64,' + Buffer.from('png').toString('base64')] });
+  assert.deepEqual(seen, ['png']);
+  assert.equal(out.dateISO, '2026-10-17');
+  assert.deepEqual(mapped(out.rows), [['usa/fl/Evening', '441-2098']]);
+  await assert.rejects(runOcr({ images: [''] }), /bad_image/);
+});
@@ -0,0 +1,52 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import * as cheerio from 'cheerio';
+import { STRATEGIES } from '../lib/adapters/index.js';
+import { parseDayFirstDate } from '../lib/extract.js';
+import { combinedPair, setHtmlFetcher } from '../lib/scraper.js';
+import { resultValue } from '../lib/result.js';
+import { parsePrizes } from '../lib/admin.js';
+import { FIXTURE_DIR } from './fixtures.js';
+
+// One saved results page stands in for every loteriasdominicanas.com URL.
+const page = fs.readFileSync(path.join(FIXTURE_DIR, '..', 'rd', 'loteriasdominicanas.html'), 'utf8');
+const iso = (d) => (d ? d.format('YYYY-MM-DD') : null);
+
+test('parseDayFirstDate reads Dominican dates', () => {
+  assert.equal(iso(parseDayFirstDate('Sorteo 17-10-2026')), '2026-10-17');
+  assert.equal(iso(parseDayFirstDate('sábado 4/7/26')), '2026-07-04');
+  assert.equal(iso(parseDayFirstDate('17 de octubre de 2026')), '2026-10-17');
+  assert.equal(parseDayFirstDate('sin fecha'), null);
+});
+
+test('prizesByLabel picks the titled block and its three prizes', () => {
+  const $ = cheerio.load(page);
+  const read = (label) => STRATEGIES.prizesByLabel($, { label, n: 2, count: 3 });
+  assert.deepEqual([read('Quiniela Loteka').digits, iso(read('Quiniela Loteka').date)], ['07-41-88', '2026-10-17']);
+  assert.equal(read('Gana M[aá]s').digits, '13-02-66');
+  assert.equal(read('Loter[ií]a Nacional').digits, '55-19-30');
+  assert.equal(read('Quiniela Leidsa').digits, null); // only two prizes posted
+});
+
+test('combinedPair returns quiniela results in both shapes', async (t) => {
+  setHtmlFetcher(async () => page);
+  after(() => setHtmlFetcher());
+  t.mock.method(console, 'log', () => {});
+  const got = await combinedPair('rd');
+  assert.equal(got.loteka, '07-41-88');
+  assert.equal(got.dates.loteka, '2026-10-17');
+  const nacional = got.draws['nacional-noche'];
+  assert.deepEqual([nacional.dateISO, nacional.prizes, nacional.combo], ['2026-10-16', ['55', '19', '30'], '55-19-30']);
+  assert.deepEqual(nacional.games, [{ game: 'quiniela', digits: '55-19-30', extras: {} }]);
+  assert.equal(got.leidsa, null);
+  assert.equal(got.midday, null);
+});
+
+test('quiniela values store their prizes', () => {
+  const v = resultValue({ prizes: ['07', '41', '88'] });
+  assert.deepEqual([v.prizes, v.combo, v.games], [['07', '41', '88'], '07-41-88', [{ game: 'quiniela', digits: '07-41-88', extras: {} }]]);
+  assert.deepEqual(parsePrizes({ value: '07 - 41 - 88' }), { prizes: ['07', '41', '88'] });
+  assert.equal(parsePrizes({ value: '123-4567' }), null);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resultValue, toGames, mergeGames, overlayGames, gamesKey } from '../lib/result.js';
+import { parseGames } from '../lib/admin.js';
+
+const g = (game, digits, extras = {}) => ({ game, digits, extras });
+
+test('legacy rows and games lists normalise to the same document', () => {
+  const legacy = resultValue({ pick3: '123', pick4: '4567' });
+  const games = resultValue({ games: [g('pick4', '4567'), g('pick3', '123')] });
+  assert.deepEqual(legacy, games);
+  assert.deepEqual(legacy, { schema: 2, games: [g('pick3', '123'), g('pick4', '4567')], pick3: '123', pick4: '4567', combo: '123-4567' });
+});
+
+test('combo keeps the pick3-pick4 headline and covers other shapes', () => {
+  assert.equal(resultValue({ games: [g('pick2', '12'), g('pick3', '123'), g('pick4', '4567'), g('pick5', '12345')] }).combo, '123-4567');
+  assert.equal(resultValue({ games: [g('pick3', '123')] }).combo, '123'); // one game still missing
+  assert.equal(resultValue({ games: [g('pick5', '12345', { fireball: '7' })] }).combo, '12345');
+  assert.equal(resultValue({ games: [] }), null);
+  assert.deepEqual(resultValue({ games: [g('pick3', '123', { fireball: '7', wild: '' })] }).games, [g('pick3', '123', { fireball: '7' })]);
+});
+
+test('mergeGames extends with new games and extras, flags different digits', () => {
+  const stored = toGames({ pick3: '123' });
+  assert.deepEqual(mergeGames(stored, [g('pick3', '123')]), { games: stored, extended: false, conflict: false });
+
+  const ext = mergeGames(stored, [g('pick4', '4567'), g('pick3', '123', { fireball: '7' })]);
+  assert.equal(ext.extended, true);
+  assert.equal(ext.conflict, false);
+  assert.deepEqual(ext.games, [g('pick3', '123', { fireball: '7' }), g('pick4', '4567')]);
+
+  assert.equal(mergeGames(stored, [g('pick3', '124')]).conflict, true);
+  assert.equal(mergeGames(ext.games, [g('pick3', '123', { fireball: '8' })]).conflict, true);
+});
+
+test('overlayGames replaces named games and keeps the rest', () => {
+  const stored = [g('pick2', '12'), g('pick3', '123'), g('pick4', '4567')];
+  assert.deepEqual(overlayGames(stored, [g('pick3', '999')]), [g('pick2', '12'), g('pick3', '999'), g('pick4', '4567')]);
+  assert.notEqual(gamesKey(stored), gamesKey(overlayGames(stored, [g('pick2', '12', { fireball: '3' })])));
+});
+
+test('manual games lists are checked per game', () => {
+  assert.ok(parseGames({ games: [g('pick5', '12345', { fireball: '7' })] }));
+  assert.equal(parseGames({ games: [g('pick5', '1234')] }), null);
+  assert.equal(parseGames({ games: [g('keno', '12')] }), null);
+  assert.equal(parseGames({ games: [] }), null);
+});
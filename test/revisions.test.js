@@ -0,0 +1,48 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setDb, upsertDrawResult, setDrawResult, listRevisions } from '../lib/db.js';
+import { createLocalDb } from '../lib/localdb.js';
+
+setDb(createLocalDb());
+after(() => setDb(null));
+
+const occ = { state: 'ny', draw: 'Midday', dateISO: '2026-10-17' };
+const games = (p3, p4) => [{ game: 'pick3', digits: p3, extras: {} }, { game: 'pick4', digits: p4, extras: {} }];
+
+test('a scraped value and its correction are both recorded, in order', async () => {
+  assert.equal(await upsertDrawResult({ ...occ, games: games('641', '0270'), source: 'lotteryusa' }), 'inserted');
+  assert.equal(await setDrawResult({ ...occ, games: games('641', '0271'), actor: 'ana' }), 'updated');
+
+  const [insert, correct, ...rest] = await listRevisions(occ);
+  assert.equal(rest.length, 0);
+  assert.deepEqual([insert.action, insert.prev, insert.next.combo, insert.next.status], ['insert', null, '641-0270', 'unverified']);
+  assert.deepEqual([insert.source, insert.actor], ['lotteryusa', 'scraper']);
+  assert.deepEqual([correct.action, correct.prev.combo, correct.prev.status, correct.next.combo, correct.next.status],
+    ['correct', '641-0270', 'unverified', '641-0271', 'verified']);
+  assert.deepEqual([correct.source, correct.actor], ['manual', 'ana']);
+  assert.ok(correct.at >= insert.at);
+});
+
+test('GET /api/:state/:draw/:dateISO/revisions returns the current row and its history', async (t) => {
+  t.mock.method(console, 'log', () => {}); // "Storage: memory" on import
+  process.env.VERCEL ||= '1'; // don't start the dev server on import
+  const { default: app } = await import('../api/index.js');
+  const server = app.listen(0);
+  try {
+    await new Promise(r => server.once('listening', r));
+    // the draw may be named by its key or an alias, like on the board
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/api/ny/midday/2026-10-17/revisions`);
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.deepEqual([body.draw, body.current.combo, body.current.status], ['Midday', '641-0271', 'verified']);
+    assert.deepEqual(body.revisions.map(r => [r.action, r.prev?.combo ?? null, r.next.combo, r.actor]),
+      [['insert', null, '641-0270', 'scraper'], ['correct', '641-0270', '641-0271', 'ana']]);
+
+    // a storage failure is a 500, not a crashed process
+    setDb({ collection() { throw new Error('disk gone'); } });
+    const down = await fetch(`http://127.0.0.1:${server.address().port}/api/ny/midday/2026-10-17/revisions`);
+    assert.deepEqual([down.status, await down.json()], [500, { ok: false, error: 'disk gone' }]);
+  } finally {
+    server.close();
+  }
+});
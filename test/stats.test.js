@@ -0,0 +1,84 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { statsPipeline, shapeStats, gamesOf, statsFor } from '../lib/stats.js';
+import { setDb, upsertDrawResult } from '../lib/db.js';
+import { createLocalDb } from '../lib/localdb.js';
+
+after(() => setDb(null));
+
+test('the pipeline matches the window and game before unwinding', () => {
+  const p = statsPipeline({ state: 'ny', draw: 'Midday', game: 'pick4', from: '2026-04-20', to: '2026-10-17' });
+  assert.deepEqual(p[0], { $match: { state: 'ny', draw: 'Midday', dateISO: { $gte: '2026-04-20', $lte: '2026-10-17' }, 'games.game': 'pick4' } });
+  assert.deepEqual(p[2], { $match: { 'games.game': 'pick4' } });
+  assert.deepEqual(Object.keys(p.at(-1).$facet), ['summary', 'positions', 'numbers', 'pairs', 'repeats', 'sums']);
+  assert.deepEqual(statsPipeline({ state: 'rd', game: 'quiniela', from: 'a', to: 'b' }).at(-1).$facet.pairs, [{ $limit: 0 }]);
+});
+
+test('the facet document becomes hot/cold units, positions and days since', () => {
+  // three Pick 3 draws: 112 (10-15), 121 (10-16), 345 (10-17)
+  const doc = {
+    summary: [{ _id: null, draws: 3, first: '2026-10-15', last: '2026-10-17' }],
+    positions: [
+      { _id: { pos: 0, unit: '1' }, hits: 2, last: '2026-10-16' }, { _id: { pos: 0, unit: '3' }, hits: 1, last: '2026-10-17' },
+      { _id: { pos: 1, unit: '1' }, hits: 1, last: '2026-10-15' }, { _id: { pos: 1, unit: '2' }, hits: 1, last: '2026-10-16' },
+      { _id: { pos: 1, unit: '4' }, hits: 1, last: '2026-10-17' },
+      { _id: { pos: 2, unit: '2' }, hits: 1, last: '2026-10-15' }, { _id: { pos: 2, unit: '1' }, hits: 1, last: '2026-10-16' },
+      { _id: { pos: 2, unit: '5' }, hits: 1, last: '2026-10-17' }
+    ],
+    numbers: [
+      { _id: '112', hits: 1, last: '2026-10-15' }, { _id: '345', hits: 1, last: '2026-10-17' }, { _id: '121', hits: 1, last: '2026-10-16' }
+    ],
+    pairs: [
+      { _id: { k: 'front', v: '11' }, hits: 1 }, { _id: { k: 'front', v: '12' }, hits: 1 }, { _id: { k: 'front', v: '34' }, hits: 1 },
+      { _id: { k: 'back', v: '12' }, hits: 1 }, { _id: { k: 'back', v: '21' }, hits: 1 }, { _id: { k: 'back', v: '45' }, hits: 1 }
+    ],
+    repeats: [{ _id: 2, hits: 2 }, { _id: 1, hits: 1 }],
+    sums: [{ _id: 12, hits: 1 }, { _id: 4, hits: 2 }]
+  };
+  const st = shapeStats(doc, { game: 'pick3', asOf: '2026-10-19' });
+  assert.equal(st.draws, 3);
+  assert.deepEqual(st.hot, ['1', '2', '3']);
+  assert.deepEqual(st.cold, ['9', '8', '7']);
+  assert.deepEqual(st.units[0], { unit: '1', hits: 4, last: '2026-10-16', daysSince: 3 });
+  assert.deepEqual(st.units.find(u => u.unit === '0'), { unit: '0', hits: 0, last: null, daysSince: null });
+  assert.equal(st.positions.length, 3);
+  assert.deepEqual(st.positions[0].hot, ['1', '3', '0']);
+  assert.equal(st.positions[1].counts['4'], 1);
+  assert.deepEqual(st.numbers.map(n => [n.number, n.daysSince]), [['345', 2], ['121', 3], ['112', 4]]);
+  assert.deepEqual(st.pairs.front.map(p => p.pair), ['11', '12', '34']);
+  assert.deepEqual(st.repeats, { none: 1, pair: 2 });
+  assert.deepEqual(st.sums, [{ sum: 4, hits: 2 }, { sum: 12, hits: 1 }]);
+});
+
+test('quiniela units are the prize numbers and an empty window is all zeros', () => {
+  const st = shapeStats({}, { game: 'quiniela', asOf: '2026-10-19' });
+  assert.equal(st.draws, 0);
+  assert.equal(st.units.length, 100);
+  assert.deepEqual(st.hot, ['00', '01', '02']);
+  assert.equal(st.pairs, null);
+});
+
+test('the games offered are the ones the draw is scraped for', () => {
+  assert.deepEqual(gamesOf('ny', 'Evening'), ['pick3', 'pick4']);
+  assert.deepEqual(gamesOf('rd', 'loteka'), ['quiniela']);
+  assert.deepEqual(gamesOf('zz'), ['pick3']);
+});
+
+test('statsFor works on the local store, which has no aggregation', async () => {
+  setDb(createLocalDb());
+  const pick3 = (dateISO, digits) => upsertDrawResult({ state: 'ny', draw: 'Evening', dateISO, games: [{ game: 'pick3', digits, extras: {} }, { game: 'pick4', digits: '0000', extras: {} }] });
+  await pick3('2026-10-15', '112');
+  await pick3('2026-10-16', '121');
+  await pick3('2026-10-17', '345');
+  await pick3('2026-01-02', '999'); // outside the window
+  const st = await statsFor('ny', { draw: 'Evening', game: 'p3', from: '2026-10-01', now: new Date('2026-10-19T16:00:00Z') });
+  assert.deepEqual([st.draws, st.first, st.last, st.to], [3, '2026-10-15', '2026-10-17', '2026-10-19']);
+  assert.deepEqual(st.hot, ['1', '2', '3']);
+  assert.deepEqual(st.units[0], { unit: '1', hits: 4, last: '2026-10-16', daysSince: 3 });
+  assert.deepEqual(st.positions[0].hot, ['1', '3', '0']);
+  assert.deepEqual(st.numbers.map(n => [n.number, n.daysSince]), [['345', 2], ['121', 3], ['112', 4]]);
+  assert.deepEqual(st.pairs.front.map(p => p.pair), ['11', '12', '34']);
+  assert.deepEqual(st.pairs.back.map(p => p.pair), ['12', '21', '45']);
+  assert.deepEqual(st.repeats, { none: 1, pair: 2 });
+  assert.deepEqual(st.sums, [{ sum: 4, hits: 2 }, { sum: 12, hits: 1 }]);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toMessage, parseEventId, advanceCursor, sseFrame } from '../lib/stream.js';
+
+const rev = (ms, id, extra = {}) => ({
+  _id: id, at: new Date(ms), state: 'ny', draw: 'Evening', dateISO: '2026-10-17', action: 'insert',
+  next: { pick3: '123', pick4: '4567', status: 'unverified' }, ...extra
+});
+
+test('a revision becomes a board message with the card combo', () => {
+  const msg = toMessage(rev(1000, 'a1'));
+  assert.equal(msg.id, '1000:a1');
+  assert.equal(msg.key, 'evening');
+  assert.equal(msg.combo, '123-4567');
+  assert.equal(msg.status, 'unverified');
+  assert.deepEqual(msg.result.games.map(g => g.game), ['pick3', 'pick4']);
+
+  // partial draws and deletes carry no combo
+  assert.equal(toMessage(rev(1000, 'a2', { next: { pick3: '123', status: 'unverified' } })).combo, null);
+  const del = toMessage(rev(1000, 'a3', { action: 'delete', next: null }));
+  assert.deepEqual([del.combo, del.result, del.status], [null, null, null]);
+
+  // quinielas are complete with their three prizes
+  const rd = toMessage(rev(1000, 'a4', { state: 'rd', draw: 'Loteka', next: { prizes: ['07', '41', '88'] } }));
+  assert.deepEqual([rd.key, rd.combo], ['loteka', '07-41-88']);
+});
+
+test('the cursor skips revisions already sent in the same millisecond', () => {
+  const start = { at: new Date(1000), ids: new Set() };
+  const c1 = advanceCursor(start, [rev(900, 'x'), rev(1000, 'a'), rev(1000, 'b')]);
+  assert.deepEqual([c1.at.getTime(), [...c1.ids]], [1000, ['a', 'b']]);
+  const c2 = advanceCursor(c1, [rev(1000, 'c')]);
+  assert.deepEqual([...c2.ids], ['a', 'b', 'c']);
+  const c3 = advanceCursor(c2, [rev(1001, 'd')]);
+  assert.deepEqual([c3.at.getTime(), [...c3.ids]], [1001, ['d']]);
+  assert.equal(advanceCursor(c3, []), c3);
+});
+
+test('Last-Event-ID round-trips to a cursor and frames are SSE', () => {
+  const c = parseEventId('1000:a1');
+  assert.deepEqual([c.at.getTime(), [...c.ids]], [1000, ['a1']]);
+  assert.equal(parseEventId(''), null);
+  assert.equal(parseEventId('garbage'), null);
+  assert.equal(sseFrame('result', { a: 1 }, '1:x'), 'id: 1:x\nevent: result\ndata: {"a":1}\n\n');
+});
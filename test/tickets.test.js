@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { settle, boxWays, payoutFor, checkTickets, parseTicketsCsv, checksToCsv, DEFAULT_PAYOUTS } from '../lib/tickets.js';
+import { gameName } from '../lib/result.js';
+import { SEED_CATALOG } from '../lib/catalog.js';
+
+const hit = (t, drawn) => settle(t, drawn);
+
+test('straight, box and combo on pick games', () => {
+  assert.deepEqual(hit({ game: 'pick3', number: '123', bet: 'straight' }, '123'), { status: 'hit', key: 'straight', matched: [1, 2, 3] });
+  assert.equal(hit({ game: 'pick3', number: '123', bet: 'straight' }, '321').status, 'miss');
+  assert.deepEqual(hit({ game: 'pick3', number: '123', bet: 'box' }, '312'), { status: 'hit', key: 'box-6', matched: [1, 2, 3], ways: 6 });
+  assert.equal(hit({ game: 'pick3', number: '112', bet: 'box' }, '121').key, 'box-3');
+  assert.deepEqual(hit({ game: 'pick4', number: '1234', bet: 'combo' }, '4321'), { status: 'hit', key: 'straight', matched: [1, 2, 3, 4], ways: 24 });
+  assert.deepEqual(hit({ game: 'pick3', number: '111', bet: 'box' }, '111'), { status: 'invalid', error: 'box_needs_two_digits' });
+  assert.equal(hit({ game: 'pick3', number: '12', bet: 'straight' }, '123').error, 'bad_number');
+  assert.deepEqual([boxWays('1234'), boxWays('1123'), boxWays('1122'), boxWays('1112')], [24, 12, 6, 4]);
+});
+
+test('pairs and pulito look at positions', () => {
+  assert.deepEqual(hit({ game: 'pick4', number: '12', bet: 'front-pair' }, '1299'), { status: 'hit', key: 'front-pair', matched: [1, 2] });
+  assert.deepEqual(hit({ game: 'pick4', number: '99', bet: 'back-pair' }, '1299'), { status: 'hit', key: 'back-pair', matched: [3, 4] });
+  assert.equal(hit({ game: 'pick4', number: '12', bet: 'back-pair' }, '1299').status, 'miss');
+  assert.deepEqual(hit({ game: 'pick3', number: '7', bet: 'pulito', positions: [3] }, '207'), { status: 'hit', key: 'pulito-1', matched: [3] });
+  assert.deepEqual(hit({ game: 'pick4', number: '09', bet: 'pulito', positions: [2, 4] }, '1029'), { status: 'hit', key: 'pulito-2', matched: [2, 4] });
+  assert.equal(hit({ game: 'pick3', number: '7', bet: 'pulito', positions: [4] }, '207').error, 'bad_positions');
+});
+
+test('quiniela, pale and tripleta by prize', () => {
+  assert.deepEqual(hit({ game: 'quiniela', number: '41', bet: 'quiniela' }, '07-41-88'), { status: 'hit', key: 'quiniela-2', matched: [2] });
+  assert.deepEqual(hit({ game: 'quiniela', number: '88-07', bet: 'pale' }, '07-41-88'), { status: 'hit', key: 'pale-13', matched: [1, 3] });
+  assert.deepEqual(hit({ game: 'quiniela', number: '07-07', bet: 'pale' }, '07-41-88'), { status: 'miss', matched: [1] });
+  assert.equal(hit({ game: 'quiniela', number: '88-41-07', bet: 'tripleta' }, '07-41-88').key, 'tripleta');
+  assert.equal(hit({ game: 'quiniela', number: '88-41-00', bet: 'tripleta' }, '07-41-88').key, 'tripleta-2');
+  assert.equal(hit({ game: 'quiniela', number: '41', bet: 'box' }, '07-41-88').error, 'bad_bet');
+});
+
+test('payouts resolve per game first, then per bet', () => {
+  assert.equal(payoutFor(DEFAULT_PAYOUTS, 'pick3', 'box-6'), 80);
+  assert.equal(payoutFor(DEFAULT_PAYOUTS, 'pick4', 'front-pair'), 50);
+  assert.equal(payoutFor({ ...DEFAULT_PAYOUTS, 'pick4.front-pair': 60 }, 'pick4', 'front-pair'), 60);
+  assert.equal(payoutFor(DEFAULT_PAYOUTS, 'pick2', 'box-9'), null);
+  assert.deepEqual(['p3', 'Pick 4', '5', 'q', 'keno'].map(gameName), ['pick3', 'pick4', 'pick5', 'quiniela', null]);
+});
+
+test('tickets that cannot be looked up are invalid before any query', async () => {
+  const checks = await checkTickets([
+    { state: 'ny', dateISO: '2026-10-17', game: 'p3', number: '123' },
+    { id: 'usa/ny/Midday', dateISO: '10/17/2026', game: 'p3', number: '123' },
+    { id: 'usa/ny/Midday', dateISO: '2026-10-17', game: 'keno', number: '123' },
+    { id: 'usa/ny/Midday', dateISO: '2026-10-17', game: 'p3', number: '123', bet: 'parlay' }
+  ], { catalog: SEED_CATALOG, payouts: DEFAULT_PAYOUTS });
+  assert.deepEqual(checks.map(c => [c.status, c.error]), [
+    ['invalid', 'unknown_draw'], ['invalid', 'bad_date'], ['invalid', 'bad_game'], ['invalid', 'bad_bet']
+  ]);
+});
+
+test('CSV batches round-trip with result columns appended', () => {
+  const { header, tickets } = parseTicketsCsv('State,Draw,Date,Game,Number,Bet,Positions,Amount\r\nny,Evening,2026-10-17,p4,09,pulito,2 4,1\n\n');
+  assert.deepEqual(header, ['state', 'draw', 'date', 'game', 'number', 'bet', 'positions', 'amount']);
+  assert.deepEqual(tickets[0].positions, [2, 4]);
+  const csv = checksToCsv(header, [{ ticket: tickets[0], status: 'hit', result: '1029', resultStatus: 'verified', matched: [2, 4], multiplier: 50, payout: 50 }]);
+  assert.equal(csv, 'state,draw,date,game,number,bet,positions,amount,status,result,result_status,matched,multiplier,payout,error\n' +
+    'ny,Evening,2026-10-17,p4,09,pulito,2 4,1,hit,1029,verified,2 4,50,50,\n');
+  // header cells are quoted like the rows
+  assert.match(checksToCsv(['id', 'note, "shop"'], []), /^id,"note, ""shop""",status,/);
+});
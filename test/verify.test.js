@@ -0,0 +1,45 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readSecondSource, verifyStored } from '../lib/verify.js';
+import { setHtmlFetcher } from '../lib/scraper.js';
+import { setDb, upsertDrawResult, findResult } from '../lib/db.js';
+import { createLocalDb } from '../lib/localdb.js';
+
+after(() => { setHtmlFetcher(); setDb(null); });
+
+const openData = async () => [{ draw_date: '2026-10-17T00:00:00.000', midday_daily: '641', midday_win_4: '0270' }];
+const games = [{ game: 'pick3', digits: '641', extras: {} }, { game: 'pick4', digits: '0270', extras: {} }];
+
+test('NY second source reads the newest Open Data row that has the draw', async () => {
+  const seen = [];
+  setHtmlFetcher(async (url, opts) => {
+    seen.push(opts);
+    return [
+      { draw_date: '2026-10-17T00:00:00.000', midday_daily: '641', midday_win_4: '0270' },
+      { draw_date: '2026-10-16T00:00:00.000', midday_daily: '118', evening_daily: '208', midday_win_4: '5521', evening_win_4: '9315' }
+    ];
+  });
+  const mid = await readSecondSource('ny', 'midday');
+  assert.equal(mid.combo, '641-0270');
+  assert.equal(mid.dateISO, '2026-10-17');
+  assert.equal(mid.source, 'data.ny.gov');
+
+  const eve = await readSecondSource('ny', 'evening');
+  assert.deepEqual([eve.combo, eve.dateISO], ['208-9315', '2026-10-16']);
+  assert.ok(seen.every(o => o.bust === false));
+});
+
+test('verifyStored reports the stored status when its guarded update changes nothing', async () => {
+  const db = createLocalDb();
+  setDb(db);
+  setHtmlFetcher(openData);
+  const occ = { state: 'ny', draw: 'Midday', dateISO: '2026-10-17' };
+  await upsertDrawResult({ ...occ, games });
+  assert.equal(await verifyStored(occ), 'verified');
+  assert.equal(await verifyStored(occ), 'verified'); // already verified
+
+  // a conflict opened by another source in the meantime is not turned into 'verified'
+  await db.collection('draw_results').updateOne(occ, { $set: { status: 'conflict', verified: false } });
+  assert.equal(await verifyStored(occ), 'conflict');
+  assert.equal((await findResult(occ)).status, 'conflict');
+});